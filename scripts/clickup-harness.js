@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * ClickUp Harness — Gestão de Edição
+ *
+ * Runs both counters end-to-end against a mock of the ClickUp API fed by
+ * the fixture library in scripts/fixtures/clickup/ and compares their
+ * reports with the golden files in scripts/fixtures/golden/:
+ *   - Node: clickup-video-counter.js `count --no-cache --dry-run`, pointed at
+ *     the mock with CLICKUP_API_BASE
+ *   - Apps Script: video-counter.gs in lib/gas-sandbox, UrlFetchApp answered
+ *     by the same mock
+ * Both must also agree with each other. Rule changes that move pontos or
+ * R$ show up as a golden diff: review it, then run `update`.
+ *
+ * Usage:
+ *   node scripts/clickup-harness.js                     # check every fixture
+ *   node scripts/clickup-harness.js check --fixture scripts/fixtures/clickup/2026-02.json
+ *   node scripts/clickup-harness.js update              # rewrite the golden files
+ *   node scripts/clickup-harness.js serve --fixture scripts/fixtures/clickup/2026-02.json --port 8900
+ *     # then: CLICKUP_API_BASE=http://127.0.0.1:8900/api/v2 node scripts/clickup-video-counter.js --no-cache ...
+ *
+ * Fixtures run with the example roster (scripts/policy/roster.example.json),
+ * the policy file and the month's escala. Months and days are counted in
+ * the policy's time_zone, so the Node counter runs once per zone in
+ * RUNTIME_TIME_ZONES and the sandbox in UTC: a date computed in the
+ * machine's local time moves the month-edge tasks of the fixtures and
+ * shows up as a diff.
+ *
+ * @module clickup-harness
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const ClickUpMock = require('./lib/clickup-mock');
+const { createSandbox } = require('./lib/gas-sandbox');
+const { DEFAULT_POLICY_FILE, escalaFile } = require('./lib/policy');
+
+// ─── Config ──────────────────────────────────────────────────────────────────
+
+const FIXTURES_DIR = path.resolve(__dirname, 'fixtures', 'clickup');
+const GOLDEN_DIR = path.resolve(__dirname, 'fixtures', 'golden');
+const COUNTER = path.resolve(__dirname, 'clickup-video-counter.js');
+const ROSTER_FILE = path.resolve(__dirname, 'policy', 'roster.example.json');
+const DEFAULT_PORT = 8900;
+
+// Machine time zones the Node counter runs under (TZ): a UTC server and one
+// on each side of the business time zone
+const RUNTIME_TIME_ZONES = ['UTC', 'America/Sao_Paulo', 'Asia/Tokyo'];
+// The sandbox runs in this process; Apps Script projects default to the
+// owner's zone, which is not necessarily the business one
+const SANDBOX_TIME_ZONE = 'UTC';
+process.env.TZ = SANDBOX_TIME_ZONE;
+
+// Differ on every run
+const VOLATILE_METADATA = ['generated_at'];
+// Request counts depend on how each runtime pages and caches
+const VOLATILE_DATA_QUALITY = ['requests', 'retries'];
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { command: 'check', fixtures: [], port: DEFAULT_PORT, help: false };
+  if (args[0] && !args[0].startsWith('-')) {
+    opts.command = args.shift();
+  }
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--fixture': opts.fixtures.push(path.resolve(args[++i])); break;
+      case '--port': opts.port = parseInt(args[++i], 10); break;
+      case '--help': case '-h': opts.help = true; break;
+    }
+  }
+  if (opts.fixtures.length === 0) {
+    opts.fixtures = fs.readdirSync(FIXTURES_DIR).filter(f => f.endsWith('.json')).sort().map(f => path.join(FIXTURES_DIR, f));
+  }
+  return opts;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// ─── Runs ────────────────────────────────────────────────────────────────────
+
+/**
+ * Node counter in a child process against the mock over HTTP, with the
+ * machine time zone set to `timeZone`.
+ */
+async function runNode(fixture, timeZone) {
+  const mock = ClickUpMock.createMock(fixture);
+  const { server, url } = await mock.listen(0);
+  try {
+    const args = [COUNTER, 'count', '--month', fixture.month, '--no-cache', '--dry-run', '--roster', ROSTER_FILE];
+    const env = { ...process.env, CLICKUP_API_BASE: url, CLICKUP_API_KEY: 'pk_mock', TZ: timeZone, NOTIFY_TRANSPORTS: '' };
+    const { code, stdout, stderr } = await new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, args, { env });
+      let out = '';
+      let err = '';
+      child.stdout.on('data', chunk => { out += chunk; });
+      child.stderr.on('data', chunk => { err += chunk; });
+      child.on('error', reject);
+      child.on('close', exitCode => resolve({ code: exitCode, stdout: out, stderr: err }));
+    });
+    const marker = stdout.indexOf('\nJSON:\n');
+    if (code !== 0 || marker < 0) {
+      throw new Error(`Contador Node falhou (TZ=${timeZone}, código ${code}):\n${stderr || stdout}`);
+    }
+    return JSON.parse(stdout.slice(marker + '\nJSON:\n'.length));
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * Apps Script counter in the sandbox; UrlFetchApp calls go straight to the mock.
+ */
+function runAppsScript(fixture) {
+  const mock = ClickUpMock.createMock(fixture);
+  const escala = escalaFile(fixture.month);
+  const sandbox = createSandbox({
+    timeZone: SANDBOX_TIME_ZONE,
+    properties: { CLICKUP_API_KEY: 'pk_mock' },
+    fetch: (url, options) => mock.handle((options.method || 'get').toUpperCase(), url, options.headers || {}, options.payload ? JSON.parse(options.payload) : null),
+    globals: {
+      BONUS_POLICIES: readJson(DEFAULT_POLICY_FILE),
+      ROSTER: readJson(ROSTER_FILE),
+      ESCALAS: fs.existsSync(escala) ? { [fixture.month]: readJson(escala) } : {},
+    },
+  });
+  return sandbox.call('videoCounterMain', fixture.month);
+}
+
+/**
+ * Report without what legitimately changes between runs and runtimes.
+ */
+function normalize(report) {
+  const copy = JSON.parse(JSON.stringify(report));
+  VOLATILE_METADATA.forEach(k => { delete copy.metadata[k]; });
+  if (copy.data_quality) {
+    VOLATILE_DATA_QUALITY.forEach(k => { delete copy.data_quality[k]; });
+  }
+  // Node only: adjustments registered locally (docs/reports/adjustments/)
+  if (copy.adjustments && copy.adjustments.length === 0) {
+    delete copy.adjustments;
+  }
+  return copy;
+}
+
+/**
+ * Paths where two JSON values differ (at most `limit`).
+ */
+function differences(a, b, where = '', out = [], limit = 20) {
+  if (out.length >= limit) return out;
+  if (a && b && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b)) {
+    const keys = Array.isArray(a)
+      ? [...Array(Math.max(a.length, b.length)).keys()]
+      : [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    keys.forEach(k => differences(a[k], b[k], Array.isArray(a) ? `${where}[${k}]` : `${where}.${k}`, out, limit));
+    return out;
+  }
+  if (JSON.stringify(a) !== JSON.stringify(b)) {
+    out.push(`${where || '.'}: ${JSON.stringify(a)} → ${JSON.stringify(b)}`);
+  }
+  return out;
+}
+
+// ─── Commands ────────────────────────────────────────────────────────────────
+
+async function runFixture(file, update) {
+  const name = path.basename(file, '.json');
+  const fixture = ClickUpMock.readFixture(file);
+  const goldenFile = path.join(GOLDEN_DIR, `video-count-${name}.json`);
+  console.log(`\n[Harness] ${name}: ${fixture.description || fixture.month}`);
+
+  const runs = [];
+  for (const timeZone of RUNTIME_TIME_ZONES) {
+    runs.push({ timeZone, report: normalize(await runNode(fixture, timeZone)) });
+  }
+  const node = runs[0].report;
+  const gas = normalize(runAppsScript(fixture));
+  const problems = [];
+
+  runs.slice(1).forEach(run => {
+    const zoneDiff = differences(node, run.report);
+    if (zoneDiff.length > 0) {
+      problems.push(`Node com TZ=${runs[0].timeZone} e TZ=${run.timeZone} divergem:\n      ${zoneDiff.join('\n      ')}`);
+    }
+  });
+  const parity = differences(node, gas);
+  if (parity.length > 0) {
+    problems.push(`Node e Apps Script divergem:\n      ${parity.join('\n      ')}`);
+  }
+
+  if (update) {
+    if (!fs.existsSync(GOLDEN_DIR)) {
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    }
+    fs.writeFileSync(goldenFile, JSON.stringify(node, null, 2) + '\n');
+    console.log(`[Harness] Golden atualizado: ${path.relative(process.cwd(), goldenFile)}`);
+  } else if (!fs.existsSync(goldenFile)) {
+    problems.push(`Golden não encontrado: ${path.relative(process.cwd(), goldenFile)} (rode \`update\`)`);
+  } else {
+    const golden = readJson(goldenFile);
+    const nodeDiff = differences(golden, node);
+    if (nodeDiff.length > 0) problems.push(`Node difere do golden (golden → atual):\n      ${nodeDiff.join('\n      ')}`);
+  }
+
+  if (problems.length > 0) {
+    problems.forEach(p => console.log(`  ❌ ${p}`));
+    return false;
+  }
+  console.log(`  ✅ ${node.summary.total_pontos} pts, ${node.summary.total_editors} editores — Node (TZ=${RUNTIME_TIME_ZONES.join(', ')}) e Apps Script iguais${update ? '' : ' ao golden'}`);
+  return true;
+}
+
+async function runServe(opts) {
+  const file = opts.fixtures[0];
+  const mock = ClickUpMock.createMock(ClickUpMock.readFixture(file));
+  const { url } = await mock.listen(opts.port);
+  console.log(`[Harness] Mock do ClickUp com ${path.relative(process.cwd(), file)}`);
+  console.log(`[Harness] CLICKUP_API_BASE=${url}`);
+  console.log('[Harness] Ctrl+C para encerrar');
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (opts.help) {
+    console.log(fs.readFileSync(__filename, 'utf8').match(/Usage:[\s\S]*?\n \*\n/)[0].replace(/^ \* ?/gm, ''));
+    return;
+  }
+  switch (opts.command) {
+    case 'serve': return runServe(opts);
+    case 'check':
+    case 'update': {
+      let ok = true;
+      for (const file of opts.fixtures) {
+        ok = (await runFixture(file, opts.command === 'update')) && ok;
+      }
+      if (!ok) process.exitCode = 1;
+      return;
+    }
+    default:
+      throw new Error(`Comando desconhecido: ${opts.command} (use check, update ou serve)`);
+  }
+}
+
+main().catch(error => {
+  console.error(`\n❌ Erro fatal: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,512 @@
+#!/usr/bin/env node
+
+/**
+ * ClickUp Live Counter — Gestão de Edição
+ *
+ * Small HTTP service that keeps the running month's report up to date from
+ * ClickUp webhooks, instead of waiting for the Apps Script trigger. Each
+ * relevant event re-fetches the task, updates the local task cache
+ * (lib/task-cache) and rebuilds the report with the same engine, so
+ * `GET /` serves the same JSON as the Apps Script `doGet`.
+ *
+ * Usage:
+ *   node scripts/clickup-live-service.js                         # sync lists, listen on :8787
+ *   node scripts/clickup-live-service.js --port 9000
+ *   node scripts/clickup-live-service.js --from-snapshot scripts/fixtures/snapshot-2026-02.json
+ *   node scripts/clickup-live-service.js --from-snapshot scripts/fixtures/snapshot-2026-02.json \
+ *     --replay scripts/fixtures/webhooks/task-updated-pontos.json  # apply fixture, print diff, exit
+ *   node scripts/clickup-live-service.js --from-snapshot scripts/fixtures/snapshot-2026-02.json --insecure
+ *     # offline, POST /webhook accepted without X-Signature (posting fixtures by hand)
+ *
+ * Endpoints:
+ *   POST /webhook          ClickUp webhook (X-Signature checked with CLICKUP_WEBHOOK_SECRET)
+ *   GET  /                 current month report (same JSON as doGet)
+ *   GET  /?month=YYYY-MM   report of another month
+ *   GET  /?view=diff       what the last event changed
+ *   GET  /?view=history    month history (docs/reports/history.json) with the live month
+ *   GET  /health
+ *
+ * Reports are scoped like the Apps Script doGet (BonusRules.scopeReport):
+ * `?token=` or `Authorization: Bearer <token>` is looked up in
+ * ACCESS_TOKENS (JSON: { "<token>": { "role": "admin" | "editor", "editor_id" } });
+ * without a known token only the ranking is served. view=diff and months
+ * not built yet are for admins.
+ *
+ * ClickUp setup: create a webhook (POST /team/{team_id}/webhook) pointing to
+ * https://<host>/webhook with the events in TASK_EVENTS, and put the
+ * returned `secret` in CLICKUP_WEBHOOK_SECRET: without it the service does
+ * not start, since anyone reaching the port could change the month's
+ * totals (--insecure lifts this, offline only). Webhooks can be missed, so
+ * the lists are also synced incrementally every RESYNC_INTERVAL_MS.
+ *
+ * With --from-snapshot the service runs offline: tasks come from the
+ * snapshot and webhook payloads must carry the task (and optionally its
+ * status history) themselves, like the fixtures in scripts/fixtures/webhooks/.
+ *
+ * @module clickup-live-service
+ */
+
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+
+// Load env from project root
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const BonusRules = require('./lib/bonus-rules');
+const { readSnapshot } = require('./lib/snapshot');
+const { DEFAULT_POLICY_FILE, DEFAULT_ROSTER_FILE, policyForMonth, loadRoster, loadEscala } = require('./lib/policy');
+const MonthClose = require('./lib/month-close');
+const History = require('./lib/history');
+const TaskCache = require('./lib/task-cache');
+const ClickUpFetch = require('./lib/clickup-fetch');
+
+// ─── Config ──────────────────────────────────────────────────────────────────
+
+const DEFAULT_PORT = 8787;
+const RESYNC_INTERVAL_MS = 30 * 60 * 1000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const TASK_EVENTS = ['taskCreated', 'taskUpdated', 'taskDeleted', 'taskMoved', 'taskStatusUpdated', 'taskTagUpdated'];
+
+// taskUpdated fires for any edit; only these change the count
+const WATCHED_FIELDS = ['Primeira Edição', 'Pontos', 'Editor'];
+const WATCHED_TASK_FIELDS = ['name', 'status', 'tag', 'tag_removed', 'archived'];
+
+// In the business time zone: on a UTC server the month turns 3h early
+function currentMonth() {
+  return BonusRules.formatDate(new Date()).slice(0, 7);
+}
+
+function parseAccessTokens(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`ACCESS_TOKENS inválido: ${error.message}`);
+  }
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    port: Number(process.env.LIVE_SERVICE_PORT) || DEFAULT_PORT,
+    fromSnapshot: null, replay: [], policyFile: DEFAULT_POLICY_FILE, rosterFile: DEFAULT_ROSTER_FILE, insecure: false, help: false,
+    accessTokens: parseAccessTokens(process.env.ACCESS_TOKENS),
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--port': case '-p': opts.port = Number(args[++i]); break;
+      case '--from-snapshot': opts.fromSnapshot = args[++i]; break;
+      case '--replay': opts.replay.push(args[++i]); break;
+      case '--policy': opts.policyFile = path.resolve(args[++i]); break;
+      case '--roster': opts.rosterFile = path.resolve(args[++i]); break;
+      case '--insecure': opts.insecure = true; break;
+      case '--help': case '-h': opts.help = true; break;
+    }
+  }
+
+  return opts;
+}
+
+// ─── State ───────────────────────────────────────────────────────────────────
+
+const state = {
+  offline: false,
+  month: null,              // fixed month in offline mode (the snapshot's)
+  stores: {},               // listId -> task-cache store (every task of the list)
+  statusByTask: {},         // offline only; online reads the status cache
+  snapshotQuality: null,
+  failedLists: [],
+  reports: {},              // month -> report, dropped on every change
+  lastDiff: null,
+  events: 0,
+  updatedAt: null,
+  queue: Promise.resolve(),
+};
+
+/**
+ * Run `fn` after everything already queued: webhook events, resyncs and
+ * report builds never interleave.
+ */
+function enqueue(fn) {
+  const run = state.queue.then(fn);
+  state.queue = run.catch(() => {});
+  return run;
+}
+
+function liveMonth() {
+  return state.month || currentMonth();
+}
+
+/**
+ * Tasks of all lists with "Primeira Edição" in the month.
+ * Tasks from the FREELAS list are flagged with `_team: 'freela'`.
+ */
+function monthTasks(month) {
+  const dateRange = BonusRules.getMonthRange(month);
+  const tasks = [];
+  for (const [listId, store] of Object.entries(state.stores)) {
+    for (const task of Object.values(store.tasks)) {
+      if (!BonusRules.isInRange(task, dateRange)) continue;
+      if (listId === ClickUpFetch.LIST_IDS.filaFreelas) task._team = 'freela';
+      tasks.push(task);
+    }
+  }
+  return tasks;
+}
+
+/**
+ * Report of a month, from memory when nothing changed since it was built.
+ * Closed months are served as closed (see lib/month-close).
+ */
+async function buildMonthReport(month) {
+  if (state.reports[month]) return state.reports[month];
+
+  if (MonthClose.readLock(month)) {
+    MonthClose.verifyClosedReport(month);
+    const file = path.join(MonthClose.REPORTS_DIR, `video-count-${month}.json`);
+    state.reports[month] = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return state.reports[month];
+  }
+
+  // Before monthTasks: the policy's time zone defines the month range
+  BonusRules.usePolicy(policyForMonth(month, opts.policyFile));
+  const tasks = monthTasks(month);
+  let statusByTask;
+  let dataQuality;
+  if (state.offline) {
+    statusByTask = state.statusByTask;
+    dataQuality = state.snapshotQuality;
+  } else {
+    ClickUpFetch.resetDataQuality();
+    // Only tasks whose date_updated changed since their history was cached are fetched
+    statusByTask = await ClickUpFetch.fetchStatusHistoryCached(tasks);
+    dataQuality = { ...ClickUpFetch.dataQuality(), failed_lists: state.failedLists };
+  }
+
+  const report = BonusRules.buildReport(tasks, statusByTask, {
+    month, roster: loadRoster(opts.rosterFile), dataQuality, escala: loadEscala(month),
+  });
+  MonthClose.applyAdjustments(report, MonthClose.loadAdjustments(month));
+  report.metadata.live = { updated_at: state.updatedAt, events: state.events, offline: state.offline };
+  state.reports[month] = report;
+  return report;
+}
+
+/**
+ * Drop cached reports and rebuild the live month, keeping what changed.
+ */
+async function refresh(source) {
+  const month = liveMonth();
+  const previous = state.reports[month];
+  state.reports = {};
+  state.updatedAt = new Date().toISOString();
+  const report = await buildMonthReport(month);
+  if (!previous || report.metadata.closed) return null;
+
+  const diff = BonusRules.diffReports(previous, report);
+  const { entered, left, changed } = diff.tasks;
+  if (diff.editors.length > 0 || entered.length + left.length + changed.length > 0) {
+    diff.source = source;
+    state.lastDiff = diff;
+  }
+  return diff;
+}
+
+// ─── Sync ────────────────────────────────────────────────────────────────────
+
+function loadFromSnapshot(file) {
+  const snapshot = readSnapshot(file);
+  state.offline = true;
+  state.month = snapshot.month;
+  state.statusByTask = { ...snapshot.statusByTask };
+  state.snapshotQuality = snapshot.dataQuality;
+  Object.values(ClickUpFetch.LIST_IDS).forEach(id => { state.stores[id] = TaskCache.emptyStore(id); });
+  for (const task of snapshot.tasks) {
+    // Older snapshots have no list on the task; FREELAS tasks carry _team
+    const listId = (task.list && task.list.id) ||
+      (task._team === 'freela' ? ClickUpFetch.LIST_IDS.filaFreelas : ClickUpFetch.LIST_IDS.producao);
+    (state.stores[listId] || state.stores[ClickUpFetch.LIST_IDS.producao]).tasks[task.id] = task;
+  }
+  console.log(`[LiveCounter] Offline: ${snapshot.tasks.length} tasks de ${file} (${snapshot.month}, buscado em ${snapshot.fetchedAt})`);
+}
+
+/**
+ * Incremental sync of every list (full on first run, see lib/task-cache).
+ */
+async function syncAll() {
+  const failed = [];
+  for (const [key, listId] of Object.entries(ClickUpFetch.LIST_IDS)) {
+    try {
+      state.stores[listId] = await ClickUpFetch.syncList(listId, false);
+    } catch (error) {
+      console.error(`[LiveCounter] Erro ao sincronizar ${key} (${listId}): ${error.message}`);
+      failed.push({ list_id: listId, name: key, error: error.message });
+      if (!state.stores[listId]) state.stores[listId] = TaskCache.loadList(listId);
+    }
+  }
+  state.failedLists = failed;
+}
+
+// ─── Webhooks ────────────────────────────────────────────────────────────────
+
+/**
+ * True when the event can change the count.
+ */
+function isRelevant(webhook) {
+  if (!webhook || !TASK_EVENTS.includes(webhook.event) || !webhook.task_id) return false;
+  if (webhook.event !== 'taskUpdated') return true;
+  return (webhook.history_items || []).some(item => {
+    if (item.field === 'custom_field') {
+      const field = { custom_fields: [item.custom_field || { name: '' }] };
+      return WATCHED_FIELDS.some(name => BonusRules.findField(field, name));
+    }
+    return WATCHED_TASK_FIELDS.includes(item.field);
+  });
+}
+
+/**
+ * Apply one webhook. `payload` is the ClickUp body; offline it is a fixture
+ * ({ webhook, task, status? }) because there is no ClickUp to ask.
+ */
+async function handleWebhook(payload, source) {
+  const webhook = state.offline ? payload.webhook : payload;
+  if (!isRelevant(webhook)) {
+    console.log(`[LiveCounter] Ignorado: ${(webhook && webhook.event) || 'payload inválido'} ${(webhook && webhook.task_id) || ''}`);
+    return null;
+  }
+  state.events++;
+
+  let task;
+  if (webhook.event === 'taskDeleted') {
+    task = { id: webhook.task_id, archived: true };
+  } else if (state.offline) {
+    if (!payload.task) throw new Error(`Fixture sem "task": ${source}`);
+    task = payload.task;
+    if (payload.status) state.statusByTask[task.id] = payload.status;
+  } else {
+    task = await ClickUpFetch.getTask(webhook.task_id);
+  }
+
+  // Archived, deleted or moved out of the counted lists: drop it everywhere
+  const listId = task.list && task.list.id;
+  const changes = { added: 0, updated: 0, removed: 0, editors: new Set() };
+  for (const store of Object.values(state.stores)) {
+    const keep = !task.archived && store.list_id === listId;
+    if (!keep && !store.tasks[task.id]) continue;
+    const result = BonusRules.applyTaskUpdates(store, [keep ? task : { id: task.id, archived: true }]);
+    if (result.added + result.updated + result.removed === 0) continue;
+    changes.added += result.added;
+    changes.updated += result.updated;
+    changes.removed += result.removed;
+    result.editors.forEach(e => changes.editors.add(e));
+    if (!state.offline) TaskCache.saveList(store);
+  }
+
+  const editors = [...changes.editors].join(', ') || 'nenhum';
+  console.log(`[LiveCounter] ${webhook.event} ${webhook.task_id}: +${changes.added} ~${changes.updated} -${changes.removed} (editores: ${editors})`);
+  if (changes.added + changes.updated + changes.removed === 0) return null;
+  return refresh(`${webhook.event} ${webhook.task_id}`);
+}
+
+function verifySignature(body, signature) {
+  const secret = process.env.CLICKUP_WEBHOOK_SECRET;
+  if (!secret) return opts.insecure; // checked at startup: only offline
+  const expected = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  const given = String(signature || '');
+  return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+function sendJson(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    // The widget is a static page on another origin
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store',
+  });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Payload grande demais'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function receiveWebhook(req, res) {
+  const body = await readBody(req);
+  if (!verifySignature(body, req.headers['x-signature'])) {
+    console.warn('[LiveCounter] Webhook com assinatura inválida recusado');
+    return sendJson(res, 401, { error: 'assinatura inválida' });
+  }
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    return sendJson(res, 400, { error: 'JSON inválido' });
+  }
+
+  // ClickUp retries slow deliveries: answer first, process in order after
+  sendJson(res, 200, { ok: true });
+  enqueue(() => handleWebhook(payload, 'webhook')).catch(error => {
+    console.error(`[LiveCounter] Erro ao processar webhook: ${error.message}`);
+  });
+}
+
+function requestAccess(req, url) {
+  const header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return BonusRules.resolveAccess({
+    token: header ? header[1].trim() : url.searchParams.get('token'),
+    tokens: opts.accessTokens,
+  });
+}
+
+async function serveReport(req, url, res) {
+  const access = requestAccess(req, url);
+  if (url.searchParams.get('view') === 'diff') {
+    if (access.role !== 'admin') {
+      return sendJson(res, 403, { error: 'Diferenças entre execuções: apenas coordenadores' });
+    }
+    return sendJson(res, 200, state.lastDiff || { editors: [], tasks: {} });
+  }
+  if (url.searchParams.get('view') === 'history') {
+    // The live month is merged in memory; the file only changes when the counter saves
+    const report = await enqueue(() => buildMonthReport(liveMonth()));
+    const history = BonusRules.mergeHistory(History.readHistory(), BonusRules.historyEntry(report));
+    return sendJson(res, 200, BonusRules.scopeHistory(history, access));
+  }
+  const month = url.searchParams.get('month') || liveMonth();
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    return sendJson(res, 400, { error: `Mês inválido: ${month} (use YYYY-MM)` });
+  }
+  // Building another month fetches its status history: admins only
+  if (!state.reports[month] && month !== liveMonth() && access.role !== 'admin') {
+    return sendJson(res, 403, { error: `Relatório de ${month} ainda não foi calculado — peça a um coordenador` });
+  }
+  const report = await enqueue(() => buildMonthReport(month));
+  const scoped = BonusRules.scopeReport(report, access);
+  sendJson(res, 200, { ...scoped, metadata: { ...scoped.metadata, cached_at: state.updatedAt } });
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let handled;
+    if (req.method === 'POST' && url.pathname === '/webhook') {
+      handled = receiveWebhook(req, res);
+    } else if (req.method === 'GET' && url.pathname === '/health') {
+      handled = Promise.resolve(sendJson(res, 200, {
+        ok: true, offline: state.offline, month: liveMonth(), events: state.events,
+        updated_at: state.updatedAt, failed_lists: state.failedLists,
+      }));
+    } else if (req.method === 'GET' && url.pathname === '/') {
+      handled = serveReport(req, url, res);
+    } else {
+      handled = Promise.resolve(sendJson(res, 404, { error: 'não encontrado' }));
+    }
+    handled.catch(error => {
+      console.error(`[LiveCounter] ${req.method} ${req.url}: ${error.message}`);
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+    });
+  });
+}
+
+// ─── Replay ──────────────────────────────────────────────────────────────────
+
+function printChanges(diff) {
+  if (!diff || diff.editors.length === 0) {
+    console.log('  Nenhum editor mudou de pontos, ranking ou bônus.');
+    return;
+  }
+  const sign = n => (n > 0 ? `+${n}` : `${n}`);
+  for (const e of diff.editors) {
+    const rank = e.rank.from !== e.rank.to ? ` | rank ${e.rank.from || '-'} → ${e.rank.to || '-'}` : '';
+    console.log(`  ${e.name}: ${e.pontos.from} → ${e.pontos.to} pts (${sign(e.pontos.delta)})${rank} | R$ ${e.bonus.from} → R$ ${e.bonus.to} (${sign(e.bonus.delta)})`);
+    for (const r of e.reasons) {
+      console.log(`    · ${r.task_id ? `[${r.task_id}] ${r.task_name}: ` : ''}${r.reason}`);
+    }
+  }
+}
+
+/**
+ * Apply recorded webhook fixtures in order and print what each changed.
+ */
+async function replay(files) {
+  await buildMonthReport(liveMonth());
+  for (const file of files) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`\n[LiveCounter] Replay: ${path.basename(file)}${fixture.description ? ` — ${fixture.description}` : ''}`);
+    printChanges(await handleWebhook(fixture, file));
+  }
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+const opts = parseArgs();
+
+async function main() {
+  if (opts.help) {
+    console.log(fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, ''));
+    return;
+  }
+
+  if (opts.insecure && !opts.fromSnapshot) {
+    throw new Error('--insecure só vale offline (--from-snapshot): em produção defina CLICKUP_WEBHOOK_SECRET');
+  }
+  if (!process.env.CLICKUP_WEBHOOK_SECRET && !opts.insecure && opts.replay.length === 0) {
+    throw new Error('CLICKUP_WEBHOOK_SECRET não definido — sem ele qualquer um que alcance a porta altera o mês (use --insecure só para fixtures)');
+  }
+  if (opts.insecure) {
+    console.warn('[LiveCounter] --insecure: webhooks aceitos sem verificar assinatura');
+  }
+
+  if (opts.fromSnapshot) {
+    loadFromSnapshot(opts.fromSnapshot);
+  } else if (opts.replay.length > 0) {
+    throw new Error('--replay usa o task do fixture; rode com --from-snapshot para não misturar com o cache real');
+  } else {
+    await syncAll();
+  }
+
+  if (opts.replay.length > 0) {
+    return replay(opts.replay);
+  }
+
+  state.updatedAt = new Date().toISOString();
+  await buildMonthReport(liveMonth());
+
+  if (!state.offline) {
+    setInterval(() => {
+      enqueue(async () => {
+        await syncAll();
+        await refresh('resync');
+      }).catch(error => console.error(`[LiveCounter] Erro no resync: ${error.message}`));
+    }, RESYNC_INTERVAL_MS);
+  }
+
+  createServer().listen(opts.port, () => {
+    console.log(`[LiveCounter] Ouvindo em http://localhost:${opts.port} (mês ${liveMonth()}${state.offline ? ', offline' : ''})`);
+  });
+}
+
+main().catch(error => {
+  console.error(`\n❌ Erro fatal: ${error.message}`);
+  process.exit(1);
+});
@@ -15,6 +15,34 @@
  *   node scripts/clickup-video-counter.js --month 2026-02    # specific month
  *   node scripts/clickup-video-counter.js --list fixed       # only fixed team list
  *   node scripts/clickup-video-counter.js --dry-run          # show without saving
+ *   node scripts/clickup-video-counter.js --snapshot-out snap.json  # save raw ClickUp data
+ *   node scripts/clickup-video-counter.js --from-snapshot snap.json # replay offline
+ *   node scripts/clickup-video-counter.js close --month 2026-02     # freeze a paid month
+ *   node scripts/clickup-video-counter.js adjust --month 2026-02 --editor <id> --valor 50 --motivo "..."
+ *   node scripts/clickup-video-counter.js audit                     # check audit log chain and closed months
+ *   node scripts/clickup-video-counter.js export --month 2026-02    # payroll statements
+ *   node scripts/clickup-video-counter.js diff --month 2026-02      # previous vs latest run
+ *   node scripts/clickup-video-counter.js diff --from 2026-01 --to 2026-02
+ *   node scripts/clickup-video-counter.js escala --month 2026-03    # generate the folga rotation
+ *   node scripts/clickup-video-counter.js forecast --month 2026-04  # capacity plan from past reports
+ *   node scripts/clickup-video-counter.js lint --month 2026-02      # data-quality issues in ClickUp
+ *   node scripts/clickup-video-counter.js history                   # trends of the last 12 months
+ *   node scripts/clickup-video-counter.js notify --month 2026-02 --final --notify file  # month summary
+ *   node scripts/clickup-video-counter.js freela --month 2026-02 --editor bianca --invoice nota.csv
+ *
+ * Bonus rules come from scripts/policy/bonus-policies.json: the version
+ * whose `effective_from` was in force for --month is applied. Teams come
+ * from scripts/policy/roster.json (ClickUp user ID → team/role/period).
+ *
+ * Tasks and status history are cached in scripts/.cache/clickup/; each run
+ * only downloads tasks updated since the previous one (see lib/task-cache).
+ * For near-real-time counts from ClickUp webhooks see clickup-live-service.js.
+ * clickup-harness.js runs this counter and the Apps Script against a ClickUp
+ * mock (CLICKUP_API_BASE) and checks the reports against golden files;
+ * unit tests of the lib modules: `node --test scripts/tests/`.
+ *
+ * With --notify (or NOTIFY_TRANSPORTS) each saved count sends the daily
+ * summary and `close` sends the month summary (see lib/notifier).
  *
  * @module clickup-video-counter
  */
@@ -25,727 +53,1073 @@ const fs = require('fs');
 // Load env from project root
 require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
 
-// Reuse existing ClickUp service modules
-const clickup = require('../.aios-core/infrastructure/services/clickup');
-const clickupClient = require('../.aios-core/infrastructure/services/clickup/client');
-const { findFieldByName, parseFieldValue } = require('../.aios-core/infrastructure/services/clickup/custom-fields');
-
-// ─── Constants ───────────────────────────────────────────────────────────────
-
-const LIST_IDS = {
-  producao: '901303868623',     // Produção de Criativos (PRINCIPAL)
-  filaFixo: '901324270156',     // Fila de Edição (time fixo) - secundária
-  filaFreelas: '901324715701',  // Fila de Edição FREELAS - secundária
-};
-
-// Fallback weight map (used when "Pontos" field is empty)
-const WEIGHT_MAP = {
-  bbb: 1,
-  symphony: 1,
-  ttcx: 2,
-  gov: 2,
-  motion: 4,
-  longform: 5,
-  clp: 1,
-};
-
-const BONUS_CONFIG = {
-  productivity: [
-    { rank: 1, value: 500 },
-    { rank: 2, value: 250 },
-  ],
-  metaDiaria: 6, // meta mínima diária: 6 pontos
-  turbo: { value: 100, threshold: 8 }, // TURBO: 8+ pontos/dia
-  turbinho: { value: 10 }, // R$10 por criativo sem ajuste
-  fds: { perTask: { 1: 35, 2: 50 }, tags: ['fds edição', 'feriado edição'] },
-  ajusteStatuses: ['para ajustar', 'para ajustar cliente'],
-  freelaPerTask: { 1: 35, 2: 50 },
-};
-
-// Time fixo — apenas esses editores recebem TURBO e Turbinho
-const TIME_FIXO = [
-  'pedro ximenes', 'lílian elen', 'lilian elen',
-  'rafael nóbrega', 'rafael nobrega',
-  'bruna', 'vinícius', 'vinicius', 'daniel', 'ricardo',
-];
-const TIME_IA = ['rafael gomes'];
-const FREELAS = [
-  'bianca', 'ághata', 'agatha', 'maria eduarda',
-  'gabriel bonilha', 'raphael', 'saturno', 'gustavo', 'hugo',
-];
-const NAME_ALIASES = { 'saturno': 'Raphael (Saturno)' };
-
-function isTimeFixo(name) {
-  const n = (name || '').toLowerCase();
-  return TIME_FIXO.some(f => n.includes(f));
-}
-
-function classifyTeam(name) {
-  const n = (name || '').toLowerCase();
-  if (TIME_FIXO.some(f => n.includes(f))) return 'fixed';
-  if (TIME_IA.some(f => n.includes(f))) return 'ia';
-  return 'freela';
-}
+// Shared with the Apps Script counter — same rules, same report
+const BonusRules = require('./lib/bonus-rules');
+const { writeSnapshot, readSnapshot } = require('./lib/snapshot');
+const { DEFAULT_POLICY_FILE, DEFAULT_ROSTER_FILE, policyForMonth, loadRoster, escalaFile, loadEscala } = require('./lib/policy');
+const { exportPayroll, csvCell } = require('./lib/payroll');
+const MonthClose = require('./lib/month-close');
+const { generateEscala, previousMonth } = require('./lib/escala');
+const Forecast = require('./lib/forecast');
+const TaskLint = require('./lib/task-lint');
+const History = require('./lib/history');
+const Notifier = require('./lib/notifier');
+const FreelaBilling = require('./lib/freela-billing');
+const ClickUpFetch = require('./lib/clickup-fetch');
 
-// ─── Task Name Pattern ───────────────────────────────────────────────────────
-// [398] [P13][MC][21/02] MODA - Thais
-const TASK_NAME_PATTERN = /\[(\d+)\]\s*\[([A-Z]\d+)\]\[([A-Z]+)\]\[(\d{2}\/\d{2})\]\s*(\w+)\s*-\s*(.+?)$/i;
+// ─── CLI ─────────────────────────────────────────────────────────────────────
 
-const CLIENT_CODE_MAP = {
-  'MC': 'bbb', 'MELI': 'bbb', 'BBB': 'bbb',
-  'TTCX': 'ttcx', 'GOV': 'gov', 'MG': 'motion',
-  'LF': 'longform', 'SYM': 'symphony', 'CLP': 'clp',
-};
+const REPORTS_DIR = MonthClose.REPORTS_DIR;
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+const HISTORY_TREND_MONTHS = 12;
 
-const NAME_PATTERNS = [
-  { regex: /bbb|react|moda|cpg|mercado\s*livre/i, type: 'bbb' },
-  { regex: /ttcx|anúncio|anuncio|tiktok/i, type: 'ttcx' },
-  { regex: /symphony|sinfonia|ia\b/i, type: 'symphony' },
-  { regex: /motion\s*graphics?|animação|animacao/i, type: 'motion' },
-  { regex: /long\s*form|youtube|podcast/i, type: 'longform' },
-  { regex: /gov(erno)?|institucional/i, type: 'gov' },
-  { regex: /clp|landing\s*page/i, type: 'clp' },
-];
+// In the business time zone: on a UTC server the month turns 3h early
+function currentMonth() {
+  return BonusRules.formatDate(new Date()).slice(0, 7);
+}
 
-// ─── Field Extraction ────────────────────────────────────────────────────────
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    command: 'count', month: null, list: 'all', dryRun: false, help: false,
+    snapshotOut: null, fromSnapshot: null, policyFile: DEFAULT_POLICY_FILE, rosterFile: DEFAULT_ROSTER_FILE, escalaFile: null,
+    formats: EXPORT_FORMATS, reportFile: null, outDir: null,
+    by: null, editor: null, valor: null, motivo: null, taskId: null,
+    diffFrom: null, diffTo: null, json: false, cache: true, fullSync: false, force: false,
+    months: null, rebuild: false,
+    notify: process.env.NOTIFY_TRANSPORTS ? process.env.NOTIFY_TRANSPORTS.split(',').map(t => t.trim()).filter(Boolean) : [],
+    notifyOut: null, date: null, final: false, invoiceFile: null,
+  };
 
-/**
- * Get "Primeira Edição" date from task.
- * Returns Date object or null.
- */
-function getPrimeiraEdicao(task) {
-  const field = findFieldByName(task, 'Primeira Edição');
-  if (!field) return null;
-  const val = parseFieldValue(field);
-  if (!val) return null;
-  const d = new Date(typeof val === 'string' ? val : parseInt(val));
-  return isNaN(d.getTime()) ? null : d;
-}
+  // Optional subcommand before the options (default: count)
+  if (args[0] && !args[0].startsWith('-')) {
+    opts.command = args.shift();
+  }
 
-/**
- * Get "Pontos" from task custom field.
- * Falls back to project type identification + WEIGHT_MAP.
- */
-function getPontos(task) {
-  // 1. Try "Pontos" custom field
-  const pontosField = findFieldByName(task, 'Pontos');
-  if (pontosField) {
-    const val = parseFieldValue(pontosField);
-    if (val !== null && val !== undefined) {
-      const num = parseInt(String(val).replace(/[^0-9]/g, ''));
-      if (!isNaN(num) && num > 0) return num;
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--month': case '-m': opts.month = args[++i]; break;
+      case '--list': case '-l': opts.list = args[++i]; break;
+      case '--dry-run': case '-d': opts.dryRun = true; break;
+      case '--snapshot-out': opts.snapshotOut = args[++i]; break;
+      case '--from-snapshot': opts.fromSnapshot = args[++i]; break;
+      case '--policy': opts.policyFile = path.resolve(args[++i]); break;
+      case '--roster': opts.rosterFile = path.resolve(args[++i]); break;
+      case '--escala': opts.escalaFile = path.resolve(args[++i]); break;
+      case '--format': case '-f': opts.formats = args[++i].split(',').map(f => f.trim().toLowerCase()); break;
+      case '--report': opts.reportFile = path.resolve(args[++i]); break;
+      case '--out': case '-o': opts.outDir = path.resolve(args[++i]); break;
+      case '--by': opts.by = args[++i]; break;
+      case '--editor': opts.editor = args[++i]; break;
+      case '--valor': opts.valor = Number(String(args[++i]).replace(',', '.')); break;
+      case '--motivo': opts.motivo = args[++i]; break;
+      case '--task': opts.taskId = args[++i]; break;
+      case '--from': opts.diffFrom = args[++i]; break;
+      case '--to': opts.diffTo = args[++i]; break;
+      case '--json': opts.json = true; break;
+      case '--no-cache': opts.cache = false; break;
+      case '--full-sync': opts.fullSync = true; break;
+      case '--force': opts.force = true; break;
+      case '--months': opts.months = parseInt(args[++i], 10); break;
+      case '--rebuild': opts.rebuild = true; break;
+      case '--notify': opts.notify = args[++i].split(',').map(t => t.trim().toLowerCase()).filter(Boolean); break;
+      case '--notify-out': opts.notifyOut = path.resolve(args[++i]); break;
+      case '--date': opts.date = args[++i]; break;
+      case '--final': opts.final = true; break;
+      case '--invoice': opts.invoiceFile = path.resolve(args[++i]); break;
+      case '--help': case '-h': opts.help = true; break;
     }
   }
 
-  // 2. Fallback: identify project type and use WEIGHT_MAP
-  const type = identifyProjectType(task);
-  if (type !== 'unknown') return WEIGHT_MAP[type] || 1;
+  // forecast plans the month ahead
+  if (!opts.month && opts.command === 'forecast') {
+    opts.month = MonthClose.nextMonth(currentMonth());
+  }
+  if (opts.months === null) {
+    opts.months = opts.command === 'history' ? HISTORY_TREND_MONTHS : Forecast.HISTORY_MONTHS;
+  }
+  // --from-snapshot / export --report take the month from the file
+  if (!opts.month && !opts.fromSnapshot && !opts.reportFile) {
+    opts.month = currentMonth();
+  }
 
-  return null; // truly unknown
+  return opts;
 }
 
-/**
- * Identify project type from task data (fallback for Pontos)
- */
-function identifyProjectType(task) {
-  // Try custom field "Produto"
-  const produtoField = findFieldByName(task, 'Produto');
-  if (produtoField) {
-    const val = parseFieldValue(produtoField);
-    if (val) {
-      const normalized = String(val).toLowerCase().trim();
-      for (const [key] of Object.entries(WEIGHT_MAP)) {
-        if (normalized.includes(key)) return key;
-      }
-      if (/react|moda|cpg/i.test(normalized)) return 'bbb';
-      if (/anúncio|anuncio/i.test(normalized)) return 'ttcx';
-      if (/sinfonia/i.test(normalized)) return 'symphony';
-    }
-  }
+function helpText(policy) {
+  return `
+ClickUp Video Counter — Gestão de Edição AllFluence
 
-  // Try client code from task name
-  const match = TASK_NAME_PATTERN.exec(task.name);
-  if (match) {
-    const clientCode = match[3].toUpperCase();
-    if (CLIENT_CODE_MAP[clientCode]) return CLIENT_CODE_MAP[clientCode];
-  }
+Conta pontos por editor com base no campo "Primeira Edição" e "Pontos".
 
-  // Regex fallback
-  for (const { regex, type } of NAME_PATTERNS) {
-    if (regex.test(task.name)) return type;
-  }
+Usage:
+  node scripts/clickup-video-counter.js [options]
+  node scripts/clickup-video-counter.js export [options]
+
+Commands:
+  count (default)         Busca no ClickUp, calcula pontos e bônus e salva o relatório
+  close                   Fecha o mês: congela relatório, snapshot e política (com hash).
+                          Depois disso, novas contagens viram diff e não sobrescrevem
+  adjust                  Registra um ajuste atribuído a um mês fechado, pago no
+                          próximo mês aberto
+  audit                   Confere o encadeamento do log de auditoria e o hash dos relatórios
+                          fechados. close e adjust recusam gravar com o log adulterado.
+                          Sai com código 1 se algo não conferir
+  export                  Gera o fechamento do mês a partir do relatório salvo:
+                          CSV/XLSX consolidado + extrato PDF por editor
+  diff                    Compara dois relatórios: tasks que entraram/saíram/mudaram
+                          e por que pontos, ranking e bônus de cada editor mudaram
+  escala                  Gera a escala de folgas do mês a partir do roster (time fixo),
+                          respeitando a cobertura mínima; salva em scripts/policy/escala/
+  forecast                Plano de capacidade do mês (default: próximo mês) a partir dos
+                          relatórios salvos: vazão por editor e formato, demanda por
+                          cliente, quanto o time fixo absorve e quantos freelas faltam
+  lint                    Lista todos os problemas de dados nas tasks do mês (pontos, nome,
+                          datas, editores, roster), por regra e por responsável.
+                          Sai com código 1 se houver erros que mudam o pagamento
+  history                 Tendências dos últimos meses a partir do histórico (docs/reports/history.json):
+                          pontos e ranking por editor, bônus pago e parte dos freelas
+  notify                  Reenvia o resumo do relatório salvo: diário (--date) ou do mês (--final)
+  freela                  Quanto cada freela deve receber no mês (tarifa por task), a partir do
+                          relatório salvo. Com --invoice, confere a fatura do freela com as tasks
+                          do ClickUp: itens não encontrados, duplicados, de outro editor, sem
+                          tarifa ou cobrados acima. Sai com código 1 se houver pendências
 
-  return 'unknown';
-}
+Options:
+  --month, -m <YYYY-MM>   Mês para contar (default: mês atual)
+  --list, -l <name>       Filtro: all | producao | fixed | freelas (default: all)
+  --dry-run, -d           Mostra resultado sem salvar arquivo
+  --snapshot-out <file>   Salva as tarefas e o histórico de status buscados no ClickUp
+  --from-snapshot <file>  Recalcula o relatório a partir de um snapshot (sem ClickUp)
+  --policy <file>         Arquivo de política de bônus (default: scripts/policy/bonus-policies.json)
+  --roster <file>         Roster de editores por ID do ClickUp (default: scripts/policy/roster.json)
+  --escala <file>         Folgas e feriados do mês para a meta diária (default: scripts/policy/escala/YYYY-MM.json);
+                          escala: arquivo de saída
+  --full-sync             Baixa todas as tasks de novo e recria o cache local
+  --no-cache              Não usa o cache local (baixa tudo e não salva)
+  --format, -f <list>     export: formatos separados por vírgula (default: csv,xlsx,pdf)
+  --report <file>         export/notify/freela: relatório de entrada (default: docs/reports/video-count-YYYY-MM.json)
+  --out, -o <dir>         export: pasta de saída (default: docs/reports/fechamento-YYYY-MM/);
+                          forecast: arquivo do plano; lint: arquivo .csv ou .json
+  --months <n>            forecast: meses de histórico usados (default: ${Forecast.HISTORY_MONTHS});
+                          history: meses exibidos (default: ${HISTORY_TREND_MONTHS})
+  --rebuild               history: recria o histórico a partir de todos os relatórios salvos
+  --notify <list>         Envia resumos: ${Notifier.TRANSPORTS.join(', ')} (default: $NOTIFY_TRANSPORTS).
+                          count: resumo do dia; close: ranking final e bônus; file grava em .txt
+  --notify-out <dir>      notify file: pasta das mensagens (default: docs/reports/notificacoes/)
+  --date <YYYY-MM-DD>     notify: dia do resumo diário (default: hoje, ou o último dia do mês)
+  --final                 notify: envia o resumo do mês em vez do diário
+  --force                 close: fecha mesmo com dados incompletos (bônus provisórios);
+                          escala: substitui a escala existente
+  --by <nome>             close/adjust: quem executa (default: $VIDEO_COUNTER_USER ou $USER)
+  --editor <id|nome>      adjust: editor no relatório fechado; freela: só este freela
+  --invoice <file.csv>    freela: fatura do freela (colunas task/descricao, valor; ; ou ,)
+  --valor <R$>            adjust: valor do ajuste (negativo para desconto)
+  --motivo <texto>        adjust: justificativa (obrigatória)
+  --task <id>             adjust: task do ClickUp relacionada (opcional)
+  --from <file|YYYY-MM>   diff: relatório base (default: execução anterior de --month)
+  --to <file|YYYY-MM>     diff: relatório comparado (default: relatório atual de --month)
+  --json                  diff/freela: imprime o resultado em JSON
+  --help, -h              Mostra esta ajuda
 
-/**
- * Extract editor from task (custom field "Editor" or assignees)
- */
-function extractEditor(task) {
-  const editorField = findFieldByName(task, 'Editor');
-  if (editorField) {
-    const val = parseFieldValue(editorField);
-    if (val && Array.isArray(val) && val.length > 0) {
-      return val.map(u => ({
-        id: u.id,
-        name: u.username || u.email || `User ${u.id}`,
-      }));
-    }
-  }
+Output:
+  docs/reports/video-count-YYYY-MM.json       (a execução anterior vira .prev.json)
+  docs/reports/fechamento-YYYY-MM/   (export)
+  docs/reports/closed/YYYY-MM/       (close: lock.json, snapshot.json, reruns)
+  docs/reports/adjustments/YYYY-MM.json
+  docs/reports/capacidade-YYYY-MM.json (forecast; carregue no Simulador do dashboard)
+  docs/reports/history.json          (atualizado a cada contagem/fechamento; history --rebuild)
+  docs/reports/faturas/YYYY-MM/<id>.json (freela --invoice: fatura conferida)
 
-  // No fallback to assignees — only "Editor" field counts
-  return [];
+Pontos:
+  BBB React, Symphony, CLP  = 1 ponto
+  TTCX Anúncios, Governo    = 2 pontos
+  Motion Graphics            = 4 pontos
+  Long Form (YouTube)        = 5 pontos
+  Vários editores: ${policy.split
+    ? `campo "${policy.split.field}" ou {70/30} no nome (ordem do campo Editor),
+                   senão padrão do formato (${Object.entries(policy.split.defaults || {}).map(([t, r]) => `${t} ${r.principal}/${r.apoio}`).join(', ') || 'nenhum'}${policy.split.lead_field ? `, principal no campo "${policy.split.lead_field}"` : ''}), senão partes iguais`
+    : 'pontos e bônus divididos em partes iguais'}
+
+Política vigente (${policy.version}, desde ${policy.effective_from}):
+  Meta mínima diária: ${policy.bonus.metaDiaria} pontos
+  Freelas: ${freelaRule(policy)}
+  TURBO: ${policy.bonus.turbo.mode === 'threshold'
+    ? `${policy.bonus.turbo.threshold}+ pontos no dia = R$ ${policy.bonus.turbo.value}/dia`
+    : `tag "${policy.bonus.turbo.tag}" = R$ ${policy.bonus.turbo.value}/vídeo`}
+  Ranking: ${rankingRule(policy)}
+`;
 }
 
 /**
- * Check if task has FDS/feriado tag
+ * Freelancer rates of a policy in words (help).
  */
-function isFdsTask(task) {
-  if (!task.tags || !Array.isArray(task.tags)) return false;
-  return task.tags.some(t =>
-    BONUS_CONFIG.fds.tags.includes((t.name || '').toLowerCase())
-  );
+function freelaRule(policy) {
+  const perTask = Object.entries(policy.bonus.freelaPerTask).map(([pts, v]) => `${pts} pt = R$ ${v}`);
+  const perFormat = Object.entries(policy.bonus.freelaPerFormat || {}).map(([tipo, v]) => `${tipo} = R$ ${v}`);
+  return perTask.concat(perFormat).join(', ') + ' por task (roster: tarifas próprias do freela)';
 }
 
 /**
- * Check if task ever went through "PARA AJUSTAR" or "PARA AJUSTAR CLIENTE"
- * Uses ClickUp time_in_status API endpoint.
- * Returns true if task had adjustment (NOT eligible for turbinho).
+ * Ranking rule of a policy in words (help and count output).
  */
-async function hadAjuste(taskId) {
-  try {
-    const data = await clickupClient.get(`/task/${taskId}/time_in_status`);
-    if (!data || !data.status_history) return false;
-    return data.status_history.some(s =>
-      BONUS_CONFIG.ajusteStatuses.includes((s.status || '').toLowerCase())
-    );
-  } catch {
-    // If API call fails, assume no ajuste (conservative for bonus)
-    return false;
-  }
+function rankingRule(policy) {
+  const ranking = policy.ranking || {};
+  const label = key => BonusRules.RANKING_LABELS[key];
+  const breakers = (ranking.tie_breakers || []).map(label);
+  return [
+    `por ${label(ranking.score || 'pontos')}`,
+    breakers.length > 0 ? `desempate: ${breakers.join(', ')}` : null,
+    ranking.shared_prizes ? 'empate exato divide o prêmio' : 'empate exato por ordem alfabética',
+  ].filter(Boolean).join('; ');
 }
 
 /**
- * Get month date range as Unix timestamps (ms)
+ * export: payroll statements from a saved report (no ClickUp access).
  */
-function getMonthRange(monthStr) {
-  const [year, month] = monthStr.split('-').map(Number);
-  const start = new Date(year, month - 1, 1);
-  const end = new Date(year, month, 0, 23, 59, 59, 999);
-  return { start: start.getTime(), end: end.getTime() };
-}
+function runExport(opts) {
+  const invalid = opts.formats.filter(f => !EXPORT_FORMATS.includes(f));
+  if (invalid.length > 0) {
+    throw new Error(`Formato inválido: ${invalid.join(', ')} (use ${EXPORT_FORMATS.join(', ')})`);
+  }
 
-/**
- * Format date as YYYY-MM-DD
- */
-function formatDate(d) {
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-}
+  const reportFile = opts.reportFile || path.join(REPORTS_DIR, `video-count-${opts.month}.json`);
+  if (!fs.existsSync(reportFile)) {
+    throw new Error(`Relatório não encontrado: ${reportFile} — rode o contador para ${opts.month} antes`);
+  }
+  if (!opts.reportFile) {
+    MonthClose.verifyClosedReport(opts.month);
+  }
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+  if (opts.month && report.metadata.month !== opts.month) {
+    throw new Error(`Relatório é de ${report.metadata.month}, não de ${opts.month}`);
+  }
+  const month = report.metadata.month;
+  const outDir = opts.outDir || path.join(REPORTS_DIR, `fechamento-${month}`);
+
+  console.log(`\n[VideoCounter] Fechamento ${month} a partir de ${reportFile}`);
+  if (report.data_quality && !report.data_quality.complete) {
+    console.log(`⏳ Relatório com dados incompletos — extratos de ${report.data_quality.provisional_editors.join(', ')} saem como provisórios`);
+  }
+  const { statements, written } = exportPayroll(report, outDir, opts.formats);
 
-// ─── Data Fetching ───────────────────────────────────────────────────────────
+  console.log('\n───────────────────────────────────────────────────');
+  for (const st of statements) {
+    const check = st.confere ? '' : '  ⚠️  não confere com o relatório';
+    console.log(`  ${st.name}: ${st.lines.length} lançamento(s) → R$ ${st.total}${check}`);
+  }
+  console.log('───────────────────────────────────────────────────');
+  for (const file of written) {
+    console.log(`  ${path.relative(process.cwd(), file)}`);
+  }
+  console.log(`\n✅ ${written.length} arquivo(s) em: ${outDir}`);
+}
 
 /**
- * Fetch all tasks with "Primeira Edição" in date range (paginated)
+ * Fetch (or replay) the month and build the report.
+ * Returns { report, policy, roster, snapshot } — snapshot is the input used.
  */
-async function fetchAllTasks(listId, dateRange) {
-  const allTasks = [];
-  let page = 0;
-  let hasMore = true;
+async function computeReport(opts) {
+  let allTasks;
+  let statusByTask;
+  let dataQuality;
+  if (opts.fromSnapshot) {
+    const snapshot = readSnapshot(opts.fromSnapshot);
+    if (opts.month && opts.month !== snapshot.month) {
+      throw new Error(`Snapshot é de ${snapshot.month}, não de ${opts.month}`);
+    }
+    opts.month = snapshot.month;
+    opts.list = snapshot.list;
+    allTasks = snapshot.tasks;
+    statusByTask = snapshot.statusByTask;
+    dataQuality = snapshot.dataQuality;
+    console.log(`\n[VideoCounter] Replay de snapshot: ${opts.fromSnapshot} (buscado em ${snapshot.fetchedAt})`);
+  }
 
-  while (hasMore) {
-    console.log(`[VideoCounter] Fetching page ${page} from list ${listId}...`);
-    const tasks = await clickup.getTasks(listId, { page, include_closed: true });
+  const policy = BonusRules.usePolicy(policyForMonth(opts.month, opts.policyFile));
+  const roster = loadRoster(opts.rosterFile);
+  const escala = loadEscala(opts.month, opts.escalaFile || escalaFile(opts.month));
 
-    if (tasks.length === 0) {
-      hasMore = false;
-    } else {
-      // Filter by "Primeira Edição" date in range
-      const filtered = tasks.filter(t => {
-        const primeiraEdicao = getPrimeiraEdicao(t);
-        if (!primeiraEdicao) return false;
-        const ts = primeiraEdicao.getTime();
-        return ts >= dateRange.start && ts <= dateRange.end;
-      });
+  console.log(`\n[VideoCounter] AllFluence Video Counter — Sistema de Pontos`);
+  console.log(`[VideoCounter] Mês: ${opts.month}`);
+  console.log(`[VideoCounter] Política: ${policy.version} (desde ${policy.effective_from})`);
+  console.log(`[VideoCounter] Fuso horário: ${BonusRules.timeZone()}`);
+  console.log(`[VideoCounter] Roster: ${roster ? `${roster.members.length} entradas` : 'não encontrado — times por nome'}`);
+  console.log(`[VideoCounter] Escala: ${escala ? `${Object.keys(escala.folgas || {}).length} dias com folga` : 'não encontrada — meta diária sem folgas'}`);
+  console.log(`[VideoCounter] Lista: ${opts.list}`);
+  console.log(`[VideoCounter] Dry run: ${opts.dryRun}\n`);
 
-      allTasks.push(...filtered);
-      page++;
+  if (!opts.fromSnapshot) {
+    allTasks = await ClickUpFetch.fetchMonthTasks(opts.month, opts.list, { cache: opts.cache, fullSync: opts.fullSync });
+    statusByTask = opts.cache
+      ? await ClickUpFetch.fetchStatusHistoryCached(allTasks)
+      : await ClickUpFetch.fetchStatusHistory(BonusRules.statusTaskIds(allTasks));
+    dataQuality = ClickUpFetch.dataQuality();
 
-      if (tasks.length < 100) hasMore = false;
+    if (opts.snapshotOut) {
+      writeSnapshot(opts.snapshotOut, { month: opts.month, list: opts.list, tasks: allTasks, statusByTask, dataQuality });
+      console.log(`[VideoCounter] Snapshot salvo em: ${opts.snapshotOut}`);
     }
   }
 
-  console.log(`[VideoCounter] Found ${allTasks.length} tasks with "Primeira Edição" in range from list ${listId}`);
-  return allTasks;
+  console.log(`\n[VideoCounter] Total de tarefas com "Primeira Edição" no período: ${allTasks.length}\n`);
+
+  if (allTasks.length === 0) {
+    console.log('[VideoCounter] Nenhuma tarefa encontrada para este período.');
+    if (opts.dryRun) process.exit(0);
+  }
+
+  const report = BonusRules.buildReport(allTasks, statusByTask, { month: opts.month, roster, dataQuality, escala });
+  if (opts.fromSnapshot) {
+    report.metadata.snapshot = path.basename(opts.fromSnapshot);
+  }
+  MonthClose.applyAdjustments(report, MonthClose.loadAdjustments(opts.month));
+
+  return { report, policy, roster, escala, snapshot: { list: opts.list, tasks: allTasks, statusByTask, dataQuality } };
 }
 
-// ─── Calculation ─────────────────────────────────────────────────────────────
+function printReport(report, policy) {
+  const BONUS_CONFIG = policy.bonus;
+  const turboDays = report.turbo_days;
+  const turbinhoData = report.turbinho_summary;
 
-/**
- * Calculate pontos per editor, including per-day breakdown for TURBO,
- * FDS pontos tracking, and task IDs for turbinho check.
- */
-function calculatePontos(tasks) {
-  const editorMap = new Map();
-  const dailyMap = new Map(); // "editorId:YYYY-MM-DD" -> pontos
-  const unmatched = [];
-  // Track per-editor task IDs and FDS data for turbinho/fds calculations
-  const editorTaskIds = new Map(); // editorId -> [taskId, ...]
-  const editorFds = new Map(); // editorId -> { pontos, count }
-
-  for (const task of tasks) {
-    const pontos = getPontos(task);
-    const editors = extractEditor(task);
-    const primeiraEdicao = getPrimeiraEdicao(task);
-    const dateStr = primeiraEdicao ? formatDate(primeiraEdicao) : null;
-    const fds = isFdsTask(task);
-
-    if (pontos === null) {
-      unmatched.push({
-        task_id: task.id,
-        task_name: task.name,
-        reason: 'Campo "Pontos" vazio e tipo não identificado',
-      });
-      continue;
-    }
-
-    if (editors.length === 0) {
-      unmatched.push({
-        task_id: task.id,
-        task_name: task.name,
-        reason: 'Nenhum editor atribuído',
-      });
-      continue;
-    }
-
-    // Attribute pontos to each editor
-    const splitFactor = editors.length;
-    for (const editor of editors) {
-      if (!editorMap.has(editor.id)) {
-        editorMap.set(editor.id, {
-          id: editor.id,
-          name: editor.name,
-          team: 'fixed',
-          tasks_count: 0,
-          pontos: 0,
-          daily: {}, // date -> pontos
-        });
-      }
+  // Display
+  console.log('═══════════════════════════════════════════════════');
+  console.log(`  RANKING DE PONTOS — ${report.metadata.month}`);
+  console.log('═══════════════════════════════════════════════════\n');
 
-      const ed = editorMap.get(editor.id);
-      const pts = pontos / splitFactor;
-      ed.tasks_count += 1 / splitFactor;
-      ed.pontos += pts;
+  for (const editor of report.editors) {
+    const medal = !editor.rank ? '  ' : editor.rank === 1 ? '🥇' : editor.rank === 2 ? '🥈' : editor.rank === 3 ? '🥉' : `${editor.rank}º`;
+    const bonus = editor.bonus.total || editor.bonus.freelaTotal || 0;
+    const bonusStr = bonus > 0 ? ` (+R$ ${bonus}${editor.bonus.provisional ? ' provisório' : ''})` : '';
+    const teamTag = editor.team === 'freela' ? ' [FREELA]' : '';
+    const rateTag = editor.bonus.sem_tarifa > 0 ? ` ⚠️ ${editor.bonus.sem_tarifa} sem tarifa` : '';
+    const turboTag = editor.bonus.turbo_days > 0 ? ` ⚡${editor.bonus.turbo_days}` : '';
+    const turbinhoTag = editor.bonus.turbinho_count > 0 ? ` ✨${editor.bonus.turbinho_count}` : '';
+    const fdsTag = editor.bonus.fds > 0 ? ` 📅R$${editor.bonus.fds}` : '';
+    const ranking = editor.ranking;
+    const score = report.metadata.ranking.score;
+    const scoreTag = ranking && score === 'pontos_por_dia' ? ` (${ranking.score} pts/dia)` : '';
+    const rankTag = ranking && ranking.criterio !== score ? ` [${BonusRules.RANKING_LABELS[ranking.criterio]}]` : '';
+    console.log(`  ${medal} ${editor.name}${teamTag}: ${editor.totals.pontos} pts${scoreTag}${turboTag}${turbinhoTag}${fdsTag}${bonusStr}${rateTag}${rankTag}`);
+  }
+
+  console.log('\n───────────────────────────────────────────────────');
+  console.log(`  Total: ${report.summary.total_pontos} pontos`);
+  console.log(`  Editores: ${report.summary.total_editors}`);
+  const turboRule = BONUS_CONFIG.turbo.mode === 'threshold' ? `>${BONUS_CONFIG.turbo.threshold} pts/dia` : `tag "${BONUS_CONFIG.turbo.tag}"`;
+  console.log(`  Meta diária: ${BONUS_CONFIG.metaDiaria} pts | TURBO: ${turboRule}`);
+  console.log(`  Ranking: ${rankingRule(policy)}`);
+  console.log('───────────────────────────────────────────────────');
 
-      // Track daily pontos for TURBO
-      if (dateStr) {
-        ed.daily[dateStr] = (ed.daily[dateStr] || 0) + pts;
-        const key = `${editor.id}:${dateStr}`;
-        dailyMap.set(key, (dailyMap.get(key) || 0) + pts);
+  // TURBO details
+  if (Object.keys(turboDays).length > 0) {
+    console.log('\n⚡ TURBO Days:');
+    for (const [, data] of Object.entries(turboDays)) {
+      const unit = BONUS_CONFIG.turbo.mode === 'threshold' ? 'dia(s)' : 'vídeo(s)';
+      console.log(`  ${data.name}: ${data.count} ${unit} → R$ ${data.total_bonus}`);
+      for (const day of data.days) {
+        const turboCount = day.turbo_count ? ` (${day.turbo_count} turbo)` : '';
+        console.log(`    ${day.date}: ${day.pontos} pts${turboCount}`);
       }
+    }
+  }
 
-      // Track task IDs for turbinho status history check
-      if (!editorTaskIds.has(editor.id)) editorTaskIds.set(editor.id, []);
-      editorTaskIds.get(editor.id).push(task.id);
+  // Turbinho details
+  if (Object.keys(turbinhoData).length > 0) {
+    console.log('\n✨ Turbinho (sem ajuste):');
+    for (const [, data] of Object.entries(turbinhoData)) {
+      const unverified = data.nao_verificados > 0 ? ` (${data.nao_verificados} sem verificação)` : '';
+      console.log(`  ${data.name}: ${data.sem_ajuste}/${data.total_tasks} criativos direto → R$ ${data.bonus}${unverified}`);
+    }
+  }
 
-      // Track FDS pontos
-      if (fds) {
-        if (!editorFds.has(editor.id)) editorFds.set(editor.id, { pontos: 0, count: 0 });
-        const fd = editorFds.get(editor.id);
-        fd.pontos += pts;
-        fd.count += 1 / splitFactor;
+  // Daily goal on business days (no weekends, holidays or folgas)
+  const meta = report.meta_diaria;
+  if (meta && meta.editors.length > 0) {
+    const until = meta.ate ? ` até ${meta.ate}` : '';
+    console.log(`\n🎯 Meta diária (${meta.meta} pts, ${meta.dias_uteis} dias úteis${until}${meta.escala ? '' : ', sem escala de folgas'}):`);
+    for (const e of meta.editors) {
+      console.log(`  ${e.name}: ${e.dias_batidos.length}/${e.dias_trabalhados} dias batidos, média ${e.media_por_dia} pts/dia${e.folgas > 0 ? `, ${e.folgas} folga(s)` : ''}`);
+      if (e.dias_perdidos.length > 0) {
+        console.log(`    Abaixo da meta: ${e.dias_perdidos.map(d => `${d.date.slice(8)}/${d.date.slice(5, 7)} (${d.pontos})`).join(', ')}`);
       }
     }
   }
 
-  // Round values
-  const editors = Array.from(editorMap.values()).map(e => {
-    e.tasks_count = Math.round(e.tasks_count);
-    e.pontos = Math.round(e.pontos * 10) / 10;
-    for (const d of Object.keys(e.daily)) {
-      e.daily[d] = Math.round(e.daily[d] * 10) / 10;
+  if (report.qualidade) {
+    const line = q => {
+      const statuses = Object.entries(q.ajuste_por_status_pct).map(([st, pct]) => `${st} ${pct}%`).join(', ');
+      const lead = q.lead_time_dias_medio === null ? '—' : `${q.lead_time_dias_medio} dia(s)`;
+      return `${q.verificadas}/${q.tasks} verificadas · ${q.com_ajuste_pct}% com ajuste (${statuses}) · ${q.rodadas_media} rodada(s) · ${q.horas_em_ajuste_media}h em ajuste · aprovação em ${lead}`;
+    };
+    console.log('\n🔍 Qualidade (histórico de status):');
+    for (const q of report.qualidade.editores.filter(x => x.tasks > 0)) {
+      console.log(`  ${q.name}: ${line(q)}`);
     }
-    return e;
-  });
+    console.log('  Por cliente:');
+    for (const q of report.qualidade.clientes) {
+      console.log(`    ${q.cliente || '(sem código)'}: ${line(q)}`);
+    }
+  }
 
-  return { editors, unmatched, dailyMap, editorTaskIds, editorFds };
-}
+  // Cost per creative for the account managers (R$ attributed per task, see BonusRules)
+  if (report.clientes && report.clientes.total.criativos > 0) {
+    const line = c => `${c.criativos} criativo(s), ${c.pontos} pts · ${c.com_ajuste_pct}% com ajuste · bônus R$ ${c.bonus} + freelas R$ ${c.custo_freela} = R$ ${c.custo_total} (R$ ${c.custo_por_criativo}/criativo)`;
+    console.log('\n💼 Custo por cliente:');
+    for (const c of report.clientes.por_cliente) {
+      console.log(`  ${c.cliente || '(sem código)'}: ${line(c)}`);
+    }
+    console.log('  Por formato:');
+    for (const c of report.clientes.por_tipo) {
+      console.log(`    ${c.tipo}: ${line(c)}`);
+    }
+    console.log('  Por campanha:');
+    for (const c of report.clientes.por_campanha.slice(0, 10)) {
+      console.log(`    ${c.cliente || '(sem código)'} ${c.campanha || '(sem campanha)'}: ${line(c)}`);
+    }
+    if (report.clientes.por_campanha.length > 10) {
+      console.log(`    ... e mais ${report.clientes.por_campanha.length - 10} (lista completa: aba Clientes do export xlsx)`);
+    }
+    console.log(`  Total: ${line(report.clientes.total)}`);
+  }
 
-/**
- * Calculate TURBO days per editor
- */
-function calculateTurbo(editors, threshold) {
-  const turboDays = {};
-
-  for (const editor of editors) {
-    if (!isTimeFixo(editor.name)) continue;
-    const days = [];
-    for (const [date, pontos] of Object.entries(editor.daily)) {
-      if (pontos > threshold) {
-        days.push({ date, pontos });
-      }
+  const quality = report.data_quality;
+  if (!quality.complete) {
+    console.log('\n⏳ Dados incompletos — bônus provisórios:');
+    for (const l of quality.failed_lists) {
+      console.log(`    - Lista ${l.name} (${l.list_id}) não carregada: ${l.error}`);
     }
-    if (days.length > 0) {
-      turboDays[editor.id] = {
-        name: editor.name,
-        count: days.length,
-        total_bonus: days.length * BONUS_CONFIG.turbo.value,
-        days: days.sort((a, b) => a.date.localeCompare(b.date)),
-      };
+    if (quality.unverified_tasks.length > 0) {
+      console.log(`    - ${quality.unverified_tasks.length} task(s) sem histórico de status (Turbinho não verificado)`);
     }
+    console.log(`    - Editores afetados: ${quality.provisional_editors.join(', ') || 'nenhum'}`);
+  }
+  if (quality.retries > 0) {
+    console.log(`\n[VideoCounter] ClickUp: ${quality.requests} requisições, ${quality.retries} novas tentativas (${quality.rate_limited} por rate limit)`);
   }
 
-  return turboDays;
-}
+  if (report.roster_warnings.length > 0) {
+    console.log(`\n⚠️  ${report.roster_warnings.length} editor(es) sem entrada válida no roster:`);
+    for (const w of report.roster_warnings) {
+      console.log(`    - [${w.id}] ${w.name}: ${w.reason} (${w.tasks} tarefa(s))`);
+    }
+  }
+
+  if (report.unmatched.length > 0) {
+    console.log(`\n⚠️  ${report.unmatched.length} tarefas sem match:`);
+    for (const u of report.unmatched.slice(0, 10)) {
+      console.log(`    - [${u.task_id}] ${u.task_name} (${u.reason})`);
+    }
+    if (report.unmatched.length > 10) {
+      console.log(`    ... e mais ${report.unmatched.length - 10} (lista completa: lint --month ${report.metadata.month})`);
+    }
+  }
 
-// ─── Turbinho Calculation ────────────────────────────────────────────────────
+  if ((report.split_errors || []).length > 0) {
+    console.log(`\n⚠️  ${report.split_errors.length} divisão(ões) entre editores inválida(s):`);
+    for (const e of report.split_errors) {
+      console.log(`    - [${e.task_id}] ${e.task_name} (${e.reason})`);
+    }
+  }
 
-/**
- * Bulk check time_in_status for multiple tasks at once.
- * Uses GET /task/bulk_time_in_status/task_ids?task_ids=a&task_ids=b
- */
-async function getBulkTimeInStatus(taskIds) {
-  const qs = taskIds.map(id => `task_ids=${id}`).join('&');
-  try {
-    return await clickupClient.get(`/task/bulk_time_in_status/task_ids?${qs}`);
-  } catch {
-    return {};
+  if (report.adjustments.length > 0) {
+    console.log(`\n📝 Ajustes de meses fechados pagos neste mês:`);
+    for (const a of report.adjustments) {
+      console.log(`    - ${a.id} ${a.editor_name}: R$ ${a.valor} — ${a.motivo} (por ${a.created_by})`);
+    }
   }
 }
 
-/**
- * Check status history for all tasks and calculate Turbinho bonus.
- * Turbinho = R$10 per task that was approved without ever going through adjustment.
- * Uses bulk endpoint (100 tasks per call) for efficiency.
- */
-async function calculateTurbinho(editors, editorTaskIds) {
-  const turbinhoData = {};
-  const allTaskIds = new Set();
-
-  // Collect all unique task IDs
-  for (const [, taskIds] of editorTaskIds) {
-    for (const id of taskIds) allTaskIds.add(id);
-  }
-
-  const uniqueIds = Array.from(allTaskIds);
-  console.log(`[VideoCounter] Checking status history for ${uniqueIds.length} tasks (Turbinho)...`);
-
-  // Use bulk endpoint in batches of 100
-  const taskAjusteMap = new Map();
-  for (let i = 0; i < uniqueIds.length; i += 100) {
-    const batch = uniqueIds.slice(i, i + 100);
-    console.log(`[VideoCounter] Turbinho bulk check: ${Math.min(i + 100, uniqueIds.length)}/${uniqueIds.length}`);
-    const bulkResult = await getBulkTimeInStatus(batch);
-
-    for (const taskId of batch) {
-      const data = bulkResult[taskId];
-      if (!data || !data.status_history) {
-        taskAjusteMap.set(taskId, false);
-        continue;
-      }
-      const hadIt = data.status_history.some(s =>
-        BONUS_CONFIG.ajusteStatuses.includes((s.status || '').toLowerCase())
-      );
-      taskAjusteMap.set(taskId, hadIt);
-    }
+function currentUser(opts) {
+  const by = opts.by || process.env.VIDEO_COUNTER_USER || process.env.USER;
+  if (!by) {
+    throw new Error('Informe quem está executando com --by <nome>');
   }
+  return by;
+}
+
+async function runCount(opts) {
+  const { report, policy } = await computeReport(opts);
+  printReport(report, policy);
 
-  // Calculate per-editor turbinho
-  for (const editor of editors) {
-    if (!isTimeFixo(editor.name)) continue;
-    const taskIds = editorTaskIds.get(editor.id) || [];
-    const semAjuste = taskIds.filter(id => !taskAjusteMap.get(id)).length;
-    const comAjuste = taskIds.filter(id => taskAjusteMap.get(id)).length;
+  if (opts.dryRun) {
+    console.log('\n[dry-run] Relatório não salvo. Remova --dry-run para salvar.');
+    console.log('\nJSON:');
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
 
-    if (semAjuste > 0) {
-      turbinhoData[editor.id] = {
-        name: editor.name,
-        total_tasks: taskIds.length,
-        sem_ajuste: semAjuste,
-        com_ajuste: comAjuste,
-        bonus: semAjuste * BONUS_CONFIG.turbinho.value,
-      };
+  // Closed months are never overwritten: the new run is kept as a diff
+  const lock = MonthClose.readLock(opts.month);
+  if (lock) {
+    const by = opts.by || process.env.VIDEO_COUNTER_USER || process.env.USER || null;
+    const { file, diff } = MonthClose.recordRerun(opts.month, report, by);
+    console.log(`\n🔒 ${opts.month} foi fechado em ${lock.closed_at} por ${lock.closed_by}. Relatório fechado mantido.`);
+    console.log('   Diferenças em relação ao fechamento:');
+    printDiff(diff);
+    if (diff.editors.length > 0) {
+      console.log(`   Para pagar a diferença, registre um ajuste: adjust --month ${opts.month} --editor <id> --valor <R$> --motivo "..."`);
     }
+    console.log(`   Diferenças salvas em: ${file}`);
+    return;
   }
 
-  return turbinhoData;
+  if (!fs.existsSync(REPORTS_DIR)) {
+    fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  }
+  const outFile = path.join(REPORTS_DIR, `video-count-${opts.month}.json`);
+  // Keep the previous run so `diff --month` can explain what changed
+  if (fs.existsSync(outFile)) {
+    fs.renameSync(outFile, outFile.replace(/\.json$/, '.prev.json'));
+  }
+  fs.writeFileSync(outFile, JSON.stringify(report, null, 2));
+  History.recordReport(report);
+  console.log(`\n✅ Relatório salvo em: ${outFile}`);
+
+  const today = BonusRules.formatDate(new Date());
+  if (today.slice(0, 7) === report.metadata.month) {
+    await sendNotifications(opts, [Notifier.dailySummary(report, today)]);
+  }
 }
 
-// ─── Report Generation ───────────────────────────────────────────────────────
-
-function generateReport(counts, turboDays, turbinhoData, month, totalTasksFetched) {
-  const { editors, unmatched, editorFds } = counts;
-
-  // Rank: only time fixo editors compete for ranking/bonus
-  const fixedEditors = editors.filter(e => isTimeFixo(e.name));
-  const otherEditors = editors.filter(e => !isTimeFixo(e.name));
-  fixedEditors.sort((a, b) => b.pontos - a.pontos);
-  fixedEditors.forEach((e, i) => { e.rank = i + 1; });
-  otherEditors.sort((a, b) => b.pontos - a.pontos);
-
-  // Assign bonus — time fixo only
-  for (const e of fixedEditors) {
-    const bonusEntry = BONUS_CONFIG.productivity.find(b => b.rank === e.rank);
-    const prodBonus = bonusEntry ? bonusEntry.value : 0;
-    const turboData = turboDays[e.id];
-    const turboBonus = turboData ? turboData.total_bonus : 0;
-    const turbinho = turbinhoData[e.id];
-    const turbinhoBonus = turbinho ? turbinho.bonus : 0;
-    const fdsData = editorFds.get(e.id);
-    const fdsPontos = fdsData ? Math.round(fdsData.pontos * 10) / 10 : 0;
-    const fdsBonus = Math.round(fdsPontos * BONUS_CONFIG.fds.perPonto * 100) / 100;
-    e.bonus = {
-      productivity: prodBonus,
-      turbo: turboBonus,
-      turbo_days: turboData ? turboData.count : 0,
-      turbinho: turbinhoBonus,
-      turbinho_count: turbinho ? turbinho.sem_ajuste : 0,
-      fds: fdsBonus,
-      fds_pontos: fdsPontos,
-      total: prodBonus + turboBonus + turbinhoBonus + fdsBonus,
-    };
+/**
+ * Send messages through the transports of --notify / NOTIFY_TRANSPORTS.
+ * Failures are reported (false is returned) but never throw: the report is already saved.
+ */
+async function sendNotifications(opts, messages) {
+  if (opts.notify.length === 0) return true;
+  let transports;
+  try {
+    transports = Notifier.createTransports(opts.notify, {
+      outDir: opts.notifyOut,
+      postComment: ClickUpFetch.postTaskComment,
+    });
+  } catch (error) {
+    console.warn(`\n⚠️  Resumos não enviados: ${error.message}`);
+    return false;
   }
-  // Other editors: freelas get per-point, rest get nothing
-  for (const e of otherEditors) {
-    if (e.team === 'freela') {
-      e.bonus = { freelaTotal: Math.round(e.pontos * BONUS_CONFIG.freelaPerPonto * 100) / 100 };
+  const results = await Notifier.notify(messages, transports);
+  for (const r of results) {
+    if (r.ok) {
+      console.log(`📨 Resumo ${r.kind} enviado via ${r.transport}${r.file ? `: ${r.file}` : ''}`);
     } else {
-      e.bonus = { productivity: 0, turbo: 0, turbo_days: 0, turbinho: 0, turbinho_count: 0, fds: 0, fds_pontos: 0, total: 0 };
-    }
-  }
-
-  // Merge back: fixed first (ranked), then others
-  const allEditors = [...fixedEditors, ...otherEditors];
-
-  const totalPontos = allEditors.reduce((a, e) => a + e.pontos, 0);
-
-  const report = {
-    metadata: {
-      month,
-      generated_at: new Date().toISOString(),
-      total_tasks: totalTasksFetched,
-      meta_diaria: BONUS_CONFIG.metaDiaria,
-      turbo_threshold: BONUS_CONFIG.turbo.threshold,
-      unit: 'pontos',
-    },
-    editors: allEditors.map(e => ({
-      name: e.name,
-      team: e.team,
-      totals: { raw_count: e.tasks_count, pontos: e.pontos },
-      daily: e.daily,
-      rank: e.rank,
-      bonus: e.bonus,
-    })),
-    turbo_days: turboDays,
-    turbinho_summary: turbinhoData,
-    summary: {
-      total_pontos: Math.round(totalPontos * 10) / 10,
-      total_editors: allEditors.length,
-      ranking: fixedEditors.map(e => ({
-        name: e.name,
-        rank: e.rank,
-        pontos: e.pontos,
-      })),
-    },
-    unmatched,
-  };
-
-  return report;
+      console.warn(`⚠️  Resumo ${r.kind} não enviado via ${r.transport}: ${r.error}`);
+    }
+  }
+  return results.every(r => r.ok);
 }
 
-// ─── CLI ─────────────────────────────────────────────────────────────────────
-
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const opts = { month: null, list: 'all', dryRun: false, help: false };
+function printDiff(diff) {
+  const { tasks, editors, totals } = diff;
+  console.log(`\n  ${diff.from.month} (${diff.from.generated_at}) → ${diff.to.month} (${diff.to.generated_at})`);
+  console.log(`  Total: ${totals.pontos.from} → ${totals.pontos.to} pts | R$ ${totals.bonus.from} → R$ ${totals.bonus.to}`);
+
+  if (diff.same_month) {
+    const list = (title, items) => {
+      if (items.length === 0) return;
+      console.log(`\n  ${title} (${items.length}):`);
+      for (const t of items) {
+        const detail = t.reason || t.changes.map(BonusRules.describeTaskChange).join('; ');
+        console.log(`    - [${t.task_id}] ${t.name}: ${detail}`);
+      }
+    };
+    list('Tasks que entraram', tasks.entered);
+    list('Tasks que saíram', tasks.left);
+    list('Tasks alteradas', tasks.changed);
+  } else {
+    console.log(`  Tasks: ${tasks.entered.length} só em ${diff.to.month}, ${tasks.left.length} só em ${diff.from.month}, ${tasks.changed.length} nos dois (alteradas)`);
+  }
 
-  for (let i = 0; i < args.length; i++) {
-    switch (args[i]) {
-      case '--month': case '-m': opts.month = args[++i]; break;
-      case '--list': case '-l': opts.list = args[++i]; break;
-      case '--dry-run': case '-d': opts.dryRun = true; break;
-      case '--help': case '-h': opts.help = true; break;
+  if (editors.length === 0) {
+    console.log('\n  Nenhum editor mudou de pontos, ranking ou bônus.');
+    return;
+  }
+  console.log('\n  Editores:');
+  for (const e of editors) {
+    const sign = n => (n > 0 ? `+${n}` : `${n}`);
+    const rank = e.rank.from !== e.rank.to ? ` | rank ${e.rank.from || '-'} → ${e.rank.to || '-'}` : '';
+    console.log(`    ${e.name}: ${e.pontos.from} → ${e.pontos.to} pts (${sign(e.pontos.delta)})${rank} | R$ ${e.bonus.from} → R$ ${e.bonus.to} (${sign(e.bonus.delta)})`);
+    if (diff.same_month) {
+      for (const r of e.reasons.slice(0, 10)) {
+        const pts = r.pontos_delta !== 0 ? ` (${sign(r.pontos_delta)} pts)` : '';
+        console.log(`      · ${r.task_id ? `[${r.task_id}] ${r.task_name}: ` : ''}${r.reason}${pts}`);
+      }
+      if (e.reasons.length > 10) {
+        console.log(`      ... e mais ${e.reasons.length - 10}`);
+      }
     }
   }
+}
 
-  if (!opts.month) {
-    const now = new Date();
-    opts.month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+function readReportArg(arg) {
+  const file = /^\d{4}-\d{2}$/.test(arg) ? path.join(REPORTS_DIR, `video-count-${arg}.json`) : path.resolve(arg);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Relatório não encontrado: ${file}`);
   }
-
-  return opts;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Rerun files of closed months wrap the report
+  return data.metadata ? data : data.report;
 }
 
-const HELP_TEXT = `
-ClickUp Video Counter — Gestão de Edição AllFluence
+/**
+ * diff: compare two reports (default: previous vs latest run of --month).
+ */
+function runDiff(opts) {
+  const from = opts.diffFrom || path.join(REPORTS_DIR, `video-count-${opts.month}.prev.json`);
+  const to = opts.diffTo || opts.month;
+  const diff = BonusRules.diffReports(readReportArg(from), readReportArg(to));
+
+  if (opts.json) {
+    console.log(JSON.stringify(diff, null, 2));
+    return;
+  }
+  console.log('\n═══════════════════════════════════════════════════');
+  console.log('  DIFF DE RELATÓRIOS');
+  console.log('═══════════════════════════════════════════════════');
+  printDiff(diff);
+}
 
-Conta pontos por editor com base no campo "Primeira Edição" e "Pontos".
+/**
+ * escala: generate the day-off rotation of the month from the roster.
+ */
+function runEscala(opts) {
+  const roster = loadRoster(opts.rosterFile);
+  if (!roster) {
+    throw new Error(`Roster não encontrado: ${opts.rosterFile} (a escala usa time e função de cada pessoa)`);
+  }
+  const file = opts.escalaFile || escalaFile(opts.month);
+  const existing = loadEscala(opts.month, file);
+  if (existing && !opts.force && !opts.dryRun) {
+    throw new Error(`${file} já existe — use --force para substituir`);
+  }
 
-Usage:
-  node scripts/clickup-video-counter.js [options]
+  // The week that straddles the turn of the month continues the previous escala
+  const previous = loadEscala(previousMonth(opts.month));
+  console.log(`[VideoCounter] Escala de ${previousMonth(opts.month)}: ${previous ? 'folgas do início da semana mantidas' : 'não encontrada — semana da virada planejada inteira aqui'}`);
 
-Options:
-  --month, -m <YYYY-MM>   Mês para contar (default: mês atual)
-  --list, -l <name>       Filtro: all | producao | fixed | freelas (default: all)
-  --dry-run, -d           Mostra resultado sem salvar arquivo
-  --help, -h              Mostra esta ajuda
+  // Extra holidays typed into the current file are kept
+  const escala = generateEscala(opts.month, roster, { feriados: existing ? existing.feriados || [] : [], previous });
+  const errors = BonusRules.validateEscala(escala);
+  if (errors.length > 0) {
+    throw new Error(`Escala gerada inválida:\n  ${errors.join('\n  ')}`);
+  }
 
-Output:
-  docs/reports/video-count-YYYY-MM.json
+  const WEEKDAYS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+  const LEVELS = { padrao: 'padrão', sem_head: 'sem head', minima: 'mínima' };
+  console.log(`\n🔄 Escala de folgas — ${opts.month}\n`);
+  for (const [date, cov] of Object.entries(escala.cobertura)) {
+    const weekday = WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+    const off = (escala.folgas[date] || []).join(', ') || '—';
+    console.log(`  ${date.slice(8)}/${date.slice(5, 7)} ${weekday}  folga: ${off.padEnd(36)} ${cov.heads}h ${cov.revisores}r ${cov.editores}e (${LEVELS[cov.nivel] || 'INSUFICIENTE'})`);
+  }
+  console.log('\n  Folgas por pessoa:');
+  for (const p of escala.equipe) {
+    console.log(`    ${p.name} (${p.role}): ${p.folgas} folga(s), ${p.folgas_fds} no fim de semana`);
+  }
+  if (escala.violacoes.length > 0) {
+    console.log(`\n⚠️  ${escala.violacoes.length} regra(s) não atendida(s):`);
+    escala.violacoes.forEach(v => console.log(`    - ${v}`));
+  }
 
-Pontos:
-  BBB React, Symphony, CLP  = 1 ponto
-  TTCX Anúncios, Governo    = 2 pontos
-  Motion Graphics            = 4 pontos
-  Long Form (YouTube)        = 5 pontos
+  if (opts.dryRun) {
+    console.log('\n[dry-run] Escala não salva. Remova --dry-run para salvar.');
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(escala, null, 2) + '\n');
+  console.log(`\n✅ Escala salva em: ${file}`);
+}
 
-  Meta mínima diária: ${BONUS_CONFIG.metaDiaria} pontos
-  TURBO: ${BONUS_CONFIG.turbo.threshold}+ pontos no dia = R$ ${BONUS_CONFIG.turbo.value}/dia
-`;
+/**
+ * forecast: capacity plan of the month from the saved reports of the previous ones.
+ */
+function runForecast(opts) {
+  if (!(opts.months > 0)) {
+    throw new Error('--months deve ser um número maior que zero');
+  }
+  const policy = BonusRules.usePolicy(policyForMonth(opts.month, opts.policyFile));
+  const { reports, skipped } = Forecast.loadHistory(opts.month, { dir: REPORTS_DIR, months: opts.months });
+  const plan = Forecast.buildForecast(opts.month, reports);
+  const cap = plan.capacidade;
+
+  console.log(`\n📈 Plano de capacidade — ${opts.month} (política ${policy.version})`);
+  console.log(`   Histórico: ${plan.historico.join(', ')} · ${plan.dias_uteis} dias úteis no mês`);
+  skipped.forEach(s => console.log(`   ⏭️  ${s.month} ignorado: ${s.reason}`));
+
+  console.log('\n  Vazão do time fixo (pontos/dia trabalhado):');
+  for (const e of plan.throughput.editores.filter(x => x.team === 'fixed')) {
+    const inactive = e.ativo ? '' : '  (fora do time no último mês)';
+    console.log(`    ${e.name}: ${e.pontos_por_dia} pts/dia · ${e.criativos_mes} criativos/mês em ${e.dias_mes} dias${inactive}`);
+  }
+  console.log(`    Média do time: ${plan.throughput.pontos_por_dia_fixo} pts/dia · freelas: ${plan.throughput.pontos_por_dia_freela} pts/dia`);
 
-async function main() {
-  const opts = parseArgs();
+  console.log('\n  Demanda prevista por formato:');
+  for (const f of plan.throughput.formatos) {
+    const minutes = f.minutos_por_criativo ? ` · ~${f.minutos_por_criativo} min/criativo` : '';
+    console.log(`    ${f.tipo.padEnd(10)} ${String(f.criativos).padStart(6)} criativos ${String(f.pontos).padStart(6)} pts  (histórico ${f.historico.join('/')}, ${f.fixo_pct}% no time fixo${minutes})`);
+  }
+  console.log('\n  Demanda prevista por cliente:');
+  for (const d of plan.demanda) {
+    console.log(`    ${(d.cliente || '(sem código)').padEnd(12)} ${d.tipo.padEnd(10)} ${String(d.criativos).padStart(6)} criativos ${String(d.pontos).padStart(6)} pts`);
+  }
 
-  if (opts.help) {
-    console.log(HELP_TEXT);
-    process.exit(0);
+  console.log('\n───────────────────────────────────────────────────');
+  console.log(`  Capacidade do time fixo: ${cap.fixo_pontos} pts · demanda: ${cap.demanda_pontos} pts`);
+  console.log(`  Time fixo absorve ${cap.absorve_pct}% da demanda (utilização ${cap.utilizacao_pct === null ? '—' : `${cap.utilizacao_pct}%`})`);
+  if (cap.excedente_pontos > 0) {
+    console.log(`  ⚠️  Excedente: ${cap.excedente_pontos} pts → ${cap.freela_dias} dia(s) de freela (~${cap.freelas_por_dia} freela(s) por dia útil)`);
+    for (const o of cap.sobrecarga) {
+      console.log(`     ${o.tipo}: ${o.pontos} pts (~${o.criativos} criativos) — ${o.clientes.join(', ')}`);
+    }
+  } else {
+    console.log('  ✅ Time fixo absorve a demanda prevista sem freelas');
   }
+  console.log('───────────────────────────────────────────────────');
 
-  console.log(`\n[VideoCounter] AllFluence Video Counter — Sistema de Pontos`);
-  console.log(`[VideoCounter] Mês: ${opts.month}`);
-  console.log(`[VideoCounter] Lista: ${opts.list}`);
-  console.log(`[VideoCounter] Dry run: ${opts.dryRun}\n`);
+  if (opts.dryRun) {
+    console.log('\n[dry-run] Plano não salvo. Remova --dry-run para salvar.');
+    return;
+  }
+  const file = opts.outDir || path.join(REPORTS_DIR, `capacidade-${opts.month}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(plan, null, 2) + '\n');
+  console.log(`\n✅ Plano salvo em: ${file} (Simulador → Carregar plano)`);
+}
 
-  const listsToQuery = [];
-  switch (opts.list) {
-    case 'producao':
-      listsToQuery.push({ id: LIST_IDS.producao, name: 'Produção de Criativos' });
-      break;
-    case 'fixed':
-      listsToQuery.push({ id: LIST_IDS.filaFixo, name: 'Fila de Edição (fixo)' });
-      break;
-    case 'freelas':
-      listsToQuery.push({ id: LIST_IDS.filaFreelas, name: 'Fila de Edição FREELAS' });
-      break;
-    default:
-      listsToQuery.push({ id: LIST_IDS.producao, name: 'Produção de Criativos' });
-      listsToQuery.push({ id: LIST_IDS.filaFixo, name: 'Fila de Edição (fixo)' });
-      listsToQuery.push({ id: LIST_IDS.filaFreelas, name: 'Fila de Edição FREELAS' });
-      break;
+/**
+ * lint: every data-quality issue in the ClickUp tasks of the month.
+ */
+async function runLint(opts) {
+  let tasks = null;
+  if (opts.fromSnapshot) {
+    const snapshot = readSnapshot(opts.fromSnapshot);
+    if (opts.month && opts.month !== snapshot.month) {
+      throw new Error(`Snapshot é de ${snapshot.month}, não de ${opts.month}`);
+    }
+    opts.month = snapshot.month;
+    tasks = snapshot.tasks;
+  }
+  BonusRules.usePolicy(policyForMonth(opts.month, opts.policyFile));
+  const roster = BonusRules.useRoster(loadRoster(opts.rosterFile));
+  const escala = loadEscala(opts.month, opts.escalaFile || escalaFile(opts.month));
+  if (!tasks) {
+    tasks = await ClickUpFetch.fetchMonthTasks(opts.month, opts.list, { cache: opts.cache, fullSync: opts.fullSync });
   }
 
-  const dateRange = getMonthRange(opts.month);
-  console.log(`[VideoCounter] Range: ${new Date(dateRange.start).toISOString()} → ${new Date(dateRange.end).toISOString()}\n`);
+  const issues = TaskLint.lintTasks(tasks, { roster, escala });
+  const { byRule, byPerson } = TaskLint.groupIssues(issues);
+  const errors = issues.filter(i => i.severity === 'erro');
 
-  let allTasks = [];
-  for (const list of listsToQuery) {
-    console.log(`[VideoCounter] Querying: ${list.name} (${list.id})`);
-    try {
-      const tasks = await fetchAllTasks(list.id, dateRange);
-      if (list.id === LIST_IDS.filaFreelas) {
-        tasks.forEach(t => { t._team = 'freela'; });
-      }
-      allTasks.push(...tasks);
-    } catch (error) {
-      console.error(`[VideoCounter] Erro em ${list.name}: ${error.message}`);
+  console.log(`\n🔎 Lint das tasks — ${opts.month}: ${tasks.length} task(s), ${issues.length} problema(s) (${errors.length} erro(s))`);
+  if (!roster) console.log('   Roster não encontrado — editores fora do roster não verificados');
+  if (!escala) console.log('   Escala não encontrada — datas em dia de folga não verificadas');
+
+  for (const [rule, { severity, label }] of Object.entries(TaskLint.RULES)) {
+    const list = byRule[rule];
+    if (!list) continue;
+    console.log(`\n${severity === 'erro' ? '❌' : '⚠️ '} ${label} (${list.length})`);
+    for (const i of list) {
+      console.log(`    - [${i.task_id}] ${i.task_name} — ${i.detalhe} (${i.responsaveis.join(', ')})`);
     }
   }
 
-  console.log(`\n[VideoCounter] Total de tarefas com "Primeira Edição" no período: ${allTasks.length}\n`);
+  if (issues.length > 0) {
+    console.log('\n───────────────────────────────────────────────────');
+    console.log('  Por responsável:');
+    const people = Object.entries(byPerson).sort((a, b) => b[1].length - a[1].length);
+    for (const [name, list] of people) {
+      const counts = {};
+      list.forEach(i => { counts[i.rule] = (counts[i.rule] || 0) + 1; });
+      const nErrors = list.filter(i => i.severity === 'erro').length;
+      console.log(`    ${name}: ${nErrors} erro(s), ${list.length - nErrors} aviso(s) — ${Object.entries(counts).map(([r, n]) => `${r} ${n}`).join(', ')}`);
+    }
+    console.log('───────────────────────────────────────────────────');
+  } else {
+    console.log('\n✅ Nenhum problema encontrado');
+  }
 
-  if (allTasks.length === 0) {
-    console.log('[VideoCounter] Nenhuma tarefa encontrada para este período.');
-    if (opts.dryRun) process.exit(0);
+  if (opts.outDir) {
+    const file = opts.outDir;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (file.toLowerCase().endsWith('.csv')) {
+      const rows = TaskLint.csvRows(issues);
+      fs.writeFileSync(file, '\uFEFF' + rows.map(r => r.map(csvCell).join(';')).join('\r\n') + '\r\n');
+    } else {
+      fs.writeFileSync(file, JSON.stringify({ month: opts.month, generated_at: new Date().toISOString(), total_tasks: tasks.length, issues }, null, 2) + '\n');
+    }
+    console.log(`\n📄 Problemas salvos em: ${file}`);
   }
 
-  // Calculate
-  const counts = calculatePontos(allTasks);
+  // Non-zero exit so a script can stop before closing the month
+  if (errors.length > 0) process.exitCode = 1;
+}
 
-  // Tag freela team
-  for (const editor of counts.editors) {
-    const freelaTasks = allTasks.filter(t =>
-      t._team === 'freela' && extractEditor(t).some(e => e.id === editor.id)
-    );
-    const totalTasks = allTasks.filter(t =>
-      extractEditor(t).some(e => e.id === editor.id)
-    );
-    if (freelaTasks.length > 0 && freelaTasks.length >= totalTasks.length / 2) {
-      editor.team = 'freela';
-    }
+/**
+ * history: trends of the last months from the history index.
+ */
+function runHistory(opts) {
+  if (!(opts.months > 0)) {
+    throw new Error('--months deve ser um número maior que zero');
+  }
+  const history = opts.rebuild ? History.rebuildHistory() : History.readHistory();
+  if (opts.rebuild) {
+    console.log(`\n[VideoCounter] Histórico recriado com ${history.months.length} mês(es): ${History.HISTORY_FILE}`);
+  }
+  const months = History.lastMonths(history, opts.months);
+  if (months.length === 0) {
+    throw new Error('Histórico vazio — rode a contagem de algum mês ou history --rebuild');
+  }
+  if (opts.json) {
+    console.log(JSON.stringify({ updated_at: history.updated_at, months }, null, 2));
+    return;
   }
 
-  // TURBO
-  const turboDays = calculateTurbo(counts.editors, BONUS_CONFIG.turbo.threshold);
+  const label = m => m.month + (m.closed ? ' 🔒' : m.parcial ? ' *' : '');
+  console.log(`\n📊 Tendências — ${months[0].month} a ${months[months.length - 1].month}`);
 
-  // Turbinho (status history check)
-  const turbinhoData = await calculateTurbinho(counts.editors, counts.editorTaskIds);
+  console.log('\n  Mês           Pontos   Fixo  Freela     IA  % freela   Bônus (R$)');
+  for (const m of months) {
+    const team = t => (m.times[t] ? m.times[t].pontos : 0);
+    const pct = m.totals.pontos > 0 ? Math.round(team('freela') / m.totals.pontos * 100) : 0;
+    console.log(`  ${label(m).padEnd(12)} ${String(m.totals.pontos).padStart(7)} ${String(team('fixed')).padStart(6)} ${String(team('freela')).padStart(7)} ${String(team('ia')).padStart(6)} ${String(pct + '%').padStart(9)} ${String(m.totals.bonus).padStart(12)}`);
+  }
 
-  // Report
-  const report = generateReport(counts, turboDays, turbinhoData, opts.month, allTasks.length);
+  // One line per editor: pontos (rank) per month, oldest first
+  const editors = {};
+  months.forEach((m, i) => m.editors.forEach(e => {
+    const entry = editors[String(e.id)] || (editors[String(e.id)] = { name: e.name, team: e.team, cells: [] });
+    entry.name = e.name;
+    entry.team = e.team;
+    entry.cells[i] = e;
+  }));
+  console.log(`\n  Pontos (ranking) por editor — ${months.map(m => m.month.slice(2)).join(' | ')}:`);
+  const teamOrder = ['fixed', 'freela', 'ia'];
+  const list = Object.values(editors).sort((a, b) => teamOrder.indexOf(a.team) - teamOrder.indexOf(b.team) || a.name.localeCompare(b.name));
+  for (const e of list) {
+    const cells = months.map((m, i) => {
+      const c = e.cells[i];
+      return c ? `${c.pontos}${c.rank ? ` (${c.rank}º)` : ''}` : '—';
+    });
+    const ranked = e.cells.filter(c => c && c.rank);
+    let move = '';
+    if (ranked.length >= 2) {
+      const delta = ranked[ranked.length - 2].rank - ranked[ranked.length - 1].rank;
+      move = delta > 0 ? `  ▲${delta}` : delta < 0 ? `  ▼${-delta}` : '  =';
+    }
+    console.log(`    ${e.name} [${e.team}]: ${cells.join(' | ')}${move}`);
+  }
+  console.log('\n  🔒 fechado · * parcial (gerado antes do fim do mês)');
+}
 
-  // Display
-  console.log('═══════════════════════════════════════════════════');
-  console.log(`  RANKING DE PONTOS — ${opts.month}`);
-  console.log('═══════════════════════════════════════════════════\n');
+/**
+ * close: freeze the month (report + input snapshot + policy) with hashes.
+ */
+async function runClose(opts) {
+  const lock = opts.month && MonthClose.readLock(opts.month);
+  if (lock) {
+    throw new Error(`${opts.month} já foi fechado em ${lock.closed_at} por ${lock.closed_by}`);
+  }
+  // Before the ClickUp fetch: a broken chain would refuse the close anyway
+  MonthClose.assertAuditLog();
+  const by = currentUser(opts);
+  const { report, policy, roster, escala, snapshot } = await computeReport(opts);
+  printReport(report, policy);
+
+  if (!report.data_quality.complete && !opts.force) {
+    throw new Error('Dados incompletos (ver acima) — rode de novo ou use --force para fechar com bônus provisórios');
+  }
 
-  for (const editor of report.editors) {
-    const medal = editor.rank === 1 ? '🥇' : editor.rank === 2 ? '🥈' : editor.rank === 3 ? '🥉' : `${editor.rank}º`;
-    const bonus = editor.bonus.total || editor.bonus.freelaTotal || 0;
-    const bonusStr = bonus > 0 ? ` (+R$ ${bonus})` : '';
-    const teamTag = editor.team === 'freela' ? ' [FREELA]' : '';
-    const turboTag = editor.bonus.turbo_days > 0 ? ` ⚡${editor.bonus.turbo_days}` : '';
-    const turbinhoTag = editor.bonus.turbinho_count > 0 ? ` ✨${editor.bonus.turbinho_count}` : '';
-    const fdsTag = editor.bonus.fds > 0 ? ` 📅R$${editor.bonus.fds}` : '';
-    console.log(`  ${medal} ${editor.name}${teamTag}: ${editor.totals.pontos} pts${turboTag}${turbinhoTag}${fdsTag}${bonusStr}`);
+  if (opts.dryRun) {
+    console.log('\n[dry-run] Mês não fechado. Remova --dry-run para fechar.');
+    return;
   }
+  const closed = MonthClose.closeMonth(opts.month, { report, snapshot, roster, escala, by });
+  History.recordReport(report);
+  console.log(`\n🔒 ${opts.month} fechado por ${by}`);
+  console.log(`   Relatório: ${closed.report.file} (sha256 ${closed.report.sha256.slice(0, 12)}…)`);
+  console.log(`   Snapshot:  ${closed.snapshot.file} (sha256 ${closed.snapshot.sha256.slice(0, 12)}…)`);
+  console.log(`   Roster:    ${closed.roster ? `${closed.roster.file} (sha256 ${closed.roster.sha256.slice(0, 12)}…)` : 'não encontrado'}`);
+  console.log(`   Escala:    ${closed.escala ? `${closed.escala.file} (sha256 ${closed.escala.sha256.slice(0, 12)}…)` : 'não encontrada'}`);
+  console.log(`   Política:  ${closed.policy.version} (desde ${closed.policy.effective_from})`);
+
+  await sendNotifications(opts, [Notifier.monthSummary(report)]);
+}
 
-  console.log('\n───────────────────────────────────────────────────');
-  console.log(`  Total: ${report.summary.total_pontos} pontos`);
-  console.log(`  Editores: ${report.summary.total_editors}`);
-  console.log(`  Meta diária: ${BONUS_CONFIG.metaDiaria} pts | TURBO: >${BONUS_CONFIG.turbo.threshold} pts/dia`);
-  console.log('───────────────────────────────────────────────────');
+/**
+ * notify: send the daily or month summary of a saved report again.
+ */
+async function runNotify(opts) {
+  const report = readReportArg(opts.reportFile || opts.month);
+  const month = report.metadata.month;
+  let message;
+  if (opts.final) {
+    message = Notifier.monthSummary(report);
+  } else {
+    const today = BonusRules.formatDate(new Date());
+    const [y, m] = month.split('-').map(Number);
+    const date = opts.date || (today.slice(0, 7) === month ? today : `${month}-${String(new Date(y, m, 0).getDate()).padStart(2, '0')}`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date.slice(0, 7) !== month) {
+      throw new Error(`--date deve ser um dia de ${month} (YYYY-MM-DD)`);
+    }
+    message = Notifier.dailySummary(report, date);
+  }
+  if (opts.dryRun) {
+    console.log(`\nAssunto: ${message.subject}\n\n${message.text}`);
+    return;
+  }
+  if (opts.notify.length === 0) {
+    throw new Error(`Informe os transportes com --notify (${Notifier.TRANSPORTS.join(', ')}) ou NOTIFY_TRANSPORTS`);
+  }
+  if (!(await sendNotifications(opts, [message]))) process.exitCode = 1;
+}
 
-  // TURBO details
-  if (Object.keys(turboDays).length > 0) {
-    console.log('\n⚡ TURBO Days:');
-    for (const [, data] of Object.entries(turboDays)) {
-      console.log(`  ${data.name}: ${data.count} dia(s) → R$ ${data.total_bonus}`);
-      for (const day of data.days) {
-        console.log(`    ${day.date}: ${day.pontos} pts`);
-      }
+/**
+ * freela: what each freelancer is owed in the saved report; with --invoice,
+ * the reconciliation of one freelancer's invoice against their tasks.
+ */
+function runFreela(opts) {
+  const report = readReportArg(opts.reportFile || opts.month);
+  const month = report.metadata.month;
+  if (opts.invoiceFile) {
+    if (!opts.editor) {
+      throw new Error('Uso: freela --month <YYYY-MM> --editor <id|nome> --invoice <fatura.csv> [--dry-run]');
     }
+    return runFreelaInvoice(opts, report);
   }
 
-  // Turbinho details
-  if (Object.keys(turbinhoData).length > 0) {
-    console.log('\n✨ Turbinho (sem ajuste):');
-    for (const [, data] of Object.entries(turbinhoData)) {
-      console.log(`  ${data.name}: ${data.sem_ajuste}/${data.total_tasks} criativos direto → R$ ${data.bonus}`);
+  const freelas = opts.editor
+    ? [FreelaBilling.findFreela(report, opts.editor)]
+    : report.editors.filter(e => e.team === 'freela');
+  const statements = freelas.map(FreelaBilling.freelaStatement);
+  if (opts.json) {
+    console.log(JSON.stringify({ month, statements }, null, 2));
+    return;
+  }
+
+  console.log(`\n💼 Freelas — ${month}: ${statements.length} freela(s)`);
+  for (const st of statements) {
+    console.log(`\n  ${st.name} (${st.id}) — R$ ${st.total}${st.sem_tarifa > 0 ? `  ⚠️ ${st.sem_tarifa} task(s) sem tarifa` : ''}`);
+    for (const l of st.lines) {
+      const rate = l.tarifa === null
+        ? 'sem tarifa'
+        : `R$ ${l.tarifa}${l.share < 1 ? ` × ${l.share}` : ''} (${BonusRules.FREELA_RATE_SOURCES[l.fonte]})`;
+      console.log(`    - [${l.task_id}] ${l.descricao} — ${l.tipo}, ${l.pontos} pts: ${rate} → R$ ${l.valor}`);
     }
   }
+  if (statements.some(st => st.sem_tarifa > 0)) {
+    console.log('\n⚠️  Tasks sem tarifa saem com R$ 0: defina a tarifa numa nova versão da política (freelaPerTask/freelaPerFormat) ou em `rates` do freela no roster;');
+    console.log('    meses já fechados não mudam de política — corrija-os com `adjust`');
+  }
+}
 
-  if (report.unmatched.length > 0) {
-    console.log(`\n⚠️  ${report.unmatched.length} tarefas sem match:`);
-    for (const u of report.unmatched.slice(0, 10)) {
-      console.log(`    - [${u.task_id}] ${u.task_name} (${u.reason})`);
+function runFreelaInvoice(opts, report) {
+  if (!fs.existsSync(opts.invoiceFile)) {
+    throw new Error(`Fatura não encontrada: ${opts.invoiceFile}`);
+  }
+  const { items, errors } = FreelaBilling.parseInvoice(fs.readFileSync(opts.invoiceFile, 'utf8'));
+  if (items.length === 0) {
+    throw new Error(`Fatura sem itens válidos: ${opts.invoiceFile}${errors.length > 0 ? `\n  ${errors.join('\n  ')}` : ''}`);
+  }
+  const editor = FreelaBilling.findFreela(report, opts.editor);
+  const rec = FreelaBilling.reconcileInvoice(report, editor, items, {
+    billedBefore: FreelaBilling.billedBefore(report.metadata.month, editor.id),
+    readErrors: errors,
+  });
+  if (opts.json) {
+    console.log(JSON.stringify(rec, null, 2));
+  } else {
+    console.log(`\n🧾 Fatura de ${rec.editor.name} — ${rec.month} (${path.relative(process.cwd(), opts.invoiceFile)})`);
+    for (const e of errors) console.log(`  ❌ ${e} — corrija a fatura (valor ilegível não é pago)`);
+    for (const l of rec.items) {
+      const icon = l.status === 'ok' ? '✅' : FreelaBilling.STATUSES[l.status].bloqueia ? '❌' : '⬇️ ';
+      const calc = l.valor_calculado !== null ? ` / calculado R$ ${l.valor_calculado}` : '';
+      const detail = l.detalhe ? ` (${l.detalhe})` : '';
+      console.log(`  ${icon} linha ${l.linha}: ${l.task_name || l.descricao || l.ref} — cobrado R$ ${l.valor_cobrado}${calc}: ${FreelaBilling.STATUSES[l.status].label}${detail}`);
     }
-    if (report.unmatched.length > 10) {
-      console.log(`    ... e mais ${report.unmatched.length - 10}`);
+    if (rec.nao_cobradas.length > 0) {
+      console.log(`\n  ℹ️  ${rec.nao_cobradas.length} task(s) do mês não cobrada(s) na fatura:`);
+      rec.nao_cobradas.forEach(t => console.log(`    - [${t.task_id}] ${t.task_name} (${t.data}) — R$ ${t.valor}`));
     }
+    console.log('\n───────────────────────────────────────────────────');
+    console.log(`  Cobrado: R$ ${rec.totals.cobrado} · Calculado (ClickUp): R$ ${rec.totals.calculado}`);
+    console.log(`  A pagar: R$ ${rec.totals.a_pagar}${rec.pendencias > 0 ? ` · Em análise: R$ ${rec.totals.pendente} (${rec.pendencias} item(ns))` : ''}`);
+    console.log('───────────────────────────────────────────────────');
+    console.log(rec.pode_pagar ? '\n✅ Fatura confere — liberada para pagamento' : '\n❌ Fatura com pendências — revise antes de pagar');
   }
 
-  // Save
   if (!opts.dryRun) {
-    const outDir = path.resolve(__dirname, '..', 'docs', 'reports');
-    if (!fs.existsSync(outDir)) {
-      fs.mkdirSync(outDir, { recursive: true });
+    const file = FreelaBilling.saveReconciliation(rec, path.relative(process.cwd(), opts.invoiceFile));
+    if (!opts.json) console.log(`\n📄 Conferência salva em: ${file}`);
+  }
+  // Non-zero exit so a payment script stops on pending items
+  if (!rec.pode_pagar) process.exitCode = 1;
+}
+
+/**
+ * audit: audit log chain and the saved report of every closed month.
+ */
+function runAudit() {
+  const problems = MonthClose.verifyAuditLog().map(e => `Log de auditoria: ${e}`);
+  const months = MonthClose.closedMonths();
+  for (const month of months) {
+    try {
+      MonthClose.verifyClosedReport(month);
+    } catch (error) {
+      problems.push(error.message);
     }
-    const outFile = path.join(outDir, `video-count-${opts.month}.json`);
-    fs.writeFileSync(outFile, JSON.stringify(report, null, 2));
-    console.log(`\n✅ Relatório salvo em: ${outFile}`);
-  } else {
-    console.log('\n[dry-run] Relatório não salvo. Remova --dry-run para salvar.');
-    console.log('\nJSON:');
-    console.log(JSON.stringify(report, null, 2));
+  }
+  console.log(`\n🔐 Auditoria — ${months.length} mês(es) fechado(s)${months.length > 0 ? `: ${months.join(', ')}` : ''}`);
+  if (problems.length === 0) {
+    console.log('  ✅ Log de auditoria íntegro e arquivos dos meses fechados conferem com o lock');
+    return;
+  }
+  problems.forEach(p => console.log(`  ❌ ${p}`));
+  process.exitCode = 1;
+}
+
+/**
+ * adjust: attributed late correction for a closed month, paid next month.
+ */
+function runAdjust(opts) {
+  if (!opts.editor || opts.valor === null) {
+    throw new Error('Uso: adjust --month <YYYY-MM> --editor <id|nome> --valor <R$> --motivo "..." [--task <id>] [--by <nome>]');
+  }
+  const entry = MonthClose.addAdjustment(opts.month, {
+    editor: opts.editor,
+    valor: opts.valor,
+    motivo: opts.motivo,
+    taskId: opts.taskId,
+    by: currentUser(opts),
+  });
+  console.log(`\n📝 Ajuste ${entry.id} registrado: ${entry.editor_name} R$ ${entry.valor}`);
+  console.log(`   Motivo: ${entry.motivo}`);
+  console.log(`   Pago em: ${entry.applies_to} (entra no relatório e no fechamento desse mês)`);
+}
+
+async function main() {
+  const opts = parseArgs();
+
+  if (opts.help) {
+    console.log(helpText(policyForMonth(opts.month || currentMonth(), opts.policyFile)));
+    process.exit(0);
+  }
+
+  switch (opts.command) {
+    case 'count': return runCount(opts);
+    case 'close': return runClose(opts);
+    case 'adjust': return runAdjust(opts);
+    case 'audit': return runAudit();
+    case 'export': return runExport(opts);
+    case 'diff': return runDiff(opts);
+    case 'escala': return runEscala(opts);
+    case 'forecast': return runForecast(opts);
+    case 'lint': return runLint(opts);
+    case 'history': return runHistory(opts);
+    case 'notify': return runNotify(opts);
+    case 'freela': return runFreela(opts);
+    default:
+      throw new Error(`Comando desconhecido: ${opts.command} (use count, close, adjust, audit, export, diff, escala, forecast, lint, history, notify ou freela)`);
   }
 }
 
@@ -7,12 +7,52 @@
  *
  * Setup:
  *   1. Crie um novo Google Apps Script em script.google.com
- *   2. Cole este código
+ *   2. Cole este código em video-counter.gs
+ *   2b. Crie o arquivo bonus-rules.gs e cole scripts/lib/bonus-rules.js
+ *       (regras de pontos/bônus compartilhadas com o CLI Node)
+ *   2c. Crie o arquivo bonus-policies.gs com
+ *       `const BONUS_POLICIES = <conteúdo de scripts/policy/bonus-policies.json>;`
+ *       (a versão vigente no mês calculado é escolhida por effective_from;
+ *       `time_zone` da política define o fuso do mês e dos dias — o fuso do
+ *       projeto não é usado)
+ *   2d. (Opcional) Crie roster.gs com
+ *       `const ROSTER = <conteúdo de scripts/policy/roster.json>;`
+ *       (times por ID do ClickUp; sem roster, times são definidos por nome)
+ *   2e. (Opcional) Crie escala.gs com
+ *       `const ESCALAS = { '2026-02': <conteúdo de scripts/policy/escala/2026-02.json>, ... };`
+ *       (folgas e feriados extras do mês para a meta diária)
+ *   2f. Crie o arquivo report-store.gs e cole scripts/lib/report-store.js
+ *       (cache dos relatórios compactado e dividido em partes de < 9 KB)
  *   3. Em Propriedades do Script, adicione: CLICKUP_API_KEY = pk_xxx
+ *   3b. Acesso (ver doGet): ADMIN_EMAILS = coord@..., outro@... (coordenadores)
+ *       e/ou ACCESS_TOKENS = { "<token>": { "role": "admin" },
+ *                              "<token>": { "role": "editor", "editor_id": 10000005 } }
+ *       Editores também entram pelo e-mail do Google (campo `email` no roster).
+ *       Sem token/e-mail reconhecido, o Web App mostra só o ranking (sem R$).
  *   4. Deploy > Web App > Execute as: Me, Access: Anyone
+ *      (ou "Anyone with Google account" para identificar pelo e-mail)
+ *      Com "Execute as: Me" o Google só informa o e-mail de quem está no
+ *      mesmo domínio do Workspace do dono do script: contas de fora e
+ *      Gmail pessoal chegam sem e-mail e caem na visão pública. Para esses,
+ *      use tokens (ACCESS_TOKENS) — a resposta traz metadata.access.aviso
+ *      quando o e-mail não veio.
  *   5. Adicione trigger: videoCounterMain(), Time-driven, Every 12 hours
  *
- * @version 1.0.0
+ * Cache de tasks: todas as tasks das listas ficam em um arquivo no Drive
+ * (CONFIG.TASK_CACHE_FILE); cada execução só baixa o que mudou desde a
+ * anterior (date_updated_gt). A primeira sincronização completa pode levar
+ * várias execuções — até terminar, o mês é buscado como antes.
+ *
+ * Cache de relatórios: um por mês nas Propriedades do Script (ReportStore),
+ * o mesmo para o trigger e para ?month=. Vale CONFIG.CACHE_TTL_MS no mês
+ * corrente e CONFIG.PAST_MONTH_CACHE_TTL_MS nos anteriores; vencido, é
+ * recalculado quando um coordenador abre (os demais veem a cópia marcada
+ * como desatualizada). ?refresh=1 (coordenadores) recalcula na hora.
+ * As Propriedades têm cota total de ~500 KB: ficam só os
+ * CONFIG.CACHED_MONTHS meses salvos mais recentemente (o mês corrente
+ * sempre); os demais saem do cache e são recalculados se pedidos de novo.
+ *
+ * @version 1.9.2
  *
  * ╔══════════════════════════════════════════════════════════════════╗
  * ║  🎯  COMO FUNCIONAM OS BÔNUS                                   ║
@@ -41,6 +81,9 @@
  * ║  💰 FREELAS (por criativo editado)                             ║
  * ║     Peso 1 ─────────────────────────────────────── R$ 35       ║
  * ║     Peso 2 ─────────────────────────────────────── R$ 50       ║
+ * ║     Motion Graphics (desde 10/2026) ────────────── R$ 140      ║
+ * ║     Long Form (desde 10/2026) ──────────────────── R$ 175      ║
+ * ║     (tarifas próprias do freela: `rates` no roster)            ║
  * ║                                                                ║
  * ╚══════════════════════════════════════════════════════════════════╝
  */
@@ -53,39 +96,24 @@ const CONFIG = {
     filaFixo: '901324270156',     // Fila de Edição (time fixo)
     filaFreelas: '901324715701',  // Fila de Edição FREELAS
   },
-  BONUS: {
-    productivity: [
-      { rank: 1, value: 500 },
-      { rank: 2, value: 250 },
-    ],
-    metaDiaria: 6, // meta mínima diária: 6 pontos
-    turbo: { value: 100, threshold: 8, tag: 'turbo' }, // TURBO: tag "turbo" (+R$100/vid)
-    turbinho: { value: 10 }, // R$10 por criativo sem ajuste
-    fds: { perTask: { 1: 35, 2: 50 }, tags: ['fds edição', 'feriado edição'] },
-    ajusteStatuses: ['para ajustar', 'para ajustar cliente'],
-    freelaPerTask: { 1: 35, 2: 50 },
-  },
-  // Fallback weight map when "Pontos" field is empty
-  WEIGHT_MAP: {
-    bbb: 1, symphony: 1, ttcx: 2, gov: 2, motion: 4, longform: 5, clp: 1,
-  },
-  // Time fixo — apenas esses editores recebem TURBO e Turbinho
-  TIME_FIXO: [
-    'pedro ximenes', 'lílian elen', 'lilian elen',
-    'rafael nóbrega', 'rafael nobrega',
-    'bruna', 'vinícius', 'vinicius', 'daniel', 'ricardo',
-  ],
-  TIME_IA: ['rafael gomes'],
-  FREELAS: [
-    'bianca', 'ághata', 'agatha', 'maria eduarda',
-    'gabriel bonilha', 'raphael', 'saturno', 'gustavo', 'hugo',
-  ],
-  // Display name aliases (clickup username → display name)
-  NAME_ALIASES: { 'saturno': 'Raphael (Saturno)' },
+  // Regras de bônus, pesos e times: ver BONUS_POLICIES (bonus-policies.gs)
   CLICKUP_API_BASE: 'https://api.clickup.com/api/v2',
   CACHE_KEY: 'VIDEO_COUNTER_RESULT',
+  CACHE_TTL_MS: 13 * 60 * 60 * 1000,              // mês corrente: até a próxima execução do trigger
+  PAST_MONTH_CACHE_TTL_MS: 7 * 24 * 60 * 60 * 1000,
+  CACHED_MONTHS: 6,                               // meses guardados (cota de ~500 KB das Propriedades)
+  TASK_CACHE_FILE: 'video-counter-task-cache.json',
+  SYNC_BUDGET_MS: 150 * 1000,                     // tempo máx. de sincronização por execução
+  SYNC_MARGIN_MS: 5 * 60 * 1000,                  // sobreposição entre sincronizações
+  FULL_SYNC_MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000,  // refaz tudo 1x/semana (tasks apagadas)
+  MAX_RETRIES: 4,                                 // 429 / 5xx / erro de rede
+  MAX_RETRY_WAIT_MS: 30 * 1000,
+  RECOMPUTE_COOLDOWN_S: 10 * 60,                  // admin: 1 recálculo por mês a cada 10 min
 };
 
+// Falhas e estatísticas da execução atual → report.data_quality
+let fetchQuality_ = { failed_lists: [], errors: [], requests: 0, retries: 0, rate_limited: 0 };
+
 // ─── ClickUp API ─────────────────────────────────────────────────────────────
 
 function getApiKey_() {
@@ -94,6 +122,18 @@ function getApiKey_() {
   return key;
 }
 
+/**
+ * Wait before retrying: until X-RateLimit-Reset on 429, exponential otherwise.
+ */
+function retryDelay_(response, attempt) {
+  const headers = response ? response.getHeaders() : {};
+  const reset = Number(headers['X-RateLimit-Reset'] || headers['x-ratelimit-reset']);
+  if (reset > 0) {
+    return Math.min(Math.max(reset * 1000 - Date.now(), 0) + 250, CONFIG.MAX_RETRY_WAIT_MS);
+  }
+  return Math.min(1000 * Math.pow(2, attempt), CONFIG.MAX_RETRY_WAIT_MS);
+}
+
 function clickupGet_(endpoint) {
   const url = CONFIG.CLICKUP_API_BASE + endpoint;
   const options = {
@@ -101,11 +141,29 @@ function clickupGet_(endpoint) {
     headers: { 'Authorization': getApiKey_() },
     muteHttpExceptions: true,
   };
-  const response = UrlFetchApp.fetch(url, options);
-  if (response.getResponseCode() !== 200) {
-    throw new Error(`ClickUp API error ${response.getResponseCode()}: ${response.getContentText()}`);
+  for (let attempt = 0; ; attempt++) {
+    fetchQuality_.requests++;
+    let response = null;
+    let networkError = null;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      networkError = e;
+    }
+    const code = response ? response.getResponseCode() : null;
+    if (code === 200) {
+      return JSON.parse(response.getContentText());
+    }
+    const retryable = code === null || code === 429 || code >= 500;
+    if (!retryable || attempt >= CONFIG.MAX_RETRIES) {
+      throw networkError || new Error(`ClickUp API error ${code}: ${response.getContentText()}`);
+    }
+    if (code === 429) fetchQuality_.rate_limited++;
+    fetchQuality_.retries++;
+    const wait = retryDelay_(response, attempt);
+    Logger.log('ClickUp ' + (code || 'erro de rede') + ' em ' + endpoint.split('?')[0] + ' — nova tentativa em ' + Math.round(wait / 1000) + 's');
+    Utilities.sleep(wait);
   }
-  return JSON.parse(response.getContentText());
 }
 
 function getTasks_(listId, page, dateRange) {
@@ -120,175 +178,144 @@ function getTasks_(listId, page, dateRange) {
   return data.tasks || [];
 }
 
-// ─── Field Helpers ───────────────────────────────────────────────────────────
-
-function findField_(task, fieldName) {
-  if (!task.custom_fields) return null;
-  const needle = fieldName.toLowerCase();
-  // Try exact match first (ignoring emojis/symbols)
-  const stripEmoji = s => s.replace(/[^\p{L}\p{N}\s]/gu, '').trim().toLowerCase();
-  const exact = task.custom_fields.find(
-    cf => stripEmoji(cf.name) === needle
-  );
-  if (exact) return exact;
-  // Fallback: includes match
-  return task.custom_fields.find(
-    cf => cf.name.toLowerCase().includes(needle)
-  );
+function getUpdatedTasks_(listId, page, since, archived) {
+  let url = `/list/${listId}/task?page=${page}&include_closed=true&archived=${archived}`;
+  if (since) url += '&date_updated_gt=' + since;
+  const data = clickupGet_(url);
+  return data.tasks || [];
 }
 
-function parseFieldValue_(field) {
-  if (!field || field.value === null || field.value === undefined) return null;
-  switch (field.type) {
-    case 'drop_down':
-      if (field.type_config && field.type_config.options) {
-        const opt = field.type_config.options.find(
-          o => o.id === field.value || o.orderindex === field.value
-        );
-        return opt ? opt.name : field.value;
-      }
-      return field.value;
-    case 'date':
-      return field.value ? new Date(parseInt(field.value)) : null;
-    case 'number':
-    case 'currency':
-      return typeof field.value === 'object' ? field.value.current : field.value;
-    case 'users':
-      return Array.isArray(field.value) ? field.value : [field.value];
-    default:
-      return field.value;
-  }
-}
+// ─── Task Cache (Drive) ──────────────────────────────────────────────────────
 
-function getPrimeiraEdicao_(task) {
-  const field = findField_(task, 'Primeira Edição');
-  if (!field) return null;
-  const val = parseFieldValue_(field);
-  if (!val) return null;
-  const d = val instanceof Date ? val : new Date(parseInt(val));
-  return isNaN(d.getTime()) ? null : d;
+function loadTaskCache_() {
+  const files = DriveApp.getFilesByName(CONFIG.TASK_CACHE_FILE);
+  if (files.hasNext()) {
+    return JSON.parse(files.next().getBlob().getDataAsString());
+  }
+  return { lists: {}, status: {} };
 }
 
-function getPontos_(task) {
-  // 1. Try "Pontos" custom field
-  const field = findField_(task, 'Pontos');
-  if (field) {
-    const val = parseFieldValue_(field);
-    if (val !== null && val !== undefined) {
-      const num = parseInt(String(val).replace(/[^0-9]/g, ''));
-      if (!isNaN(num) && num > 0) return num;
-    }
+function saveTaskCache_(taskCache) {
+  const content = JSON.stringify(taskCache);
+  const files = DriveApp.getFilesByName(CONFIG.TASK_CACHE_FILE);
+  if (files.hasNext()) {
+    files.next().setContent(content);
+  } else {
+    DriveApp.createFile(CONFIG.TASK_CACHE_FILE, content, MimeType.PLAIN_TEXT);
   }
-
-  // 2. Fallback: identify type
-  const type = identifyType_(task);
-  if (type !== 'unknown') return CONFIG.WEIGHT_MAP[type] || 1;
-
-  return null;
 }
 
-function identifyType_(task) {
-  const TASK_NAME_RE = /\[\d+\]\s*\[[A-Z]\d+\]\[([A-Z]+)\]/i;
-  const CLIENT_MAP = {
-    'MC': 'bbb', 'MELI': 'bbb', 'BBB': 'bbb', 'TTCX': 'ttcx',
-    'GOV': 'gov', 'MG': 'motion', 'LF': 'longform', 'SYM': 'symphony', 'CLP': 'clp',
-  };
-  const NAME_PATTERNS = [
-    [/bbb|react|moda|cpg|mercado\s*livre/i, 'bbb'],
-    [/ttcx|anúncio|anuncio|tiktok/i, 'ttcx'],
-    [/symphony|sinfonia/i, 'symphony'],
-    [/motion/i, 'motion'],
-    [/long\s*form|youtube|podcast/i, 'longform'],
-    [/gov(erno)?|institucional/i, 'gov'],
-    [/clp|landing/i, 'clp'],
-  ];
+/**
+ * Bring one list of the cache up to date. The full download is resumable
+ * (next_page) so it can span several executions; after it completes only
+ * tasks updated or archived since the last sync are fetched.
+ * Returns the store; `store.complete` is false while the full sync runs.
+ */
+function syncList_(taskCache, listId, deadline) {
+  const now = Date.now();
+  let store = taskCache.lists[listId];
+  if (!store || (store.complete && now - store.full_sync_at > CONFIG.FULL_SYNC_MAX_AGE_MS)) {
+    store = { list_id: listId, tasks: {}, next_page: 0, complete: false, started_at: now, synced_at: null, full_sync_at: null };
+    taskCache.lists[listId] = store;
+  }
 
-  // Try Produto field
-  const prodField = findField_(task, 'Produto');
-  if (prodField) {
-    const val = parseFieldValue_(prodField);
-    if (val) {
-      const norm = String(val).toLowerCase();
-      for (const key of Object.keys(CONFIG.WEIGHT_MAP)) {
-        if (norm.includes(key)) return key;
+  if (!store.complete) {
+    while (Date.now() < deadline) {
+      const tasks = getUpdatedTasks_(listId, store.next_page, null, false);
+      BonusRules.applyTaskUpdates(store, tasks);
+      store.next_page++;
+      if (tasks.length < 100) {
+        // Anything updated while the full sync ran is caught incrementally
+        store.complete = true;
+        store.full_sync_at = store.started_at;
+        store.synced_at = store.started_at;
+        break;
       }
     }
+    Logger.log('Cache ' + listId + ': sincronização completa ' + (store.complete ? 'concluída' : 'em andamento (página ' + store.next_page + ')'));
+    return store;
   }
 
-  // Try client code
-  const match = TASK_NAME_RE.exec(task.name);
-  if (match && CLIENT_MAP[match[1].toUpperCase()]) {
-    return CLIENT_MAP[match[1].toUpperCase()];
-  }
-
-  // Regex fallback
-  for (const [re, type] of NAME_PATTERNS) {
-    if (re.test(task.name)) return type;
-  }
-
-  return 'unknown';
-}
-
-function extractEditors_(task) {
-  // Only use "Editor" custom field — never fall back to assignees
-  // (assignees can be accounts, clients, etc.)
-  const field = findField_(task, 'Editor');
-  if (field) {
-    const val = parseFieldValue_(field);
-    if (val && Array.isArray(val) && val.length > 0) {
-      return val.map(u => ({ id: u.id, name: u.username || u.email || 'User ' + u.id }));
+  const since = store.synced_at - CONFIG.SYNC_MARGIN_MS;
+  let updated = [];
+  [false, true].forEach(archived => {
+    for (let page = 0; ; page++) {
+      const tasks = getUpdatedTasks_(listId, page, since, archived);
+      updated = updated.concat(tasks);
+      if (tasks.length < 100) break;
     }
-  }
-  return [];
-}
-
-// ─── FDS & Turbinho Helpers ──────────────────────────────────────────────────
-
-function isFdsTask_(task) {
-  if (!task.tags || !Array.isArray(task.tags)) return false;
-  return task.tags.some(function(t) {
-    return CONFIG.BONUS.fds.tags.indexOf((t.name || '').toLowerCase()) !== -1;
   });
+  const changes = BonusRules.applyTaskUpdates(store, updated);
+  store.synced_at = now;
+  Logger.log('Cache ' + listId + ': +' + changes.added + ' novas, ' + changes.updated + ' alteradas, -' + changes.removed +
+    ' removidas' + (changes.editors.length ? ' — editores afetados: ' + changes.editors.join(', ') : ''));
+  return store;
 }
 
-function isTurboTask_(task) {
-  if (!task.tags || !Array.isArray(task.tags)) return false;
-  var tag = (CONFIG.BONUS.turbo.tag || 'turbo').toLowerCase();
-  return task.tags.some(function(t) {
-    return (t.name || '').toLowerCase() === tag;
-  });
-}
+// ─── Status History ──────────────────────────────────────────────────────────
 
-function getTimeInStatus_(taskId) {
+function getBulkTimeInStatus_(taskIds) {
+  // ClickUp bulk endpoint: GET /task/bulk_time_in_status/task_ids?task_ids=a&task_ids=b
+  // Returns { taskId: { current_status, status_history }, ... }
+  var qs = taskIds.map(function(id) { return 'task_ids=' + id; }).join('&');
   try {
-    return clickupGet_('/task/' + taskId + '/time_in_status');
+    return clickupGet_('/task/bulk_time_in_status/task_ids?' + qs);
   } catch (e) {
-    Logger.log('Error getting status history for ' + taskId + ': ' + e.message);
-    return null;
+    // Tasks left out are reported as unverified, never as "sem ajuste"
+    Logger.log('Bulk time_in_status error: ' + e.message);
+    fetchQuality_.errors.push('Histórico de status (' + taskIds.length + ' tasks): ' + e.message);
+    return {};
   }
 }
 
-function hadAjuste_(taskId) {
-  var data = getTimeInStatus_(taskId);
-  if (!data || !data.status_history) return false;
-  return data.status_history.some(function(s) {
-    return CONFIG.BONUS.ajusteStatuses.indexOf((s.status || '').toLowerCase()) !== -1;
-  });
+function fetchStatusHistory_(taskIds) {
+  Logger.log('Turbinho: Checking status history for ' + taskIds.length + ' tasks...');
+
+  // Safety: skip Turbinho if too many tasks (GAS 6-min timeout risk)
+  if (taskIds.length > 500) {
+    Logger.log('Turbinho: SKIPPED — too many tasks (' + taskIds.length + '). Limit is 500.');
+    fetchQuality_.errors.push('Histórico de status não consultado: ' + taskIds.length + ' tasks (limite 500)');
+    return {};
+  }
+
+  // Use bulk endpoint in batches of 100 (ClickUp limit)
+  var statusByTask = {};
+  for (var i = 0; i < taskIds.length; i += 100) {
+    var batch = taskIds.slice(i, i + 100);
+    Logger.log('Turbinho bulk check: ' + (i + batch.length) + '/' + taskIds.length);
+    Object.assign(statusByTask, getBulkTimeInStatus_(batch));
+  }
+  return statusByTask;
 }
 
-// ─── Core Logic ──────────────────────────────────────────────────────────────
+/**
+ * Status history through the task cache: only tasks that are new or whose
+ * date_updated changed since their history was fetched hit the API.
+ */
+function fetchStatusHistoryCached_(tasks, taskCache) {
+  const ids = BonusRules.statusTaskIds(tasks);
+  const byId = {};
+  tasks.forEach(t => { byId[t.id] = t; });
+  const stale = ids.filter(id => !taskCache.status[id] || taskCache.status[id].date_updated !== byId[id].date_updated);
+  Logger.log('Turbinho: ' + (ids.length - stale.length) + '/' + ids.length + ' históricos em cache');
+
+  const fetched = fetchStatusHistory_(stale);
+  stale.forEach(id => {
+    if (fetched[id]) taskCache.status[id] = { date_updated: byId[id].date_updated, data: fetched[id] };
+  });
 
-function getMonthRange_(monthStr) {
-  const parts = monthStr.split('-');
-  const year = parseInt(parts[0]);
-  const month = parseInt(parts[1]);
-  const start = new Date(year, month - 1, 1);
-  const end = new Date(year, month, 0, 23, 59, 59, 999);
-  return { start: start.getTime(), end: end.getTime() };
+  const statusByTask = {};
+  ids.forEach(id => {
+    if (taskCache.status[id]) statusByTask[id] = taskCache.status[id].data;
+  });
+  return statusByTask;
 }
 
+// ─── Core Logic ──────────────────────────────────────────────────────────────
+
+// Business time zone of the active policy (time_zone), not the project's
 function formatDate_(d) {
-  return Utilities.formatDate(d, Session.getScriptTimeZone(),  'yyyy-MM-dd');
+  return Utilities.formatDate(d, BonusRules.timeZone(), 'yyyy-MM-dd');
 }
 
 function fetchAllTasks_(listId, dateRange) {
@@ -301,12 +328,7 @@ function fetchAllTasks_(listId, dateRange) {
     Logger.log('  Page ' + page + ': ' + tasks.length + ' tasks');
     if (tasks.length === 0) { hasMore = false; break; }
 
-    const filtered = tasks.filter(t => {
-      const pe = getPrimeiraEdicao_(t);
-      if (!pe) return false;
-      const ts = pe.getTime();
-      return ts >= dateRange.start && ts <= dateRange.end;
-    });
+    const filtered = tasks.filter(t => BonusRules.isInRange(t, dateRange));
 
     all.push(...filtered);
     page++;
@@ -319,302 +341,6 @@ function fetchAllTasks_(listId, dateRange) {
   return all;
 }
 
-function calculatePontos_(tasks) {
-  const editorMap = {};
-  const editorTaskIds = {}; // editorId -> [taskId, ...]
-  const editorFds = {}; // editorId -> { tasks, bonus }
-  const editorTaskWeights = {}; // editorId -> [peso, peso, ...]
-  const editorTaskNames = {}; // editorId -> [{ name, pontos }, ...]
-  const editorTurboTasks = {}; // editorId -> [{ name, task_id, date, pontos }]
-  const unmatched = [];
-
-  tasks.forEach(task => {
-    const pontos = getPontos_(task);
-    const editors = extractEditors_(task);
-    const pe = getPrimeiraEdicao_(task);
-    const dateStr = pe ? formatDate_(pe) : null;
-    const fds = isFdsTask_(task);
-
-    if (pontos === null) {
-      unmatched.push({ task_id: task.id, task_name: task.name, reason: 'Sem pontos' });
-      return;
-    }
-    if (editors.length === 0) {
-      unmatched.push({ task_id: task.id, task_name: task.name, reason: 'Sem editor' });
-      return;
-    }
-
-    const split = editors.length;
-    editors.forEach(editor => {
-      if (!editorMap[editor.id]) {
-        var displayName = CONFIG.NAME_ALIASES[(editor.name || '').toLowerCase()] || editor.name;
-        editorMap[editor.id] = { id: editor.id, name: displayName, team: classifyTeam_(editor.name), tasks_count: 0, pontos: 0, daily: {} };
-      }
-      const ed = editorMap[editor.id];
-      const pts = pontos / split;
-      ed.tasks_count += 1 / split;
-      ed.pontos += pts;
-      if (dateStr) {
-        ed.daily[dateStr] = (ed.daily[dateStr] || 0) + pts;
-      }
-
-      // Track task IDs for turbinho + task weights for freela bonus
-      if (!editorTaskIds[editor.id]) editorTaskIds[editor.id] = [];
-      editorTaskIds[editor.id].push(task.id);
-      if (!editorTaskWeights[editor.id]) editorTaskWeights[editor.id] = [];
-      editorTaskWeights[editor.id].push(pontos);
-      if (!editorTaskNames[editor.id]) editorTaskNames[editor.id] = [];
-      editorTaskNames[editor.id].push({
-        name: task.name,
-        pontos: pontos,
-        task_id: task.id,
-        primeira_edicao: dateStr,
-        status: task.status ? task.status.status : '',
-        status_color: task.status ? task.status.color : '',
-        is_turbo: isTurboTask_(task),
-      });
-
-      // Track turbo-tagged tasks
-      if (isTurboTask_(task)) {
-        if (!editorTurboTasks[editor.id]) editorTurboTasks[editor.id] = [];
-        editorTurboTasks[editor.id].push({ name: task.name, task_id: task.id, date: dateStr, pontos: pontos });
-      }
-
-      // Track FDS tasks by weight
-      if (fds) {
-        if (!editorFds[editor.id]) editorFds[editor.id] = { tasks: [], bonus: 0 };
-        var fdsValue = CONFIG.BONUS.fds.perTask[pontos] || 0;
-        editorFds[editor.id].tasks.push({ peso: pontos, valor: fdsValue });
-        editorFds[editor.id].bonus += fdsValue / split;
-      }
-    });
-  });
-
-  // Round
-  const editors = Object.values(editorMap).map(e => {
-    e.tasks_count = Math.round(e.tasks_count);
-    e.pontos = Math.round(e.pontos * 10) / 10;
-    Object.keys(e.daily).forEach(d => { e.daily[d] = Math.round(e.daily[d] * 10) / 10; });
-    return e;
-  });
-
-  return { editors, unmatched, editorTaskIds, editorFds, editorTaskWeights, editorTaskNames, editorTurboTasks };
-}
-
-function matchList_(name, list) {
-  const n = (name || '').toLowerCase();
-  return list.some(f => n.includes(f));
-}
-
-function isTimeFixo_(name) { return matchList_(name, CONFIG.TIME_FIXO); }
-
-function classifyTeam_(name) {
-  if (matchList_(name, CONFIG.TIME_FIXO)) return 'fixed';
-  if (matchList_(name, CONFIG.TIME_IA)) return 'ia';
-  if (matchList_(name, CONFIG.FREELAS)) return 'freela';
-  return 'freela'; // default: unknown goes to freela
-}
-
-function calculateTurbo_(editors, editorTurboTasks) {
-  const turboDays = {};
-  editors.forEach(editor => {
-    if (!isTimeFixo_(editor.name)) return;
-    const tasks = editorTurboTasks[editor.id] || [];
-    if (tasks.length === 0) return;
-
-    // Group by date for display
-    const byDate = {};
-    tasks.forEach(t => {
-      var d = t.date || 'sem-data';
-      if (!byDate[d]) byDate[d] = { date: d, pontos: editor.daily[d] || 0, turbo_count: 0 };
-      byDate[d].turbo_count++;
-    });
-
-    turboDays[editor.id] = {
-      name: editor.name,
-      count: tasks.length,
-      total_bonus: tasks.length * CONFIG.BONUS.turbo.value,
-      tasks: tasks,
-      days: Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date)),
-    };
-  });
-  return turboDays;
-}
-
-function getBulkTimeInStatus_(taskIds) {
-  // ClickUp bulk endpoint: GET /task/bulk_time_in_status/task_ids?task_ids=a&task_ids=b
-  // Returns { taskId: { current_status, status_history }, ... }
-  var qs = taskIds.map(function(id) { return 'task_ids=' + id; }).join('&');
-  try {
-    return clickupGet_('/task/bulk_time_in_status/task_ids?' + qs);
-  } catch (e) {
-    Logger.log('Bulk time_in_status error: ' + e.message);
-    return {};
-  }
-}
-
-function calculateTurbinho_(editors, editorTaskIds) {
-  const turbinhoData = {};
-  const allTaskIds = {};
-
-  // Collect unique task IDs
-  Object.values(editorTaskIds).forEach(ids => {
-    ids.forEach(id => { allTaskIds[id] = true; });
-  });
-
-  const uniqueIds = Object.keys(allTaskIds);
-  Logger.log('Turbinho: Checking status history for ' + uniqueIds.length + ' tasks...');
-
-  // Safety: skip Turbinho if too many tasks (GAS 6-min timeout risk)
-  if (uniqueIds.length > 500) {
-    Logger.log('Turbinho: SKIPPED — too many tasks (' + uniqueIds.length + '). Limit is 500.');
-    return turbinhoData;
-  }
-
-  // Use bulk endpoint in batches of 100 (ClickUp limit)
-  const taskAjusteMap = {};
-  const taskAprovadoMap = {};
-  const taskAprovadoDate = {};
-  for (var i = 0; i < uniqueIds.length; i += 100) {
-    var batch = uniqueIds.slice(i, i + 100);
-    Logger.log('Turbinho bulk check: ' + (i + batch.length) + '/' + uniqueIds.length);
-    var bulkResult = getBulkTimeInStatus_(batch);
-
-    batch.forEach(function(taskId) {
-      var data = bulkResult[taskId];
-      if (!data || !data.status_history) {
-        taskAjusteMap[taskId] = false;
-        taskAprovadoMap[taskId] = false;
-        taskAprovadoDate[taskId] = null;
-        return;
-      }
-      taskAjusteMap[taskId] = data.status_history.some(function(s) {
-        return CONFIG.BONUS.ajusteStatuses.indexOf((s.status || '').toLowerCase()) !== -1;
-      });
-      var aprovadoEntry = data.status_history.find(function(s) {
-        return (s.status || '').toLowerCase() === 'aprovado';
-      });
-      taskAprovadoMap[taskId] = !!aprovadoEntry;
-      // Extract approval date from time_in_status "since" timestamp
-      if (aprovadoEntry && aprovadoEntry.total_time && aprovadoEntry.total_time.since) {
-        var d = new Date(parseInt(aprovadoEntry.total_time.since));
-        taskAprovadoDate[taskId] = isNaN(d.getTime()) ? null : Utilities.formatDate(d, Session.getScriptTimeZone(), 'yyyy-MM-dd');
-      } else {
-        taskAprovadoDate[taskId] = null;
-      }
-    });
-  }
-
-  // Calculate per editor (only time fixo)
-  // Turbinho = passed through "aprovado" AND never had "para ajustar"/"para ajustar cliente"
-  editors.forEach(editor => {
-    if (!isTimeFixo_(editor.name)) return;
-    const taskIds = editorTaskIds[editor.id] || [];
-    const aprovados = taskIds.filter(id => taskAprovadoMap[id]);
-    const semAjuste = aprovados.filter(id => !taskAjusteMap[id]).length;
-    const comAjuste = aprovados.filter(id => taskAjusteMap[id]).length;
-    const pendentes = taskIds.filter(id => !taskAprovadoMap[id]).length;
-
-    if (semAjuste > 0) {
-      turbinhoData[editor.id] = {
-        name: editor.name,
-        total_tasks: taskIds.length,
-        aprovados: aprovados.length,
-        sem_ajuste: semAjuste,
-        com_ajuste: comAjuste,
-        pendentes: pendentes,
-        bonus: semAjuste * CONFIG.BONUS.turbinho.value,
-      };
-    }
-  });
-
-  return { turbinhoData: turbinhoData, taskAprovadoDate: taskAprovadoDate };
-}
-
-function generateReport_(counts, turboDays, turbinhoData, taskAprovadoDate, month, totalTasks) {
-  const { editors, unmatched, editorFds, editorTaskWeights, editorTaskNames } = counts;
-
-  // Rank: only time fixo editors compete for ranking/bonus
-  const fixedEditors = editors.filter(e => isTimeFixo_(e.name));
-  const otherEditors = editors.filter(e => !isTimeFixo_(e.name));
-  fixedEditors.sort((a, b) => b.pontos - a.pontos);
-  fixedEditors.forEach((e, i) => { e.rank = i + 1; });
-  otherEditors.sort((a, b) => b.pontos - a.pontos);
-
-  // Assign bonus + tasks — fixed team only
-  fixedEditors.forEach(e => {
-    const bonusEntry = CONFIG.BONUS.productivity.find(b => b.rank === e.rank);
-    const prodBonus = bonusEntry ? bonusEntry.value : 0;
-    const turboData = turboDays[e.id];
-    const turboBonus = turboData ? turboData.total_bonus : 0;
-    const turbinho = turbinhoData[e.id];
-    const turbinhoBonus = turbinho ? turbinho.bonus : 0;
-    const fdsData = editorFds[e.id];
-    const fdsBonus = fdsData ? Math.round(fdsData.bonus * 100) / 100 : 0;
-    const fdsCount = fdsData ? fdsData.tasks.length : 0;
-    e.bonus = {
-      productivity: prodBonus,
-      turbo: turboBonus,
-      turbo_days: turboData ? turboData.count : 0,
-      turbo_tasks: turboData ? turboData.tasks : [],
-      turbinho: turbinhoBonus,
-      turbinho_count: turbinho ? turbinho.sem_ajuste : 0,
-      fds: fdsBonus,
-      fds_count: fdsCount,
-      total: prodBonus + turboBonus + turbinhoBonus + fdsBonus,
-    };
-    e.tasks = (editorTaskNames[e.id] || []).map(t => ({
-      name: t.name, pts: t.pontos, task_id: t.task_id,
-      primeira_edicao: t.primeira_edicao, status: t.status, status_color: t.status_color,
-      is_turbo: t.is_turbo || false,
-      aprovado_date: taskAprovadoDate[t.task_id] || null,
-    }));
-  });
-
-  // Assign bonus — other editors (freelas get per-task by weight, rest get nothing)
-  otherEditors.forEach(e => {
-    if (e.team === 'freela') {
-      const weights = editorTaskWeights[e.id] || [];
-      const freelaTotal = weights.reduce((sum, peso) => sum + (CONFIG.BONUS.freelaPerTask[peso] || 0), 0);
-      const tasks = (editorTaskNames[e.id] || []).map(t => ({
-        name: t.name, pts: t.pontos, task_id: t.task_id,
-        primeira_edicao: t.primeira_edicao, status: t.status, status_color: t.status_color,
-        is_turbo: t.is_turbo || false,
-        aprovado_date: taskAprovadoDate[t.task_id] || null,
-      }));
-      e.bonus = { freelaTotal: Math.round(freelaTotal * 100) / 100, tasks: tasks };
-    } else {
-      e.bonus = { productivity: 0, turbo: 0, turbo_days: 0, turbinho: 0, turbinho_count: 0, fds: 0, total: 0 };
-    }
-  });
-
-  const allEditors = fixedEditors.concat(otherEditors);
-
-  return {
-    metadata: {
-      month, generated_at: new Date().toISOString(),
-      total_tasks: totalTasks,
-      meta_diaria: CONFIG.BONUS.metaDiaria,
-      turbo_threshold: CONFIG.BONUS.turbo.threshold,
-      unit: 'pontos',
-    },
-    editors: allEditors.map(e => ({
-      name: e.name, team: e.team,
-      totals: { raw_count: e.tasks_count, pontos: e.pontos },
-      daily: e.daily, rank: e.rank, bonus: e.bonus,
-      tasks: e.tasks || (e.bonus && e.bonus.tasks) || [],
-    })),
-    turbo_days: turboDays,
-    turbinho_summary: turbinhoData,
-    summary: {
-      total_pontos: Math.round(allEditors.reduce((a, e) => a + e.pontos, 0) * 10) / 10,
-      total_editors: allEditors.length,
-      ranking: fixedEditors.map(e => ({ name: e.name, rank: e.rank, pontos: e.pontos })),
-    },
-    unmatched,
-  };
-}
-
 // ─── Entry Points ────────────────────────────────────────────────────────────
 
 /**
@@ -622,59 +348,68 @@ function generateReport_(counts, turboDays, turbinhoData, taskAprovadoDate, mont
  * Fetches data, calculates, caches result.
  */
 function videoCounterMain(customMonth) {
-  const now = new Date();
-  const month = customMonth || Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM');
+  const month = customMonth || currentMonth_();
 
   Logger.log('VideoCounter: Starting for month ' + month);
+  fetchQuality_ = { failed_lists: [], errors: [], requests: 0, retries: 0, rate_limited: 0 };
 
-  const dateRange = getMonthRange_(month);
+  const policy = BonusRules.usePolicy(BonusRules.selectPolicy(BONUS_POLICIES.versions, month));
+  Logger.log('Policy: ' + policy.version + ' (desde ' + policy.effective_from + ')');
+  const roster = typeof ROSTER !== 'undefined' ? ROSTER : null;
+  const escala = typeof ESCALAS !== 'undefined' && ESCALAS[month] ? ESCALAS[month] : null;
+
+  const dateRange = BonusRules.getMonthRange(month);
   const lists = [
     { id: CONFIG.LIST_IDS.producao, name: 'Produção de Criativos', team: 'fixed' },
     { id: CONFIG.LIST_IDS.filaFixo, name: 'Fila de Edição (fixo)', team: 'fixed' },
     { id: CONFIG.LIST_IDS.filaFreelas, name: 'Fila de Edição FREELAS', team: 'freela' },
   ];
 
+  const taskCache = loadTaskCache_();
+  const deadline = Date.now() + CONFIG.SYNC_BUDGET_MS;
   let allTasks = [];
+  let fromCache = true;
   lists.forEach(list => {
     try {
       Logger.log('Querying: ' + list.name);
-      const tasks = fetchAllTasks_(list.id, dateRange);
+      const store = syncList_(taskCache, list.id, deadline);
+      let tasks;
+      if (store.complete) {
+        tasks = Object.keys(store.tasks).map(id => store.tasks[id]).filter(t => BonusRules.isInRange(t, dateRange));
+      } else {
+        // Full sync still running: fetch the month window as before
+        tasks = fetchAllTasks_(list.id, dateRange);
+        fromCache = false;
+      }
       if (list.team === 'freela') {
         tasks.forEach(t => { t._team = 'freela'; });
       }
       allTasks = allTasks.concat(tasks);
     } catch (e) {
       Logger.log('Error fetching ' + list.name + ': ' + e.message);
+      fetchQuality_.failed_lists.push({ list_id: list.id, name: list.name, error: e.message });
     }
   });
 
   Logger.log('Total tasks: ' + allTasks.length);
 
-  const counts = calculatePontos_(allTasks);
-
-  // Tag freelas
-  counts.editors.forEach(editor => {
-    const freelaTasks = allTasks.filter(t =>
-      t._team === 'freela' && extractEditors_(t).some(e => e.id === editor.id)
-    );
-    const totalTasks = allTasks.filter(t =>
-      extractEditors_(t).some(e => e.id === editor.id)
-    );
-    if (freelaTasks.length > 0 && freelaTasks.length >= totalTasks.length / 2) {
-      editor.team = 'freela';
-    }
+  const statusByTask = fromCache
+    ? fetchStatusHistoryCached_(allTasks, taskCache)
+    : fetchStatusHistory_(BonusRules.statusTaskIds(allTasks));
+  saveTaskCache_(taskCache);
+  const report = BonusRules.buildReport(allTasks, statusByTask, {
+    month: month, policy: policy, roster: roster, formatDate: formatDate_, dataQuality: fetchQuality_, escala: escala,
   });
-
-  const turboDays = calculateTurbo_(counts.editors, counts.editorTurboTasks);
-  const turbinhoResult = calculateTurbinho_(counts.editors, counts.editorTaskIds);
-  const turbinhoData = turbinhoResult.turbinhoData;
-  const taskAprovadoDate = turbinhoResult.taskAprovadoDate;
-  const report = generateReport_(counts, turboDays, turbinhoData, taskAprovadoDate, month, allTasks.length);
+  if (!report.data_quality.complete) {
+    Logger.log('Dados incompletos — bônus provisórios: ' + report.data_quality.provisional_editors.join(', '));
+  }
 
   // Cache result in Script Properties (persists between runs)
-  const cache = PropertiesService.getScriptProperties();
-  cache.setProperty(CONFIG.CACHE_KEY, JSON.stringify(report));
-  cache.setProperty(CONFIG.CACHE_KEY + '_TIMESTAMP', new Date().toISOString());
+  saveReport_(reportStore_(), report);
+
+  report.roster_warnings.forEach(w => {
+    Logger.log('Roster: [' + w.id + '] ' + w.name + ' — ' + w.reason + ' (' + w.tasks + ' tarefas)');
+  });
 
   Logger.log('VideoCounter: Done. ' + report.summary.total_pontos + ' pontos, ' +
     report.summary.total_editors + ' editors');
@@ -682,44 +417,225 @@ function videoCounterMain(customMonth) {
   return report;
 }
 
+// ─── Report Cache ────────────────────────────────────────────────────────────
+
 /**
- * Web App endpoint — returns cached JSON.
+ * Reports, run diff and history in Script Properties, gzipped and split
+ * into chunks by ReportStore (report-store.gs) to fit the 9 KB value limit.
+ */
+function reportStore_() {
+  return ReportStore.create(PropertiesService.getScriptProperties(), {
+    prefix: CONFIG.CACHE_KEY,
+    encode: text => Utilities.base64Encode(Utilities.gzip(Utilities.newBlob(text, 'application/json')).getBytes()),
+    decode: data => Utilities.ungzip(Utilities.newBlob(Utilities.base64Decode(data), 'application/x-gzip')).getDataAsString('UTF-8'),
+  });
+}
+
+function currentMonth_() {
+  return Utilities.formatDate(new Date(), BonusRules.timeZone(), 'yyyy-MM');
+}
+
+// Running month: until the next trigger run; past months only change with late edits
+function cacheTtlMs_(month) {
+  return month >= currentMonth_() ? CONFIG.CACHE_TTL_MS : CONFIG.PAST_MONTH_CACHE_TTL_MS;
+}
+
+/**
+ * Cache a month's report (replacing the previous run) plus its diff and
+ * history entry.
+ */
+function saveReport_(store, report) {
+  const month = report.metadata.month;
+  const previous = store.get(month);
+  if (previous) saveRunDiff_(store, previous.value, report);
+  let meta;
+  try {
+    meta = store.put(month, report, cacheTtlMs_(month));
+  } catch (err) {
+    // Quota full (e.g. CACHED_MONTHS too high for the reports' size): drop the other months and retry
+    Logger.log('Cache: ' + month + ' não coube (' + err.message + ') — liberando os outros meses');
+    evictMonths_(store, month, 0);
+    meta = store.put(month, report, cacheTtlMs_(month));
+  }
+  Logger.log('Cache: ' + month + ' salvo em ' + meta.chunks + ' parte(s), ' + meta.bytes + ' bytes');
+  evictMonths_(store, month, CONFIG.CACHED_MONTHS);
+  saveHistory_(store, report);
+  dropLegacyCache_();
+}
+
+/**
+ * Keep at most `keep` cached months: the most recently saved ones, always
+ * including `month` (just saved) and the current month, which stay even
+ * with `keep` = 0. The history keeps the totals of the months evicted.
+ */
+function evictMonths_(store, month, keep) {
+  const pinned = [month, currentMonth_()];
+  const months = store.list().filter(m => /^\d{4}-\d{2}$/.test(m.name));
+  const room = keep - months.filter(m => pinned.indexOf(m.name) !== -1).length;
+  months
+    .filter(m => pinned.indexOf(m.name) === -1)
+    .sort((a, b) => b.saved_at.localeCompare(a.saved_at))
+    .slice(Math.max(room, 0))
+    .forEach(m => {
+      store.remove(m.name);
+      Logger.log('Cache: ' + m.name + ' removido (salvo em ' + m.saved_at + ')');
+    });
+}
+
+/**
+ * Cached report of a month with its cache info in metadata, or null.
+ */
+function cachedReport_(store, month) {
+  const cached = store.get(month);
+  if (!cached) return null;
+  const report = cached.value;
+  report.metadata.cached_at = cached.saved_at;
+  report.metadata.cache = { saved_at: cached.saved_at, expires_at: cached.expires_at, stale: cached.stale };
+  return report;
+}
+
+/**
+ * Remove a month from the cache (run from the Apps Script editor).
+ */
+function clearReportCache(month) {
+  const removed = reportStore_().remove(month || currentMonth_());
+  Logger.log('Cache ' + (month || currentMonth_()) + (removed ? ' removido' : ' não existia'));
+}
+
+/**
+ * Remove the single-value cache keys of version 1.6 and before
+ * (VIDEO_COUNTER_RESULT, _TIMESTAMP, _DIFF, _HISTORY, _YYYY-MM, _YYYY-MM_TS).
+ */
+function dropLegacyCache_() {
+  const props = PropertiesService.getScriptProperties();
+  props.getKeys()
+    .filter(k => k === CONFIG.CACHE_KEY || k.indexOf(CONFIG.CACHE_KEY + '_') === 0)
+    .forEach(k => props.deleteProperty(k));
+}
+
+/**
+ * Diff the new report against the previous cached run of the same month
+ * (e.g. morning vs evening trigger) and keep it for doGet ?view=diff.
+ */
+function saveRunDiff_(store, previous, report) {
+  const diff = BonusRules.diffReports(previous, report);
+  diff.editors.forEach(e => {
+    Logger.log('Diff: ' + e.name + ' ' + e.pontos.from + ' → ' + e.pontos.to + ' pts, R$ ' + e.bonus.from + ' → R$ ' + e.bonus.to);
+  });
+  store.put('diff', diff, null);
+}
+
+/**
+ * Add the month to the history index kept for doGet ?view=history.
+ */
+function saveHistory_(store, report) {
+  const previous = store.get('history');
+  store.put('history', BonusRules.mergeHistory(previous ? previous.value : null, BonusRules.historyEntry(report)), null);
+}
+
+/**
+ * Role of the request (see BonusRules.resolveAccess): ?token= matched
+ * against ACCESS_TOKENS, or the Google account against ADMIN_EMAILS and
+ * the roster e-mails. Anonymous requests get the public ranking.
+ */
+function resolveAccess_(e) {
+  const props = PropertiesService.getScriptProperties();
+  let tokens = {};
+  try {
+    tokens = JSON.parse(props.getProperty('ACCESS_TOKENS') || '{}');
+  } catch (err) {
+    Logger.log('ACCESS_TOKENS inválido: ' + err.message);
+  }
+  let email = '';
+  try {
+    email = Session.getActiveUser().getEmail();
+  } catch (err) {
+    // Anonymous access (Web App "Anyone")
+  }
+  const token = e && e.parameter ? e.parameter.token : null;
+  const access = BonusRules.resolveAccess({
+    token: token,
+    email: email,
+    tokens: tokens,
+    adminEmails: (props.getProperty('ADMIN_EMAILS') || '').split(',').filter(String),
+    roster: typeof ROSTER !== 'undefined' ? ROSTER : null,
+  });
+  // "Execute as: Me" only gets the e-mail of users in the owner's Workspace
+  // domain: everyone else (personal Gmail included) arrives without one
+  if (access.role === 'public' && !email && !token) {
+    Logger.log('Acesso sem e-mail do Google (fora do domínio do Workspace?) — visão pública');
+    access.aviso = 'Sua conta Google não foi identificada (fora do domínio da empresa ou Gmail pessoal) — peça um link com token a um coordenador';
+  }
+  return access;
+}
+
+/**
+ * Recompute a month on request. Only admins, and at most once per month
+ * every RECOMPUTE_COOLDOWN_S — a full run takes minutes of ClickUp quota.
+ * Returns the report (cached by videoCounterMain), or { error } when refused.
+ */
+function recomputeMonth_(month, access) {
+  if (access.role !== 'admin') {
+    return { error: 'Relatório de ' + month + ' ainda não foi calculado — aguarde o trigger ou peça a um coordenador' };
+  }
+  const throttle = CacheService.getScriptCache();
+  const key = 'RECOMPUTE_' + month;
+  if (throttle.get(key)) {
+    return { error: 'Relatório de ' + month + ' recalculado há pouco — tente de novo em alguns minutos' };
+  }
+  throttle.put(key, new Date().toISOString(), CONFIG.RECOMPUTE_COOLDOWN_S);
+  const report = videoCounterMain(month);
+  report.metadata.cached_at = report.metadata.generated_at;
+  return report;
+}
+
+/**
+ * Web App endpoint — returns cached JSON, scoped to who is asking:
+ * coordinators get everything, editors their own detail plus the ranking,
+ * anyone else (the embed widget) the ranking only.
+ * ?month=YYYY-MM picks the month (default: current). A month not cached or
+ * expired is recomputed for admins; others get the expired copy, flagged
+ * in metadata.cache.stale.
+ * ?refresh=1 recomputes the month now (admins).
+ * ?view=diff returns what changed between the last two runs (admins).
+ * ?view=history returns the month history (pontos, ranking, bônus per month).
  * Deploy as Web App to get URL for widget.
  */
 function doGet(e) {
   const output = ContentService.createTextOutput();
   output.setMimeType(ContentService.MimeType.JSON);
 
-  const requestedMonth = e && e.parameter && e.parameter.month ? e.parameter.month : null;
-  const cache = PropertiesService.getScriptProperties();
-
-  if (requestedMonth) {
-    // Specific month requested — check cache or generate
-    const cacheKey = CONFIG.CACHE_KEY + '_' + requestedMonth;
-    const cached = cache.getProperty(cacheKey);
-    if (cached) {
-      const data = JSON.parse(cached);
-      data.metadata.cached_at = cache.getProperty(cacheKey + '_TS') || 'unknown';
-      output.setContent(JSON.stringify(data));
-    } else {
-      const report = videoCounterMain(requestedMonth);
-      cache.setProperty(cacheKey, JSON.stringify(report));
-      cache.setProperty(cacheKey + '_TS', new Date().toISOString());
-      output.setContent(JSON.stringify(report));
-    }
+  const access = resolveAccess_(e);
+  const params = (e && e.parameter) || {};
+  const store = reportStore_();
+  let result;
+
+  if (params.view === 'diff') {
+    const diff = store.get('diff');
+    result = access.role === 'admin'
+      ? (diff ? diff.value : { editors: [], tasks: {} })
+      : { error: 'Diferenças entre execuções: apenas coordenadores' };
+  } else if (params.view === 'history') {
+    const history = store.get('history');
+    result = BonusRules.scopeHistory(history ? history.value : { updated_at: null, months: [] }, access);
   } else {
-    // Default: current month (cached)
-    const cached = cache.getProperty(CONFIG.CACHE_KEY);
-    if (cached) {
-      const data = JSON.parse(cached);
-      data.metadata.cached_at = cache.getProperty(CONFIG.CACHE_KEY + '_TIMESTAMP') || 'unknown';
-      output.setContent(JSON.stringify(data));
+    const month = params.month || currentMonth_();
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      result = { error: 'Mês inválido: ' + month + ' (use YYYY-MM)' };
     } else {
-      const report = videoCounterMain();
-      output.setContent(JSON.stringify(report));
+      let report = params.refresh ? null : cachedReport_(store, month);
+      if (params.refresh && access.role !== 'admin') {
+        report = { error: 'Recalcular (?refresh=1): apenas coordenadores' };
+      } else if (!report || report.metadata.cache.stale) {
+        const fresh = recomputeMonth_(month, access);
+        // Refused (not admin, or recomputed moments ago): the expired copy beats nothing
+        report = fresh.error && report ? report : fresh;
+      }
+      result = report.error ? report : BonusRules.scopeReport(report, access);
     }
   }
 
+  output.setContent(JSON.stringify(result));
   return output;
 }
 
@@ -0,0 +1,2090 @@
+/**
+ * Bonus Rules — Gestão de Edição
+ *
+ * Pure calculation engine shared by the Node CLI
+ * (scripts/clickup-video-counter.js) and the Apps Script counter
+ * (scripts/google-apps-script/video-counter.gs). Takes raw ClickUp tasks
+ * plus their status history and returns the monthly report — no network,
+ * no filesystem, no clock other than `generated_at`.
+ *
+ * Apps Script: paste this file as `bonus-rules.gs` in the same project.
+ * All files share one global scope, so everything lives under `BonusRules`.
+ *
+ * @module bonus-rules
+ */
+
+var BonusRules = (function () {
+  // ─── Policy ────────────────────────────────────────────────────────────────
+  //
+  // Rules come from a versioned policy (scripts/policy/bonus-policies.json).
+  // Call usePolicy() — or pass `policy` to buildReport() — before using
+  // any of the helpers below.
+
+  let POLICY = null;
+  let BONUS = null;
+  let WEIGHT_MAP = null;
+  let TIME_FIXO = null; // apenas esses editores recebem TURBO e Turbinho
+  let TIME_IA = null;
+  let FREELAS = null;
+  let NAME_ALIASES = null; // clickup username → display name
+  let TASK_NAME_PATTERN = null; // [398] [P13][MC][21/02] MODA - Thais
+  let CLIENT_CODE_MAP = null;
+  let NAME_PATTERNS = null;
+  let SPLIT = null; // explicit/default split of multi-editor tasks (optional in the policy)
+  let RANKING = null; // score, tie-breakers and shared prizes of the productivity ranking
+
+  const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+  // Months and days are counted in the business time zone (policy
+  // `time_zone`), never in the runtime's — see the Dates section
+  const DEFAULT_TIME_ZONE = 'America/Sao_Paulo';
+  let TIME_ZONE = DEFAULT_TIME_ZONE;
+
+  // Ranking criteria (policy `ranking`, see the Ranking section)
+  const RANKING_SCORES = ['pontos', 'pontos_por_dia'];
+  const TIE_BREAKERS = {
+    menos_ajustes: 'menos ajustes',
+    mais_turbinho: 'mais Turbinho',
+    conclusao_mais_cedo: 'concluiu antes',
+  };
+  const RANKING_LABELS = Object.assign({
+    pontos: 'pontos',
+    pontos_por_dia: 'pontos por dia trabalhado',
+    empate: 'empate (prêmio dividido)',
+    nome: 'empate (ordem alfabética)',
+  }, TIE_BREAKERS);
+
+  function isNumberMap(obj) {
+    return !!obj && typeof obj === 'object' && !Array.isArray(obj) &&
+      Object.values(obj).every(v => typeof v === 'number' && v >= 0);
+  }
+
+  function isStringList(list) {
+    return Array.isArray(list) && list.every(v => typeof v === 'string' && v.length > 0);
+  }
+
+  function isTimeZone(tz) {
+    if (typeof tz !== 'string' || !tz) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function isRegexSpec(spec) {
+    if (!spec || typeof spec.pattern !== 'string') return false;
+    try {
+      new RegExp(spec.pattern, spec.flags || '');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Validate a single policy version. Returns a list of error messages
+   * (empty when valid).
+   */
+  function validatePolicy(policy) {
+    const errors = [];
+    const err = msg => errors.push(`${(policy && policy.version) || '?'}: ${msg}`);
+
+    if (!policy || typeof policy !== 'object') return ['policy must be an object'];
+    if (typeof policy.version !== 'string' || !policy.version) err('version is required');
+    if (!MONTH_RE.test(policy.effective_from || '')) err('effective_from must be YYYY-MM');
+    if (policy.time_zone !== undefined && !isTimeZone(policy.time_zone)) {
+      err('time_zone must be an IANA time zone (e.g. America/Sao_Paulo)');
+    }
+
+    const b = policy.bonus;
+    if (!b || typeof b !== 'object') {
+      err('bonus is required');
+    } else {
+      if (!Array.isArray(b.productivity) || !b.productivity.every(p => Number.isInteger(p.rank) && typeof p.value === 'number')) {
+        err('bonus.productivity must be [{ rank, value }]');
+      }
+      if (typeof b.metaDiaria !== 'number') err('bonus.metaDiaria must be a number');
+      if (!b.turbo || typeof b.turbo.value !== 'number' || typeof b.turbo.threshold !== 'number') {
+        err('bonus.turbo must have numeric value and threshold');
+      } else if (!['tag', 'threshold'].includes(b.turbo.mode)) {
+        err('bonus.turbo.mode must be "tag" or "threshold"');
+      } else if (b.turbo.mode === 'tag' && typeof b.turbo.tag !== 'string') {
+        err('bonus.turbo.tag is required when mode is "tag"');
+      }
+      if (!b.turbinho || typeof b.turbinho.value !== 'number') err('bonus.turbinho.value must be a number');
+      if (!b.fds || !isNumberMap(b.fds.perTask) || !isStringList(b.fds.tags)) {
+        err('bonus.fds must have perTask (peso → R$) and tags');
+      }
+      if (!isStringList(b.ajusteStatuses)) err('bonus.ajusteStatuses must be a list of statuses');
+      if (typeof b.aprovadoStatus !== 'string') err('bonus.aprovadoStatus must be a string');
+      if (!isNumberMap(b.freelaPerTask)) err('bonus.freelaPerTask must map peso → R$');
+    }
+
+    if (!isNumberMap(policy.weight_map)) err('weight_map must map type → pontos');
+    const types = Object.keys(policy.weight_map || {});
+    if (b && b.freelaPerFormat !== undefined) {
+      if (!isNumberMap(b.freelaPerFormat)) {
+        err('bonus.freelaPerFormat must map type → R$');
+      } else {
+        Object.keys(b.freelaPerFormat).filter(t => !types.includes(t)).forEach(t => err(`bonus.freelaPerFormat.${t}: unknown type`));
+      }
+    }
+    for (const key of ['time_fixo', 'time_ia', 'freelas']) {
+      if (!isStringList(policy[key])) err(`${key} must be a list of names`);
+    }
+    if (!policy.name_aliases || typeof policy.name_aliases !== 'object') err('name_aliases must be an object');
+    if (!isRegexSpec(policy.task_name_pattern)) err('task_name_pattern must be a valid { pattern, flags }');
+    const codes = policy.client_code_map;
+    if (!codes || typeof codes !== 'object') {
+      err('client_code_map must be an object');
+    } else {
+      for (const [code, type] of Object.entries(codes)) {
+        if (!types.includes(type)) err(`client_code_map.${code}: unknown type "${type}"`);
+      }
+    }
+    if (!Array.isArray(policy.name_patterns)) {
+      err('name_patterns must be a list');
+    } else {
+      policy.name_patterns.forEach((np, i) => {
+        if (!isRegexSpec(np)) err(`name_patterns[${i}] is not a valid regex`);
+        if (!types.includes(np.type)) err(`name_patterns[${i}]: unknown type "${np.type}"`);
+      });
+    }
+    const split = policy.split;
+    if (split !== undefined) {
+      if (!split || typeof split !== 'object') {
+        err('split must be an object');
+      } else {
+        if (split.field !== undefined && (typeof split.field !== 'string' || !split.field)) err('split.field must be a field name');
+        if (split.name_pattern !== undefined && !isRegexSpec(split.name_pattern)) err('split.name_pattern must be a valid { pattern, flags }');
+        if (split.lead_field !== undefined && (typeof split.lead_field !== 'string' || !split.lead_field)) err('split.lead_field must be a field name');
+        const defaults = Object.entries(split.defaults || {});
+        // Default shares go by role, never by "Editor" field order
+        if (defaults.length > 0 && !split.lead_field) err('split.defaults needs split.lead_field (field naming the lead editor)');
+        for (const [type, ratio] of defaults) {
+          if (!types.includes(type)) err(`split.defaults.${type}: unknown type`);
+          if (!ratio || typeof ratio !== 'object' || Array.isArray(ratio) ||
+            !['principal', 'apoio'].every(role => typeof ratio[role] === 'number' && ratio[role] > 0)) {
+            err(`split.defaults.${type} must be { principal: %, apoio: % } with positive percentages`);
+          } else if (Object.keys(ratio).length !== 2) {
+            err(`split.defaults.${type}: only principal and apoio are allowed`);
+          } else if (Math.abs(ratio.principal + ratio.apoio - 100) > 0.01) {
+            err(`split.defaults.${type} must add up to 100`);
+          }
+        }
+      }
+    }
+    const ranking = policy.ranking;
+    if (ranking !== undefined) {
+      if (!ranking || typeof ranking !== 'object') {
+        err('ranking must be an object');
+      } else {
+        if (ranking.score !== undefined && !RANKING_SCORES.includes(ranking.score)) {
+          err(`ranking.score must be one of ${RANKING_SCORES.join(', ')}`);
+        }
+        const breakers = ranking.tie_breakers;
+        if (breakers !== undefined && (!isStringList(breakers) || breakers.some((t, i) => !TIE_BREAKERS[t] || breakers.indexOf(t) !== i))) {
+          err(`ranking.tie_breakers must list distinct criteria of ${Object.keys(TIE_BREAKERS).join(', ')}`);
+        }
+        if (ranking.shared_prizes !== undefined && typeof ranking.shared_prizes !== 'boolean') {
+          err('ranking.shared_prizes must be true or false');
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Pick the policy version in force for a month: the latest
+   * `effective_from` that is <= month.
+   */
+  function selectPolicy(versions, month) {
+    const inForce = (versions || [])
+      .filter(v => v.effective_from <= month)
+      .sort((a, b) => b.effective_from.localeCompare(a.effective_from));
+    if (inForce.length === 0) {
+      throw new Error(`Nenhuma política de bônus vigente em ${month}`);
+    }
+    return inForce[0];
+  }
+
+  /**
+   * Validate and activate a policy version.
+   */
+  function usePolicy(policy) {
+    const errors = validatePolicy(policy);
+    if (errors.length > 0) {
+      throw new Error('Política de bônus inválida:\n  ' + errors.join('\n  '));
+    }
+    POLICY = policy;
+    TIME_ZONE = policy.time_zone || DEFAULT_TIME_ZONE;
+    BONUS = policy.bonus;
+    WEIGHT_MAP = policy.weight_map;
+    TIME_FIXO = policy.time_fixo;
+    TIME_IA = policy.time_ia;
+    FREELAS = policy.freelas;
+    NAME_ALIASES = policy.name_aliases;
+    TASK_NAME_PATTERN = new RegExp(policy.task_name_pattern.pattern, policy.task_name_pattern.flags || '');
+    CLIENT_CODE_MAP = policy.client_code_map;
+    NAME_PATTERNS = policy.name_patterns.map(np => ({ regex: new RegExp(np.pattern, np.flags || ''), type: np.type }));
+    SPLIT = policy.split ? {
+      field: policy.split.field || null,
+      namePattern: policy.split.name_pattern ? new RegExp(policy.split.name_pattern.pattern, policy.split.name_pattern.flags || '') : null,
+      leadField: policy.split.lead_field || null,
+      defaults: policy.split.defaults || {},
+    } : null;
+    const ranking = policy.ranking || {};
+    RANKING = {
+      score: ranking.score || 'pontos',
+      tieBreakers: ranking.tie_breakers || [],
+      sharedPrizes: !!ranking.shared_prizes,
+    };
+    return policy;
+  }
+
+  /**
+   * Active rules (after usePolicy), in the shape the entry points use.
+   */
+  function config() {
+    if (!POLICY) return null;
+    return {
+      POLICY, BONUS, WEIGHT_MAP, TIME_FIXO, TIME_IA, FREELAS, NAME_ALIASES,
+      TASK_NAME_PATTERN, CLIENT_CODE_MAP, NAME_PATTERNS, SPLIT, RANKING, TIME_ZONE,
+    };
+  }
+
+  /**
+   * Business time zone in use: the active policy's, DEFAULT_TIME_ZONE
+   * before usePolicy (e.g. to pick the current month).
+   */
+  function timeZone() {
+    return TIME_ZONE;
+  }
+
+  // ─── Field Helpers ─────────────────────────────────────────────────────────
+
+  /**
+   * Find a custom field by name, ignoring emojis/symbols in the field label.
+   */
+  function findField(task, fieldName) {
+    if (!task.custom_fields) return null;
+    const needle = fieldName.toLowerCase();
+    const stripEmoji = s => s.replace(/[^\p{L}\p{N}\s]/gu, '').trim().toLowerCase();
+    const exact = task.custom_fields.find(cf => stripEmoji(cf.name) === needle);
+    if (exact) return exact;
+    return task.custom_fields.find(cf => cf.name.toLowerCase().includes(needle)) || null;
+  }
+
+  function parseFieldValue(field) {
+    if (!field || field.value === null || field.value === undefined) return null;
+    switch (field.type) {
+      case 'drop_down':
+        if (field.type_config && field.type_config.options) {
+          const opt = field.type_config.options.find(
+            o => o.id === field.value || o.orderindex === field.value
+          );
+          return opt ? opt.name : field.value;
+        }
+        return field.value;
+      case 'date':
+        return field.value ? new Date(parseInt(field.value)) : null;
+      case 'number':
+      case 'currency':
+        return typeof field.value === 'object' ? field.value.current : field.value;
+      case 'users':
+        return Array.isArray(field.value) ? field.value : [field.value];
+      default:
+        return field.value;
+    }
+  }
+
+  /**
+   * Get "Primeira Edição" date from task.
+   * Returns Date object or null.
+   */
+  function getPrimeiraEdicao(task) {
+    const field = findField(task, 'Primeira Edição');
+    if (!field) return null;
+    const val = parseFieldValue(field);
+    if (!val) return null;
+    const d = val instanceof Date ? val : new Date(typeof val === 'string' && isNaN(val) ? val : parseInt(val));
+    return isNaN(d.getTime()) ? null : d;
+  }
+
+  /**
+   * Get "Pontos" from task custom field.
+   * Falls back to project type identification + WEIGHT_MAP.
+   */
+  function getPontos(task) {
+    const field = findField(task, 'Pontos');
+    if (field) {
+      const val = parseFieldValue(field);
+      if (val !== null && val !== undefined) {
+        const num = parseInt(String(val).replace(/[^0-9]/g, ''));
+        if (!isNaN(num) && num > 0) return num;
+      }
+    }
+
+    const type = identifyProjectType(task);
+    if (type !== 'unknown') return WEIGHT_MAP[type] || 1;
+
+    return null; // truly unknown
+  }
+
+  /**
+   * Identify project type from "Produto" field, client code or task name.
+   */
+  function identifyProjectType(task) {
+    const produtoField = findField(task, 'Produto');
+    if (produtoField) {
+      const val = parseFieldValue(produtoField);
+      if (val) {
+        const normalized = String(val).toLowerCase().trim();
+        for (const key of Object.keys(WEIGHT_MAP)) {
+          if (normalized.includes(key)) return key;
+        }
+        if (/react|moda|cpg/i.test(normalized)) return 'bbb';
+        if (/anúncio|anuncio/i.test(normalized)) return 'ttcx';
+        if (/sinfonia/i.test(normalized)) return 'symphony';
+      }
+    }
+
+    const match = TASK_NAME_PATTERN.exec(task.name || '');
+    if (match) {
+      const clientCode = match[3].toUpperCase();
+      if (CLIENT_CODE_MAP[clientCode]) return CLIENT_CODE_MAP[clientCode];
+    }
+
+    for (const { regex, type } of NAME_PATTERNS) {
+      if (regex.test(task.name || '')) return type;
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Client code from the task name ("[MC]" in "[398] [P13][MC][21/02] ..."), or null.
+   */
+  function clientCode(task) {
+    const match = TASK_NAME_PATTERN.exec(task.name || '');
+    return match ? match[3].toUpperCase() : null;
+  }
+
+  /**
+   * Campaign code from the task name ("[P13]" in "[398] [P13][MC][21/02] ..."), or null.
+   */
+  function campaignCode(task) {
+    const match = TASK_NAME_PATTERN.exec(task.name || '');
+    return match ? match[2].toUpperCase() : null;
+  }
+
+  /**
+   * Share of the task's pontos for each editor, in "Editor" field order.
+   * An explicit split (policy `split.field`, else `split.name_pattern` in the
+   * task name, e.g. "70/30") comes first, then the format's default ratio,
+   * then equal parts. An explicit split that does not have one share per
+   * editor or does not add up to 100% is ignored and described in `error`.
+   * The default ratio gives `principal` to the editor named in
+   * `split.lead_field` and `apoio` in equal parts to the others; without a
+   * lead editor on the task it does not apply (described in `error`).
+   *
+   * @returns {{ shares: number[], source: 'campo'|'nome'|'padrao'|'igual', error: string|null }}
+   */
+  function getSplit(task, editors) {
+    const n = editors.length;
+    const equal = { shares: editors.map(() => 1 / n), source: 'igual', error: null };
+    if (!SPLIT || n < 2) return equal;
+
+    let explicit = null;
+    const field = SPLIT.field && findField(task, SPLIT.field);
+    const fieldValue = field ? parseFieldValue(field) : null;
+    if (fieldValue !== null && fieldValue !== undefined && String(fieldValue).trim()) {
+      explicit = { source: 'campo', text: String(fieldValue).trim() };
+    } else if (SPLIT.namePattern) {
+      const match = SPLIT.namePattern.exec(task.name || '');
+      if (match) explicit = { source: 'nome', text: match[1] || match[0] };
+    }
+
+    let error = null;
+    if (explicit) {
+      const parts = (explicit.text.match(/\d+(?:[.,]\d+)?/g) || []).map(p => parseFloat(p.replace(',', '.')));
+      const total = parts.reduce((a, p) => a + p, 0);
+      const where = explicit.source === 'campo' ? `campo "${SPLIT.field}"` : 'nome da task';
+      if (parts.length !== n) {
+        error = `divisão "${explicit.text}" (${where}) tem ${parts.length} parte(s) para ${n} editores`;
+      } else if (Math.abs(total - 100) > 0.01) {
+        error = `divisão "${explicit.text}" (${where}) soma ${Math.round(total * 100) / 100}%, não 100%`;
+      } else {
+        return { shares: parts.map(p => p / 100), source: explicit.source, error: null };
+      }
+    }
+
+    const ratio = SPLIT.defaults[identifyProjectType(task)];
+    if (ratio) {
+      const lead = leadEditor(task, editors);
+      if (lead !== null) {
+        const shares = editors.map((e, i) => (i === lead ? ratio.principal : ratio.apoio / (n - 1)) / 100);
+        return { shares, source: 'padrao', error };
+      }
+      error = error || `sem editor principal no campo "${SPLIT.leadField}" para a divisão padrão do formato`;
+    }
+    return { ...equal, error };
+  }
+
+  /**
+   * Index in `editors` of the one editor named by the `split.lead_field`
+   * people field, or null when it names none (or several) of them.
+   */
+  function leadEditor(task, editors) {
+    const field = SPLIT.leadField && findField(task, SPLIT.leadField);
+    const users = field ? parseFieldValue(field) : null;
+    if (!Array.isArray(users)) return null;
+    const leads = [];
+    editors.forEach((e, i) => {
+      if (users.some(u => u && String(u.id) === String(e.id))) leads.push(i);
+    });
+    return leads.length === 1 ? leads[0] : null;
+  }
+
+  /**
+   * Extract editors from the "Editor" custom field.
+   * Never falls back to assignees (assignees can be accounts, clients, etc.)
+   */
+  function extractEditors(task) {
+    const field = findField(task, 'Editor');
+    if (field) {
+      const val = parseFieldValue(field);
+      if (val && Array.isArray(val) && val.length > 0) {
+        return val.map(u => ({ id: u.id, name: u.username || u.email || `User ${u.id}` }));
+      }
+    }
+    return [];
+  }
+
+  function hasTag(task, tags) {
+    if (!task.tags || !Array.isArray(task.tags)) return false;
+    return task.tags.some(t => tags.includes((t.name || '').toLowerCase()));
+  }
+
+  function isFdsTask(task) {
+    return hasTag(task, BONUS.fds.tags);
+  }
+
+  function isTurboTask(task) {
+    return hasTag(task, [(BONUS.turbo.tag || 'turbo').toLowerCase()]);
+  }
+
+  // ─── Classification ────────────────────────────────────────────────────────
+
+  function matchList(name, list) {
+    const n = (name || '').toLowerCase();
+    return list.some(f => n.includes(f));
+  }
+
+  function isTimeFixo(name) {
+    return matchList(name, TIME_FIXO);
+  }
+
+  function classifyTeam(name) {
+    if (matchList(name, TIME_FIXO)) return 'fixed';
+    if (matchList(name, TIME_IA)) return 'ia';
+    return 'freela'; // FREELAS and unknown editors
+  }
+
+  function displayName(name) {
+    return NAME_ALIASES[(name || '').toLowerCase()] || name;
+  }
+
+  // ─── Roster ────────────────────────────────────────────────────────────────
+  //
+  // Roster (scripts/policy/roster.json): one entry per ClickUp user ID and
+  // period — { id, name, team, role, start, end }. A team change is a second
+  // entry for the same ID starting the day after the first one ends. Editors
+  // not on the roster fall back to the name lists of the policy.
+
+  const TEAMS = ['fixed', 'ia', 'freela'];
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  let ROSTER_BY_ID = null; // clickup id -> [period, ...]
+
+  /**
+   * Validate a roster. Returns a list of error messages (empty when valid).
+   */
+  function validateRoster(roster) {
+    const errors = [];
+    if (!roster || !Array.isArray(roster.members)) return ['roster.members must be a list'];
+
+    const byId = {};
+    roster.members.forEach((m, i) => {
+      const where = `members[${i}]${m && m.name ? ` (${m.name})` : ''}`;
+      if (!m || (typeof m.id !== 'number' && typeof m.id !== 'string') || m.id === '') {
+        errors.push(`${where}: id (ClickUp user ID) is required`);
+        return;
+      }
+      if (typeof m.name !== 'string' || !m.name) errors.push(`${where}: name is required`);
+      if (!TEAMS.includes(m.team)) errors.push(`${where}: team must be one of ${TEAMS.join(', ')}`);
+      if (m.start != null && !DATE_RE.test(m.start)) errors.push(`${where}: start must be YYYY-MM-DD`);
+      if (m.end != null && !DATE_RE.test(m.end)) errors.push(`${where}: end must be YYYY-MM-DD`);
+      if (m.start && m.end && m.start > m.end) errors.push(`${where}: start is after end`);
+      if (m.email != null && (typeof m.email !== 'string' || !m.email.includes('@'))) errors.push(`${where}: email must be an e-mail address`);
+      if (m.rates != null && (typeof m.rates !== 'object' ||
+        (m.rates.perTask !== undefined && !isNumberMap(m.rates.perTask)) ||
+        (m.rates.perFormat !== undefined && !isNumberMap(m.rates.perFormat)))) {
+        errors.push(`${where}: rates must be { perTask: { pontos: R$ }, perFormat: { type: R$ } }`);
+      }
+      (byId[String(m.id)] = byId[String(m.id)] || []).push(m);
+    });
+
+    for (const [id, periods] of Object.entries(byId)) {
+      const sorted = periods.slice().sort((a, b) => (a.start || '').localeCompare(b.start || ''));
+      for (let i = 1; i < sorted.length; i++) {
+        const prev = sorted[i - 1];
+        if (!prev.end || (sorted[i].start || '') <= prev.end) {
+          errors.push(`id ${id}: periods overlap (${prev.start || '…'}→${prev.end || '…'} and ${sorted[i].start || '…'}→${sorted[i].end || '…'})`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate and activate a roster (null disables it).
+   */
+  function useRoster(roster) {
+    if (!roster) {
+      ROSTER_BY_ID = null;
+      return null;
+    }
+    const errors = validateRoster(roster);
+    if (errors.length > 0) {
+      throw new Error('Roster inválido:\n  ' + errors.join('\n  '));
+    }
+    ROSTER_BY_ID = {};
+    for (const m of roster.members) {
+      (ROSTER_BY_ID[String(m.id)] = ROSTER_BY_ID[String(m.id)] || []).push(m);
+    }
+    return roster;
+  }
+
+  /**
+   * Resolve who an editor was on a given day: roster period in force on
+   * `dateStr`, or the name-based fallback. Editors with several roster
+   * periods get one key per period, so their points split by date.
+   */
+  function resolveMember(editor, dateStr) {
+    const periods = ROSTER_BY_ID && ROSTER_BY_ID[String(editor.id)];
+    if (periods) {
+      const period = periods.find(p =>
+        !dateStr || ((!p.start || p.start <= dateStr) && (!p.end || dateStr <= p.end))
+      );
+      if (period) {
+        return {
+          key: periods.length > 1 ? `${editor.id}:${period.start || 'início'}` : String(editor.id),
+          id: editor.id,
+          name: period.name,
+          team: period.team,
+          role: period.role || null,
+          period: periods.length > 1 ? { start: period.start || null, end: period.end || null } : null,
+          rates: period.rates || null,
+          on_roster: true,
+        };
+      }
+    }
+    return {
+      key: String(editor.id),
+      id: editor.id,
+      name: displayName(editor.name),
+      team: classifyTeam(editor.name),
+      role: null,
+      period: null,
+      on_roster: false,
+      outside_period: !!periods,
+    };
+  }
+
+  // ─── Dates ─────────────────────────────────────────────────────────────────
+  //
+  // ClickUp dates are UTC epoch ms. A late-evening edit in São Paulo is
+  // already the next day in UTC, so month ranges and daily buckets are
+  // computed in TIME_ZONE with Intl, whatever the machine's TZ is.
+
+  const zoneFormats = {}; // time zone -> Intl.DateTimeFormat
+
+  /**
+   * Wall-clock fields of `ts` in `timeZone`: { year, month, day, hour, minute, second }.
+   */
+  function zonedParts(ts, timeZone) {
+    if (!zoneFormats[timeZone]) {
+      zoneFormats[timeZone] = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+      });
+    }
+    const parts = {};
+    zoneFormats[timeZone].formatToParts(new Date(ts)).forEach(p => {
+      if (p.type !== 'literal') parts[p.type] = Number(p.value);
+    });
+    return parts;
+  }
+
+  /**
+   * Unix ms of midnight starting `year`-`month`-`day` in `timeZone`
+   * (month may be 13: January of the next year).
+   */
+  function zonedMidnight(year, month, day, timeZone) {
+    const wall = Date.UTC(year, month - 1, day);
+    const offset = ts => {
+      const p = zonedParts(ts, timeZone);
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+    };
+    // Second pass: the offset at the first guess may be on the other side of a DST change
+    return wall - offset(wall - offset(wall));
+  }
+
+  /**
+   * Get month date range as Unix timestamps (ms), from midnight of the 1st
+   * to the last millisecond of the month in the business time zone.
+   */
+  function getMonthRange(monthStr, timeZone = TIME_ZONE) {
+    const [year, month] = monthStr.split('-').map(Number);
+    return {
+      start: zonedMidnight(year, month, 1, timeZone),
+      end: zonedMidnight(year, month + 1, 1, timeZone) - 1,
+    };
+  }
+
+  /**
+   * Default YYYY-MM-DD formatter (business time zone). Entry points may
+   * pass their own via `ctx.formatDate`.
+   */
+  function formatDate(d, timeZone = TIME_ZONE) {
+    const p = zonedParts(d instanceof Date ? d.getTime() : d, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  }
+
+  function isInRange(task, dateRange) {
+    const pe = getPrimeiraEdicao(task);
+    if (!pe) return false;
+    const ts = pe.getTime();
+    return ts >= dateRange.start && ts <= dateRange.end;
+  }
+
+  // ─── Pontos ────────────────────────────────────────────────────────────────
+
+  /**
+   * Calculate pontos per editor, including per-day breakdown,
+   * FDS bonus, turbo-tagged tasks and task IDs for the turbinho check.
+   */
+  function calculatePontos(tasks, ctx) {
+    const fmt = (ctx && ctx.formatDate) || formatDate;
+    const editorMap = {};
+    const editorTaskIds = {}; // editorId -> [taskId, ...]
+    const editorFds = {}; // editorId -> { tasks, bonus }
+    const editorTaskWeights = {}; // editorId -> [peso, peso, ...]
+    const editorTaskNames = {}; // editorId -> [{ name, pontos, ... }, ...]
+    const editorTurboTasks = {}; // editorId -> [{ name, task_id, date, pontos, share }]
+    const editorTaskShares = {}; // editorId -> { taskId: share of the task }
+    const unmatched = [];
+    const splitErrors = [];
+    const rosterWarnings = {}; // clickup id -> { id, name, reason, tasks }
+
+    for (const task of tasks) {
+      const pontos = getPontos(task);
+      const editors = extractEditors(task);
+      const pe = getPrimeiraEdicao(task);
+      const dateStr = pe ? fmt(pe) : null;
+      const fds = isFdsTask(task);
+      const turbo = isTurboTask(task);
+
+      if (pontos === null) {
+        unmatched.push({ task_id: task.id, task_name: task.name, reason: 'Campo "Pontos" vazio e tipo não identificado' });
+        continue;
+      }
+      if (editors.length === 0) {
+        unmatched.push({ task_id: task.id, task_name: task.name, reason: 'Nenhum editor atribuído' });
+        continue;
+      }
+
+      const split = getSplit(task, editors);
+      if (split.error) {
+        splitErrors.push({ task_id: task.id, task_name: task.name, reason: split.error + ' — usada divisão ' + (split.source === 'padrao' ? 'padrão do formato' : 'igual') });
+      }
+      for (const [i, clickupEditor] of editors.entries()) {
+        const share = split.shares[i];
+        const member = resolveMember(clickupEditor, dateStr);
+        const editor = { id: member.key };
+
+        if (ROSTER_BY_ID && !member.on_roster) {
+          const w = rosterWarnings[clickupEditor.id] = rosterWarnings[clickupEditor.id] || {
+            id: clickupEditor.id,
+            name: clickupEditor.name,
+            reason: member.outside_period ? 'Fora do período no roster' : 'Editor fora do roster',
+            tasks: 0,
+          };
+          w.tasks++;
+        }
+
+        if (!editorMap[editor.id]) {
+          editorMap[editor.id] = {
+            id: editor.id,
+            clickup_id: member.id,
+            name: member.name,
+            team: member.team,
+            role: member.role,
+            period: member.period,
+            on_roster: member.on_roster,
+            rates: member.rates || null, // own freelancer rates (roster)
+            tasks_count: 0,
+            pontos: 0,
+            daily: {}, // date -> pontos
+          };
+        }
+        const ed = editorMap[editor.id];
+        const pts = pontos * share;
+        ed.tasks_count += share;
+        ed.pontos += pts;
+        if (dateStr) {
+          ed.daily[dateStr] = (ed.daily[dateStr] || 0) + pts;
+        }
+
+        (editorTaskIds[editor.id] = editorTaskIds[editor.id] || []).push(task.id);
+        (editorTaskShares[editor.id] = editorTaskShares[editor.id] || {})[task.id] = share;
+        (editorTaskWeights[editor.id] = editorTaskWeights[editor.id] || []).push(pontos);
+        (editorTaskNames[editor.id] = editorTaskNames[editor.id] || []).push({
+          name: task.name,
+          pontos,
+          task_id: task.id,
+          tipo: identifyProjectType(task),
+          cliente: clientCode(task),
+          campanha: campaignCode(task),
+          primeira_edicao: dateStr,
+          status: task.status ? task.status.status : '',
+          status_color: task.status ? task.status.color : '',
+          is_turbo: turbo,
+          is_fds: fds,
+          split: editors.length,
+          share,
+          split_source: split.source,
+        });
+
+        if (turbo) {
+          (editorTurboTasks[editor.id] = editorTurboTasks[editor.id] || []).push({
+            name: task.name, task_id: task.id, date: dateStr, pontos, share,
+          });
+        }
+
+        if (fds) {
+          if (!editorFds[editor.id]) editorFds[editor.id] = { tasks: [], bonus: 0 };
+          const fdsValue = Math.round((BONUS.fds.perTask[pontos] || 0) * share * 100) / 100;
+          editorFds[editor.id].tasks.push({ peso: pontos, valor: fdsValue });
+          editorFds[editor.id].bonus += fdsValue;
+        }
+      }
+    }
+
+    const editors = Object.values(editorMap).map(e => {
+      e.tasks_count = Math.round(e.tasks_count);
+      e.pontos = Math.round(e.pontos * 10) / 10;
+      for (const d of Object.keys(e.daily)) {
+        e.daily[d] = Math.round(e.daily[d] * 10) / 10;
+      }
+      return e;
+    });
+
+    return {
+      editors, unmatched, editorTaskIds, editorTaskShares, editorFds, editorTaskWeights, editorTaskNames, editorTurboTasks,
+      splitErrors,
+      rosterWarnings: Object.values(rosterWarnings),
+    };
+  }
+
+  /**
+   * Editors off the roster with at least half of their tasks in the FREELAS
+   * list (tasks flagged `_team: 'freela'` by the fetcher) are freelancers.
+   */
+  function tagFreelaEditors(editors, tasks) {
+    for (const editor of editors) {
+      if (editor.on_roster) continue;
+      const own = tasks.filter(t => extractEditors(t).some(e => e.id === editor.clickup_id));
+      const freela = own.filter(t => t._team === 'freela');
+      if (freela.length > 0 && freela.length >= own.length / 2) {
+        editor.team = 'freela';
+      }
+    }
+  }
+
+  /**
+   * Task IDs whose status history is needed for Turbinho.
+   */
+  function statusTaskIds(tasks) {
+    const ids = {};
+    for (const task of tasks) {
+      if (getPontos(task) === null || extractEditors(task).length === 0) continue;
+      ids[task.id] = true;
+    }
+    return Object.keys(ids);
+  }
+
+  // ─── TURBO ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Calculate TURBO per fixed-team editor: one bonus per turbo-tagged task
+   * (mode 'tag', times the editor's share of the task) or per day above the
+   * threshold (mode 'threshold').
+   */
+  function calculateTurbo(editors, editorTurboTasks) {
+    const turboDays = {};
+
+    for (const editor of editors) {
+      if (editor.team !== 'fixed') continue;
+
+      if (BONUS.turbo.mode === 'threshold') {
+        const days = Object.keys(editor.daily)
+          .filter(date => editor.daily[date] > BONUS.turbo.threshold)
+          .map(date => ({ date, pontos: editor.daily[date] }));
+        if (days.length === 0) continue;
+        turboDays[editor.id] = {
+          name: editor.name,
+          count: days.length,
+          total_bonus: days.length * BONUS.turbo.value,
+          tasks: [],
+          days: days.sort((a, b) => a.date.localeCompare(b.date)),
+        };
+        continue;
+      }
+
+      const tasks = editorTurboTasks[editor.id] || [];
+      if (tasks.length === 0) continue;
+
+      // Group by date for display
+      const byDate = {};
+      for (const t of tasks) {
+        const d = t.date || 'sem-data';
+        if (!byDate[d]) byDate[d] = { date: d, pontos: editor.daily[d] || 0, turbo_count: 0 };
+        byDate[d].turbo_count++;
+      }
+
+      turboDays[editor.id] = {
+        name: editor.name,
+        count: tasks.length,
+        total_bonus: tasks.reduce((sum, t) => sum + Math.round(BONUS.turbo.value * (t.share || 1) * 100) / 100, 0),
+        tasks,
+        days: Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date)),
+      };
+    }
+
+    return turboDays;
+  }
+
+  // ─── Turbinho ──────────────────────────────────────────────────────────────
+
+  /**
+   * Reduce a time_in_status entry to { verified, ajuste, aprovado, aprovado_date,
+   * ajustes, ajuste_minutos }: `ajustes` counts the entries of each adjustment
+   * status, `ajuste_minutos` is the time spent in them.
+   * `verified` is false when there is no history (request failed or skipped):
+   * the task is then neither paid nor denied Turbinho, only flagged.
+   */
+  function summarizeStatusHistory(data, fmt) {
+    if (!data || !data.status_history) {
+      return { verified: false, ajuste: false, aprovado: false, aprovado_date: null, ajustes: {}, ajuste_minutos: 0 };
+    }
+    const ajustes = {};
+    let ajusteMinutos = 0;
+    for (const s of data.status_history) {
+      const status = (s.status || '').toLowerCase();
+      if (!BONUS.ajusteStatuses.includes(status)) continue;
+      ajustes[status] = (ajustes[status] || 0) + 1;
+      ajusteMinutos += Number(s.total_time && s.total_time.by_minute) || 0;
+    }
+    const ajuste = Object.keys(ajustes).length > 0;
+    const aprovadoEntry = data.status_history.find(s =>
+      (s.status || '').toLowerCase() === BONUS.aprovadoStatus
+    );
+    let aprovadoDate = null;
+    if (aprovadoEntry && aprovadoEntry.total_time && aprovadoEntry.total_time.since) {
+      const d = new Date(parseInt(aprovadoEntry.total_time.since));
+      aprovadoDate = isNaN(d.getTime()) ? null : fmt(d);
+    }
+    return { verified: true, ajuste, aprovado: !!aprovadoEntry, aprovado_date: aprovadoDate, ajustes, ajuste_minutos: ajusteMinutos };
+  }
+
+  /**
+   * Turbinho = task passed through "aprovado" without ever going through
+   * "para ajustar" / "para ajustar cliente". Fixed team only; each editor
+   * gets their share of the task's value.
+   *
+   * @param {Object} statusByTask - merged bulk_time_in_status response
+   * @param {Object} [editorTaskShares] - editorId -> { taskId: share } (default: whole task)
+   */
+  function calculateTurbinho(editors, editorTaskIds, statusByTask, ctx, editorTaskShares) {
+    const fmt = (ctx && ctx.formatDate) || formatDate;
+    const turbinhoData = {};
+    const taskAprovadoDate = {};
+    const statusInfo = {};
+
+    for (const ids of Object.values(editorTaskIds)) {
+      for (const id of ids) {
+        if (statusInfo[id]) continue;
+        statusInfo[id] = summarizeStatusHistory((statusByTask || {})[id], fmt);
+        taskAprovadoDate[id] = statusInfo[id].aprovado_date;
+      }
+    }
+
+    for (const editor of editors) {
+      if (editor.team !== 'fixed') continue;
+      const taskIds = editorTaskIds[editor.id] || [];
+      const shares = (editorTaskShares && editorTaskShares[editor.id]) || {};
+      const aprovados = taskIds.filter(id => statusInfo[id].aprovado);
+      const semAjusteIds = aprovados.filter(id => !statusInfo[id].ajuste);
+      const semAjuste = semAjusteIds.length;
+      const comAjuste = aprovados.filter(id => statusInfo[id].ajuste).length;
+      const naoVerificados = taskIds.filter(id => !statusInfo[id].verified).length;
+      const pendentes = taskIds.length - aprovados.length - naoVerificados;
+
+      if (semAjuste > 0 || naoVerificados > 0) {
+        turbinhoData[editor.id] = {
+          name: editor.name,
+          total_tasks: taskIds.length,
+          aprovados: aprovados.length,
+          sem_ajuste: semAjuste,
+          com_ajuste: comAjuste,
+          pendentes,
+          nao_verificados: naoVerificados,
+          bonus: semAjusteIds.reduce((sum, id) => sum + Math.round(BONUS.turbinho.value * (shares[id] || 1) * 100) / 100, 0),
+        };
+      }
+    }
+
+    return { turbinhoData, taskAprovadoDate, statusInfo };
+  }
+
+  // ─── Qualidade ─────────────────────────────────────────────────────────────
+  //
+  // Built from the same status history as Turbinho. time_in_status lists
+  // each status once with its total time, so a task sent back twice to the
+  // same adjustment status counts as one round: `rodadas_media` is a lower
+  // bound. Split tasks count whole for each of their editors.
+
+  /**
+   * Quality metrics of a group of tasks (only tasks with verified history).
+   */
+  function qualityStats(taskIds, statusInfo, taskDates) {
+    const verified = taskIds.filter(id => statusInfo[id] && statusInfo[id].verified);
+    const withAjuste = verified.filter(id => statusInfo[id].ajuste);
+    const pct = n => (verified.length ? Math.round(n / verified.length * 1000) / 10 : 0);
+
+    const porStatus = {};
+    for (const status of BONUS.ajusteStatuses) {
+      porStatus[status] = pct(verified.filter(id => statusInfo[id].ajustes[status]).length);
+    }
+    const rounds = withAjuste.reduce((a, id) => a + Object.values(statusInfo[id].ajustes).reduce((x, n) => x + n, 0), 0);
+    const minutes = withAjuste.reduce((a, id) => a + statusInfo[id].ajuste_minutos, 0);
+
+    const leadTimes = verified
+      .filter(id => statusInfo[id].aprovado_date && taskDates[id])
+      .map(id => (Date.parse(statusInfo[id].aprovado_date) - Date.parse(taskDates[id])) / DAY_MS)
+      .filter(days => days >= 0);
+
+    return {
+      tasks: taskIds.length,
+      verificadas: verified.length,
+      com_ajuste_pct: pct(withAjuste.length),
+      ajuste_por_status_pct: porStatus,
+      rodadas_media: withAjuste.length ? Math.round(rounds / withAjuste.length * 10) / 10 : 0,
+      horas_em_ajuste_media: withAjuste.length ? Math.round(minutes / withAjuste.length / 60 * 10) / 10 : 0,
+      lead_time_dias_medio: leadTimes.length ? Math.round(leadTimes.reduce((a, d) => a + d, 0) / leadTimes.length * 10) / 10 : null,
+      lead_time_tasks: leadTimes.length,
+    };
+  }
+
+  /**
+   * Adjustment rate, rounds, time in adjustment and lead time from
+   * "Primeira Edição" to approval, per editor and per client code.
+   *
+   * @param {Object[]} editors - from calculatePontos
+   * @param {Object} editorTaskNames - editorId -> task entries (task_id, cliente, primeira_edicao)
+   * @param {Object} statusInfo - taskId -> summarizeStatusHistory() result
+   */
+  function calculateQuality(editors, editorTaskNames, statusInfo) {
+    const taskDates = {};
+    const byClient = {};
+    for (const tasks of Object.values(editorTaskNames)) {
+      for (const t of tasks) {
+        taskDates[t.task_id] = t.primeira_edicao;
+        const ids = byClient[t.cliente || ''] = byClient[t.cliente || ''] || [];
+        if (!ids.includes(t.task_id)) ids.push(t.task_id);
+      }
+    }
+
+    return {
+      editores: editors.map(e => Object.assign({
+        id: e.clickup_id,
+        name: e.name,
+        team: e.team,
+        period: e.period || undefined,
+      }, qualityStats((editorTaskNames[e.id] || []).map(t => t.task_id), statusInfo, taskDates)))
+        .sort((a, b) => (a.team === 'fixed' ? 0 : 1) - (b.team === 'fixed' ? 0 : 1) || b.tasks - a.tasks),
+      clientes: Object.keys(byClient).sort().map(code => Object.assign({
+        cliente: code || null,
+      }, qualityStats(byClient[code], statusInfo, taskDates))),
+    };
+  }
+
+  // ─── Meta Diária ───────────────────────────────────────────────────────────
+  //
+  // Escala (scripts/policy/escala/YYYY-MM.json): days off of the rotation and
+  // extra holidays of the month — { month, feriados: [{ date, name }],
+  // folgas: { date: [roster id or name, ...] } }. A fixed-team editor is
+  // expected to reach metaDiaria on every business day (Mon–Fri, not a
+  // national holiday) that is not one of their folgas.
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Validate an escala. Returns a list of error messages (empty when valid).
+   */
+  function validateEscala(escala) {
+    if (!escala || !/^\d{4}-\d{2}$/.test(escala.month || '')) return ['escala.month must be YYYY-MM'];
+    const errors = [];
+    const inMonth = d => DATE_RE.test(d || '') && d.slice(0, 7) === escala.month;
+    (escala.feriados || []).forEach((f, i) => {
+      if (!f || !inMonth(f.date)) errors.push(`feriados[${i}]: date must be a YYYY-MM-DD day of ${escala.month}`);
+    });
+    for (const [date, people] of Object.entries(escala.folgas || {})) {
+      if (!inMonth(date)) errors.push(`folgas.${date}: not a YYYY-MM-DD day of ${escala.month}`);
+      if (!Array.isArray(people)) errors.push(`folgas.${date}: must be a list of roster ids or names`);
+    }
+    return errors;
+  }
+
+  /**
+   * Easter Sunday (Gregorian calendar, anonymous algorithm) as UTC ms.
+   */
+  function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const h = (19 * a + b - Math.floor(b / 4) - Math.floor((b - Math.floor((b + 8) / 25) + 1) / 3) + 15) % 30;
+    const l = (32 + 2 * (b % 4) + 2 * Math.floor(c / 4) - h - (c % 4)) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return Date.UTC(year, month - 1, day);
+  }
+
+  /**
+   * Brazilian national holidays of a year: YYYY-MM-DD -> name.
+   * Carnaval and Corpus Christi are pontos facultativos — list them in the
+   * escala `feriados` when the team stops.
+   */
+  function brazilianHolidays(year) {
+    const fixed = [
+      ['01-01', 'Confraternização Universal'],
+      ['04-21', 'Tiradentes'],
+      ['05-01', 'Dia do Trabalho'],
+      ['09-07', 'Independência do Brasil'],
+      ['10-12', 'Nossa Senhora Aparecida'],
+      ['11-02', 'Finados'],
+      ['11-15', 'Proclamação da República'],
+      ['12-25', 'Natal'],
+    ];
+    // Lei 14.759/2023
+    if (year >= 2024) fixed.push(['11-20', 'Dia Nacional de Zumbi e da Consciência Negra']);
+
+    const holidays = {};
+    fixed.forEach(([day, name]) => { holidays[`${year}-${day}`] = name; });
+    holidays[new Date(easterSunday(year) - 2 * DAY_MS).toISOString().slice(0, 10)] = 'Sexta-feira Santa';
+    return holidays;
+  }
+
+  function sameMember(entry, editor) {
+    const norm = s => String(s).normalize('NFD').replace(/[̀-ͯ]/g, '').trim().toLowerCase();
+    return String(entry) === String(editor.clickup_id) || norm(entry) === norm(editor.name);
+  }
+
+  /**
+   * Days an editor was on the team: the report period, or the single
+   * roster period (null = whole month).
+   */
+  function teamPeriod(editor) {
+    if (editor.period) return editor.period;
+    const periods = ROSTER_BY_ID && ROSTER_BY_ID[String(editor.clickup_id)];
+    return periods && periods.length === 1 ? { start: periods[0].start || null, end: periods[0].end || null } : null;
+  }
+
+  /**
+   * Daily goal per fixed-team editor: business days met and missed, and
+   * average pontos per worked day. Days from `today` on are not counted yet.
+   *
+   * @param {Object[]} editors - from calculatePontos (with `daily`)
+   * @param {string} month - YYYY-MM
+   * @param {Object|null} escala - folgas/feriados of the month
+   * @param {string|null} today - YYYY-MM-DD
+   */
+  function calculateMetaDiaria(editors, month, escala, today) {
+    const [year, mon] = month.split('-').map(Number);
+    const holidays = brazilianHolidays(year);
+    ((escala && escala.feriados) || []).forEach(f => { holidays[f.date] = f.name || 'Feriado'; });
+    const folgas = (escala && escala.folgas) || {};
+
+    const businessDays = [];
+    const lastDay = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+    for (let d = 1; d <= lastDay; d++) {
+      const date = `${month}-${String(d).padStart(2, '0')}`;
+      if (today && date >= today) break;
+      const weekday = new Date(Date.UTC(year, mon - 1, d)).getUTCDay();
+      if (weekday === 0 || weekday === 6 || holidays[date]) continue;
+      businessDays.push(date);
+    }
+
+    const result = {
+      meta: BONUS.metaDiaria,
+      ate: businessDays.length > 0 ? businessDays[businessDays.length - 1] : null,
+      dias_uteis: businessDays.length,
+      feriados: Object.keys(holidays).filter(d => d.slice(0, 7) === month).sort()
+        .map(date => ({ date, name: holidays[date] })),
+      escala: !!escala,
+      editors: [],
+    };
+
+    for (const e of editors) {
+      if (e.team !== 'fixed') continue;
+      const period = teamPeriod(e);
+      const met = [];
+      const missed = [];
+      let off = 0;
+      let pontos = 0;
+      for (const date of businessDays) {
+        if (period && ((period.start && date < period.start) || (period.end && date > period.end))) continue;
+        if ((folgas[date] || []).some(p => sameMember(p, e))) {
+          off++;
+          continue;
+        }
+        const pts = e.daily[date] || 0;
+        pontos += pts;
+        if (pts >= BONUS.metaDiaria) met.push(date);
+        else missed.push({ date, pontos: pts });
+      }
+      const worked = met.length + missed.length;
+      result.editors.push({
+        id: e.clickup_id,
+        name: e.name,
+        period: e.period || undefined,
+        dias_trabalhados: worked,
+        folgas: off,
+        dias_batidos: met,
+        dias_perdidos: missed,
+        media_por_dia: worked > 0 ? Math.round(pontos / worked * 10) / 10 : 0,
+      });
+    }
+
+    return result;
+  }
+
+  // ─── Ranking ───────────────────────────────────────────────────────────────
+  //
+  // Fixed-team ranking for the productivity bonus (policy `ranking`, all
+  // optional): the score is pontos, or pontos per worked day (meta_diaria:
+  // business days in the roster period minus folgas, so vacations do not
+  // count against anyone). Ties on the score go through `tie_breakers` in
+  // order; editors still tied share the rank and split the prizes of the
+  // positions they take (`shared_prizes`), or are ordered by name.
+  //
+  // No policy in force sets these rules yet (the business picks them). A
+  // version adopting them would add, e.g.:
+  //   "ranking": { "score": "pontos",
+  //                "tie_breakers": ["menos_ajustes", "mais_turbinho", "conclusao_mais_cedo"],
+  //                "shared_prizes": true }
+
+  /**
+   * Value of one criterion for an editor: higher is better, except dates.
+   */
+  function criterionValue(key, e, ctx) {
+    switch (key) {
+      case 'pontos':
+        return e.pontos;
+      case 'pontos_por_dia': {
+        const m = ctx.metaDiaria && ctx.metaDiaria.editors.find(x => x.id === e.clickup_id && x.period === (e.period || undefined));
+        const dias = m ? m.dias_trabalhados : 0;
+        return Math.round(e.pontos / Math.max(dias, 1) * 100) / 100;
+      }
+      case 'menos_ajustes':
+        return -qualityStats(ctx.editorTaskIds[e.id] || [], ctx.statusInfo, {}).com_ajuste_pct;
+      case 'mais_turbinho':
+        return ctx.turbinhoData[e.id] ? ctx.turbinhoData[e.id].sem_ajuste : 0;
+      case 'conclusao_mais_cedo': {
+        // Day the editor reached their total: the last day with pontos
+        const days = Object.keys(e.daily).filter(d => e.daily[d] > 0).sort();
+        return days.length > 0 ? days[days.length - 1] : '9999-12-31';
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Index of the first criterion where a and b differ (-1 = exact tie) and
+   * which one comes first.
+   */
+  function compareCriteria(a, b, criteria) {
+    for (let i = 0; i < criteria.length; i++) {
+      const va = a.values[i];
+      const vb = b.values[i];
+      if (va === vb) continue;
+      const order = typeof va === 'string' ? (va < vb ? -1 : 1) : vb - va;
+      return { index: i, order };
+    }
+    return { index: -1, order: 0 };
+  }
+
+  /**
+   * Rank the fixed team. Sets `rank` and `ranking` ({ score, criterio,
+   * empate, premio_dividido }) on each editor, where `criterio` is the rule
+   * that decided the position against the neighbours, and returns the
+   * productivity prize per editor id.
+   *
+   * @param {Object[]} editors - fixed-team editors from calculatePontos
+   * @param {{ metaDiaria, statusInfo, editorTaskIds, turbinhoData }} ctx
+   * @returns {Object} editorId -> R$
+   */
+  function rankEditors(editors, ctx) {
+    const criteria = [RANKING.score].concat(RANKING.tieBreakers);
+    const entries = editors.map(e => ({ editor: e, values: criteria.map(key => criterionValue(key, e, ctx)) }));
+    entries.sort((a, b) => compareCriteria(a, b, criteria).order || a.editor.name.localeCompare(b.editor.name, 'pt-BR'));
+
+    // Exact ties (every criterion equal) form a group
+    const groups = [];
+    entries.forEach(entry => {
+      const last = groups[groups.length - 1];
+      if (last && compareCriteria(last[0], entry, criteria).index === -1) last.push(entry);
+      else groups.push([entry]);
+    });
+
+    const prizeAt = rank => {
+      const entry = BONUS.productivity.find(p => p.rank === rank);
+      return entry ? entry.value : 0;
+    };
+    const prizes = {};
+    let position = 1;
+    groups.forEach((group, g) => {
+      const score = group[0].values[0];
+      if (group.length > 1) {
+        const shared = RANKING.sharedPrizes;
+        let pot = 0;
+        for (let r = position; r < position + group.length; r++) pot += prizeAt(r);
+        group.forEach((entry, i) => {
+          const e = entry.editor;
+          e.rank = shared ? position : position + i;
+          e.ranking = { score, criterio: shared ? 'empate' : 'nome', empate: true, premio_dividido: shared && pot > 0 };
+          prizes[e.id] = shared ? Math.round(pot / group.length * 100) / 100 : prizeAt(e.rank);
+        });
+      } else {
+        const e = group[0].editor;
+        const sides = [groups[g - 1], groups[g + 1]].filter(Boolean).map(other => compareCriteria(other[0], group[0], criteria).index);
+        e.rank = position;
+        e.ranking = { score, criterio: criteria[Math.max(0, ...sides)], empate: false, premio_dividido: false };
+        prizes[e.id] = prizeAt(position);
+      }
+      position += group.length;
+    });
+    return prizes;
+  }
+
+  // ─── Freelas ───────────────────────────────────────────────────────────────
+
+  // Where a freelancer's rate came from, most specific first (see freelaRate)
+  const FREELA_RATE_SOURCES = {
+    freela_formato: 'tarifa do freela por formato',
+    freela_pontos: 'tarifa do freela por pontos',
+    formato: 'tabela por formato',
+    pontos: 'tabela por pontos',
+  };
+
+  /**
+   * R$ per task for a freelancer: their own rates (roster `rates`) by format,
+   * then by pontos, then the policy's freelaPerFormat and freelaPerTask.
+   * Null when nothing applies — the task pays R$ 0 and is counted in
+   * `bonus.sem_tarifa` so it is priced before payment.
+   *
+   * @param {{ perTask?: Object, perFormat?: Object }|null} rates - roster rates of the freelancer
+   * @returns {{ valor: number, fonte: string }|null}
+   */
+  function freelaRate(rates, tipo, pontos) {
+    const own = rates || {};
+    const sources = [
+      ['freela_formato', own.perFormat, tipo],
+      ['freela_pontos', own.perTask, pontos],
+      ['formato', BONUS.freelaPerFormat, tipo],
+      ['pontos', BONUS.freelaPerTask, pontos],
+    ];
+    for (const [fonte, table, key] of sources) {
+      if (table && key != null && typeof table[key] === 'number') return { valor: table[key], fonte };
+    }
+    return null;
+  }
+
+  // ─── Clientes ──────────────────────────────────────────────────────────────
+  //
+  // What the month's creatives cost, by client code, product type and
+  // campaign ("[P13]" in the task name), for pricing contracts. Amounts paid
+  // per task (TURBO by tag, Turbinho, FDS, freelancer rate) go to that task;
+  // the productivity prize is spread over the editor's tasks and a
+  // threshold TURBO day over that day's tasks, both by the editor's pontos
+  // in each. Split tasks count once. Adjustments of closed months
+  // (docs/reports/adjustments/) are not attributed.
+
+  /**
+   * Creatives, pontos, adjustment rate and R$ of a group of tasks.
+   *
+   * @param {Object[]} tasks - entries of calculateClients' task map
+   */
+  function clientStats(tasks, statusInfo, taskDates) {
+    const cents = n => Math.round(n * 100) / 100;
+    const bonus = cents(tasks.reduce((a, t) => a + t.bonus, 0));
+    const freela = cents(tasks.reduce((a, t) => a + t.freela, 0));
+    return {
+      criativos: tasks.length,
+      pontos: Math.round(tasks.reduce((a, t) => a + t.pontos, 0) * 10) / 10,
+      com_ajuste_pct: qualityStats(tasks.map(t => t.task_id), statusInfo, taskDates).com_ajuste_pct,
+      bonus,
+      custo_freela: freela,
+      custo_total: cents(bonus + freela),
+      custo_por_criativo: tasks.length ? cents((bonus + freela) / tasks.length) : 0,
+    };
+  }
+
+  /**
+   * Cost per creative per client code, product type and campaign.
+   *
+   * @param {Object[]} editors - report editors (bonus and task list filled in)
+   * @param {Object} statusInfo - taskId -> summarizeStatusHistory() result
+   */
+  function calculateClients(editors, statusInfo) {
+    const byTask = {};
+    const taskDates = {};
+    const spread = (amount, tasks) => {
+      const weight = tasks.reduce((a, t) => a + t.pts * t.share, 0);
+      tasks.forEach(t => {
+        byTask[t.task_id].bonus += weight ? amount * t.pts * t.share / weight : amount / tasks.length;
+      });
+    };
+
+    for (const e of editors) {
+      const tasks = e.tasks || (e.bonus && e.bonus.tasks) || [];
+      for (const t of tasks) {
+        const entry = byTask[t.task_id] || (byTask[t.task_id] = {
+          task_id: t.task_id, cliente: t.cliente || null, tipo: t.tipo, campanha: t.campanha || null,
+          pontos: t.pts, bonus: 0, freela: 0,
+        });
+        const v = t.valores || {};
+        entry.bonus += (v.turbo || 0) + (v.turbinho || 0) + (v.fds || 0);
+        entry.freela += v.freela || 0;
+        taskDates[t.task_id] = t.primeira_edicao;
+      }
+      if (e.team !== 'fixed' || tasks.length === 0) continue;
+      if (e.bonus.productivity > 0) spread(e.bonus.productivity, tasks);
+      if (BONUS.turbo.mode === 'threshold' && e.bonus.turbo_dates.length > 0) {
+        const perDay = e.bonus.turbo / e.bonus.turbo_dates.length;
+        e.bonus.turbo_dates.forEach(day => spread(perDay, tasks.filter(t => t.primeira_edicao === day.date)));
+      }
+    }
+
+    const all = Object.values(byTask);
+    const group = (key, fields) => {
+      const groups = {};
+      all.forEach(t => { (groups[key(t)] = groups[key(t)] || []).push(t); });
+      return Object.keys(groups)
+        .map(k => Object.assign(fields(groups[k][0]), clientStats(groups[k], statusInfo, taskDates)))
+        .sort((a, b) => b.custo_total - a.custo_total || b.criativos - a.criativos);
+    };
+
+    return {
+      total: clientStats(all, statusInfo, taskDates),
+      por_cliente: group(t => t.cliente || '', t => ({ cliente: t.cliente })),
+      por_tipo: group(t => t.tipo, t => ({ tipo: t.tipo })),
+      por_campanha: group(t => (t.cliente || '') + '/' + (t.campanha || ''), t => ({ cliente: t.cliente, campanha: t.campanha })),
+    };
+  }
+
+  // ─── Report ────────────────────────────────────────────────────────────────
+
+  function generateReport(counts, turboDays, turbinhoResult, month, totalTasks, quality, metaDiaria, qualidade) {
+    const { editors, unmatched, editorFds, editorTaskNames, editorTaskIds } = counts;
+    const { turbinhoData, taskAprovadoDate, statusInfo } = turbinhoResult;
+    const fetchQuality = quality || {};
+    const failedLists = fetchQuality.failed_lists || [];
+
+    // Per-task amounts, so every payout line traces back to a ClickUp task
+    const taskValues = (e, t) => {
+      const info = statusInfo[t.task_id] || {};
+      if (e.team === 'fixed') {
+        return {
+          turbo: t.is_turbo && BONUS.turbo.mode === 'tag' ? Math.round(BONUS.turbo.value * t.share * 100) / 100 : 0,
+          turbinho: info.aprovado && !info.ajuste ? Math.round(BONUS.turbinho.value * t.share * 100) / 100 : 0,
+          fds: t.is_fds ? Math.round((BONUS.fds.perTask[t.pontos] || 0) * t.share * 100) / 100 : 0,
+        };
+      }
+      if (e.team === 'freela') {
+        const rate = freelaRate(e.rates, t.tipo, t.pontos);
+        return { freela: rate ? Math.round(rate.valor * t.share * 100) / 100 : 0 };
+      }
+      return {};
+    };
+    const taskRate = (e, t) => {
+      if (e.team !== 'freela') return undefined;
+      const rate = freelaRate(e.rates, t.tipo, t.pontos);
+      return rate ? { valor: rate.valor, fonte: rate.fonte } : null;
+    };
+
+    const taskList = e => (editorTaskNames[e.id] || []).map(t => ({
+      name: t.name, pts: t.pontos, task_id: t.task_id, tipo: t.tipo, cliente: t.cliente, campanha: t.campanha,
+      primeira_edicao: t.primeira_edicao, status: t.status, status_color: t.status_color,
+      is_turbo: t.is_turbo || false,
+      is_fds: t.is_fds || false,
+      split: t.split,
+      share: Math.round(t.share * 10000) / 10000,
+      split_source: t.split_source,
+      aprovado_date: taskAprovadoDate[t.task_id] || null,
+      sem_ajuste: statusInfo[t.task_id] ? statusInfo[t.task_id].aprovado && !statusInfo[t.task_id].ajuste : false,
+      status_verificado: statusInfo[t.task_id] ? statusInfo[t.task_id].verified : false,
+      valores: taskValues(e, t),
+      tarifa: taskRate(e, t),
+    }));
+
+    // Rank: only time fixo editors compete for ranking/bonus
+    const fixedEditors = editors.filter(e => e.team === 'fixed');
+    const otherEditors = editors.filter(e => e.team !== 'fixed');
+    const prizes = rankEditors(fixedEditors, { metaDiaria, statusInfo, editorTaskIds, turbinhoData });
+    fixedEditors.sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name, 'pt-BR'));
+    otherEditors.sort((a, b) => b.pontos - a.pontos);
+
+    for (const e of fixedEditors) {
+      const prodBonus = prizes[e.id] || 0;
+      const turboData = turboDays[e.id];
+      const turboBonus = turboData ? turboData.total_bonus : 0;
+      const turbinho = turbinhoData[e.id];
+      const turbinhoBonus = turbinho ? turbinho.bonus : 0;
+      const fdsData = editorFds[e.id];
+      const fdsBonus = fdsData ? Math.round(fdsData.bonus * 100) / 100 : 0;
+      e.bonus = {
+        productivity: prodBonus,
+        turbo: turboBonus,
+        turbo_days: turboData ? turboData.count : 0,
+        turbo_tasks: turboData ? turboData.tasks : [],
+        turbo_dates: turboData ? turboData.days : [],
+        turbinho: turbinhoBonus,
+        turbinho_count: turbinho ? turbinho.sem_ajuste : 0,
+        turbinho_nao_verificados: turbinho ? turbinho.nao_verificados : 0,
+        fds: fdsBonus,
+        fds_count: fdsData ? fdsData.tasks.length : 0,
+        total: Math.round((prodBonus + turboBonus + turbinhoBonus + fdsBonus) * 100) / 100,
+        // Missing lists can change the ranking; unverified history, Turbinho
+        provisional: failedLists.length > 0 || (turbinho ? turbinho.nao_verificados > 0 : false),
+      };
+      e.tasks = taskList(e);
+    }
+
+    // Other editors: freelas get their share of each task's rate, rest get nothing
+    for (const e of otherEditors) {
+      if (e.team === 'freela') {
+        const tasks = taskList(e);
+        const freelaTotal = tasks.reduce((sum, t) => sum + t.valores.freela, 0);
+        e.bonus = {
+          freelaTotal: Math.round(freelaTotal * 100) / 100,
+          sem_tarifa: tasks.filter(t => !t.tarifa).length,
+          provisional: failedLists.length > 0,
+          tasks,
+        };
+      } else {
+        e.bonus = { productivity: 0, turbo: 0, turbo_days: 0, turbinho: 0, turbinho_count: 0, fds: 0, total: 0 };
+        e.tasks = taskList(e);
+      }
+    }
+
+    const allEditors = fixedEditors.concat(otherEditors);
+
+    const unverifiedTasks = {};
+    for (const e of editors) {
+      for (const t of editorTaskNames[e.id] || []) {
+        if (statusInfo[t.task_id] && statusInfo[t.task_id].verified) continue;
+        const entry = unverifiedTasks[t.task_id] || (unverifiedTasks[t.task_id] = { task_id: t.task_id, task_name: t.name, editors: [] });
+        entry.editors.push(e.name);
+      }
+    }
+    const dataQuality = {
+      complete: failedLists.length === 0 && Object.keys(unverifiedTasks).length === 0,
+      failed_lists: failedLists,
+      unverified_tasks: Object.values(unverifiedTasks),
+      provisional_editors: allEditors.filter(e => e.bonus.provisional).map(e => e.name)
+        .filter((name, i, names) => names.indexOf(name) === i),
+      requests: fetchQuality.requests || 0,
+      retries: fetchQuality.retries || 0,
+      rate_limited: fetchQuality.rate_limited || 0,
+      errors: fetchQuality.errors || [],
+    };
+
+    return {
+      metadata: {
+        month,
+        generated_at: new Date().toISOString(),
+        policy: { version: POLICY.version, effective_from: POLICY.effective_from },
+        total_tasks: totalTasks,
+        meta_diaria: BONUS.metaDiaria,
+        turbo_threshold: BONUS.turbo.threshold,
+        time_zone: TIME_ZONE,
+        ranking: { score: RANKING.score, tie_breakers: RANKING.tieBreakers, shared_prizes: RANKING.sharedPrizes },
+        unit: 'pontos',
+      },
+      editors: allEditors.map(e => ({
+        id: e.clickup_id,
+        name: e.name,
+        team: e.team,
+        role: e.role,
+        period: e.period || undefined,
+        totals: { raw_count: e.tasks_count, pontos: e.pontos },
+        daily: e.daily,
+        rank: e.rank,
+        ranking: e.ranking,
+        bonus: e.bonus,
+        tasks: e.tasks || (e.bonus && e.bonus.tasks) || [],
+      })),
+      turbo_days: turboDays,
+      turbinho_summary: turbinhoData,
+      meta_diaria: metaDiaria || null,
+      qualidade: qualidade || null,
+      clientes: calculateClients(allEditors, statusInfo),
+      summary: {
+        total_pontos: Math.round(allEditors.reduce((a, e) => a + e.pontos, 0) * 10) / 10,
+        total_editors: allEditors.length,
+        ranking: fixedEditors.map(e => ({ name: e.name, rank: e.rank, pontos: e.pontos, score: e.ranking.score, criterio: e.ranking.criterio })),
+      },
+      unmatched,
+      split_errors: counts.splitErrors,
+      roster_warnings: counts.rosterWarnings,
+      data_quality: dataQuality,
+    };
+  }
+
+  /**
+   * Full pipeline: tasks (already filtered to the month, freela list tasks
+   * flagged with `_team`) + status history → report.
+   *
+   * @param {Object[]} tasks
+   * @param {Object} statusByTask - taskId -> time_in_status data
+   * @param {{ month: string, policy?: Object, roster?: Object, formatDate?: Function, dataQuality?: Object, escala?: Object, today?: string }} opts
+   *   dataQuality = { failed_lists, requests, retries, rate_limited, errors } from the fetch layer
+   *   escala = folgas/feriados of the month; today = first day not counted for meta_diaria
+   */
+  function buildReport(tasks, statusByTask, opts) {
+    if (opts.policy) usePolicy(opts.policy);
+    useRoster(opts.roster || null);
+    if (!POLICY) throw new Error('Nenhuma política de bônus ativa (usePolicy)');
+    const ctx = { formatDate: opts.formatDate || formatDate };
+    const counts = calculatePontos(tasks, ctx);
+    tagFreelaEditors(counts.editors, tasks);
+    const turboDays = calculateTurbo(counts.editors, counts.editorTurboTasks);
+    const turbinhoResult = calculateTurbinho(counts.editors, counts.editorTaskIds, statusByTask, ctx, counts.editorTaskShares);
+    const today = opts.today !== undefined ? opts.today : ctx.formatDate(new Date());
+    const metaDiaria = calculateMetaDiaria(counts.editors, opts.month, opts.escala || null, today);
+    const qualidade = calculateQuality(counts.editors, counts.editorTaskNames, turbinhoResult.statusInfo);
+    return generateReport(counts, turboDays, turbinhoResult, opts.month, tasks.length, opts.dataQuality, metaDiaria, qualidade);
+  }
+
+  // ─── Task Cache ────────────────────────────────────────────────────────────
+
+  /**
+   * Merge tasks returned by an incremental sync (`date_updated_gt`) into a
+   * cache store `{ tasks: { id: task } }`. Archived tasks are dropped.
+   * Returns counts and the editors whose numbers may have changed (editors
+   * of both the old and the new version of each changed task).
+   */
+  function applyTaskUpdates(store, tasks) {
+    const result = { added: 0, updated: 0, removed: 0, editors: [] };
+    const affected = {};
+    const touch = task => extractEditors(task).forEach(e => { affected[e.name] = true; });
+
+    for (const task of tasks) {
+      const old = store.tasks[task.id];
+      if (task.archived) {
+        if (old) {
+          touch(old);
+          delete store.tasks[task.id];
+          result.removed++;
+        }
+        continue;
+      }
+      if (old && old.date_updated === task.date_updated) continue;
+      if (old) touch(old);
+      touch(task);
+      store.tasks[task.id] = task;
+      if (old) result.updated++;
+      else result.added++;
+    }
+
+    result.editors = Object.keys(affected).sort();
+    return result;
+  }
+
+  // ─── Diff ──────────────────────────────────────────────────────────────────
+
+  function payout(e) {
+    return (e.bonus && (e.bonus.total || e.bonus.freelaTotal)) || 0;
+  }
+
+  function editorKey(e) {
+    return e.period && e.period.start ? e.id + ':' + e.period.start : String(e.id);
+  }
+
+  /**
+   * task_id -> { name, pontos, primeira_edicao, editors, unmatched } for a report.
+   */
+  function indexReportTasks(report) {
+    const index = {};
+    for (const e of report.editors) {
+      for (const t of e.tasks || []) {
+        if (!index[t.task_id]) {
+          index[t.task_id] = {
+            task_id: t.task_id, name: t.name, pontos: t.pts,
+            primeira_edicao: t.primeira_edicao, editors: [], unmatched: null,
+          };
+        }
+        index[t.task_id].editors.push(e.name);
+      }
+    }
+    for (const u of report.unmatched || []) {
+      if (!index[u.task_id]) {
+        index[u.task_id] = {
+          task_id: u.task_id, name: u.task_name, pontos: null,
+          primeira_edicao: null, editors: [], unmatched: u.reason,
+        };
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Field-level changes of a task counted in both reports.
+   */
+  function taskChanges(before, after) {
+    const changes = [];
+    if (before.pontos !== after.pontos) {
+      changes.push({ field: 'pontos', from: before.pontos, to: after.pontos });
+    }
+    if (before.primeira_edicao !== after.primeira_edicao) {
+      changes.push({ field: 'primeira_edicao', from: before.primeira_edicao, to: after.primeira_edicao });
+    }
+    const added = after.editors.filter(n => !before.editors.includes(n));
+    const removed = before.editors.filter(n => !after.editors.includes(n));
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ field: 'editors', added, removed });
+    }
+    return changes;
+  }
+
+  function describeTaskChange(c) {
+    if (c.field === 'pontos') return 'Pontos ' + c.from + ' → ' + c.to;
+    if (c.field === 'primeira_edicao') return 'Primeira Edição ' + c.from + ' → ' + c.to;
+    const parts = [];
+    if (c.added.length > 0) parts.push('+ ' + c.added.join(', '));
+    if (c.removed.length > 0) parts.push('− ' + c.removed.join(', '));
+    return 'Editores ' + parts.join(' ');
+  }
+
+  /**
+   * Why an editor's rank or prize moved when their own tasks may not have:
+   * the fixed-team editors who passed them (or whom they passed), a prize
+   * shared with a tie, and changed policy thresholds. Reasons without a
+   * task have task_id null.
+   */
+  function rankingReasons(a, b, before, after) {
+    const reasons = [];
+    const add = reason => reasons.push({ task_id: null, task_name: null, pontos_delta: 0, reason });
+    const ranked = report => {
+      const out = {};
+      report.editors.filter(e => e.rank).forEach(e => { out[editorKey(e)] = e; });
+      return out;
+    };
+    const unit = (b.metadata.ranking && b.metadata.ranking.score === 'pontos_por_dia') ? ' pts/dia' : ' pts';
+    const score = e => (e ? (e.ranking ? e.ranking.score : e.totals.pontos) : 0);
+    const oldRanked = ranked(a);
+    const newRanked = ranked(b);
+
+    if (before && after && before.rank && after.rank && before.rank !== after.rank) {
+      const ahead = (ranks, key, rank) => !!ranks[key] && ranks[key].rank < rank;
+      const keys = Object.keys(Object.assign({}, oldRanked, newRanked)).filter(k => k !== editorKey(after));
+      const worse = after.rank > before.rank;
+      const moved = keys.filter(k => (worse
+        ? ahead(newRanked, k, after.rank) && !ahead(oldRanked, k, before.rank)
+        : ahead(oldRanked, k, before.rank) && !ahead(newRanked, k, after.rank)));
+      const describe = list => list.map(k => (newRanked[k] || oldRanked[k]).name + ' (' + score(oldRanked[k]) + ' → ' + score(newRanked[k]) + unit + ')').join(', ');
+      const tied = moved.filter(k => !worse && newRanked[k] && newRanked[k].rank === after.rank);
+      const passed = moved.filter(k => !tied.includes(k));
+      if (passed.length > 0) add((worse ? 'ultrapassado(a) no ranking por ' : 'passou no ranking ') + describe(passed));
+      if (tied.length > 0) add('empatou no ranking com ' + describe(tied));
+      if (moved.length === 0 && after.ranking) {
+        add('ranking ' + before.rank + 'º → ' + after.rank + 'º por ' + RANKING_LABELS[after.ranking.criterio]);
+      }
+    }
+
+    const prize = e => (e && e.bonus && e.bonus.productivity) || 0;
+    if (before && after && before.rank === after.rank && prize(before) !== prize(after)) {
+      const tied = Object.keys(newRanked)
+        .filter(k => k !== editorKey(after) && newRanked[k].rank === after.rank)
+        .map(k => newRanked[k].name);
+      add('prêmio de produtividade R$ ' + prize(before) + ' → R$ ' + prize(after) + (tied.length > 0 ? ' (empatado(a) com ' + tied.join(', ') + ')' : ''));
+    }
+
+    if (payout(before || {}) !== payout(after || {})) {
+      const policy = m => (m.policy ? m.policy.version : null);
+      if (policy(a.metadata) !== policy(b.metadata)) {
+        add('política de bônus ' + policy(a.metadata) + ' → ' + policy(b.metadata));
+      }
+      if (a.metadata.turbo_threshold !== b.metadata.turbo_threshold) {
+        add('limite do TURBO ' + a.metadata.turbo_threshold + ' → ' + b.metadata.turbo_threshold + ' pts/dia');
+      }
+      if (a.metadata.meta_diaria !== b.metadata.meta_diaria) {
+        add('meta diária ' + a.metadata.meta_diaria + ' → ' + b.metadata.meta_diaria + ' pts');
+      }
+    }
+    return reasons;
+  }
+
+  /**
+   * Why one editor's numbers moved: what moved them in the ranking (see
+   * rankingReasons), then one reason per task that changed for them.
+   */
+  function editorReasons(a, b, before, after, taskDiff) {
+    const share = t => (t ? Math.round(t.pts * (t.share !== undefined ? t.share : 1 / (t.split || 1)) * 100) / 100 : 0);
+    const oldTasks = {};
+    const newTasks = {};
+    ((before && before.tasks) || []).forEach(t => { oldTasks[t.task_id] = t; });
+    ((after && after.tasks) || []).forEach(t => { newTasks[t.task_id] = t; });
+
+    const reasons = [];
+    const ids = Object.keys(Object.assign({}, oldTasks, newTasks));
+    for (const id of ids) {
+      const o = oldTasks[id];
+      const n = newTasks[id];
+      const task = n || o;
+      const delta = Math.round((share(n) - share(o)) * 100) / 100;
+      const changed = taskDiff.changed.find(t => t.task_id === id);
+      const details = changed ? ' (' + changed.changes.map(describeTaskChange).join('; ') + ')' : '';
+      let text = null;
+
+      if (!o) {
+        const entered = taskDiff.entered.find(t => t.task_id === id);
+        text = entered ? 'entrou: ' + entered.reason : 'atribuído(a) à task' + details;
+      } else if (!n) {
+        const left = taskDiff.left.find(t => t.task_id === id);
+        text = left ? 'saiu: ' + left.reason : 'removido(a) da task' + details;
+      } else {
+        const parts = [];
+        if (changed) parts.push(...changed.changes.map(describeTaskChange));
+        if (o.sem_ajuste !== n.sem_ajuste) parts.push(n.sem_ajuste ? 'Turbinho ganho' : 'Turbinho perdido (passou por ajuste)');
+        if (o.is_turbo !== n.is_turbo) parts.push(n.is_turbo ? 'tag turbo adicionada' : 'tag turbo removida');
+        if (o.is_fds !== n.is_fds) parts.push(n.is_fds ? 'passou a contar como FDS/feriado' : 'deixou de contar como FDS/feriado');
+        if (parts.length === 0 && delta === 0) continue;
+        text = parts.join('; ') || 'divisão entre editores alterada';
+      }
+      reasons.push({ task_id: id, task_name: task.name, pontos_delta: delta, reason: text });
+    }
+    reasons.sort((x, y) => Math.abs(y.pontos_delta) - Math.abs(x.pontos_delta));
+    return rankingReasons(a, b, before, after).concat(reasons);
+  }
+
+  /**
+   * Compare two reports (two runs of the same month, or two months).
+   * Lists tasks that entered/left/changed and, per editor, what moved in
+   * pontos, rank and bonus and which tasks explain it.
+   */
+  function diffReports(a, b) {
+    const sameMonth = a.metadata.month === b.metadata.month;
+    const before = indexReportTasks(a);
+    const after = indexReportTasks(b);
+    const counted = t => t && !t.unmatched;
+
+    const taskDiff = { entered: [], left: [], changed: [] };
+    const ids = Object.keys(Object.assign({}, before, after));
+    for (const id of ids) {
+      const o = before[id];
+      const n = after[id];
+      if (counted(n) && !counted(o)) {
+        taskDiff.entered.push({
+          task_id: id, name: n.name, pontos: n.pontos, primeira_edicao: n.primeira_edicao, editors: n.editors,
+          reason: o ? 'antes sem match: ' + o.unmatched
+            : sameMonth ? 'Primeira Edição preenchida ou movida para o mês' : 'não constava em ' + a.metadata.month,
+        });
+      } else if (counted(o) && !counted(n)) {
+        taskDiff.left.push({
+          task_id: id, name: o.name, pontos: o.pontos, primeira_edicao: o.primeira_edicao, editors: o.editors,
+          reason: n ? 'sem match: ' + n.unmatched
+            : sameMonth ? 'Primeira Edição movida para fora do mês, apagada ou task removida' : 'não consta em ' + b.metadata.month,
+        });
+      } else if (counted(o) && counted(n)) {
+        const changes = taskChanges(o, n);
+        if (changes.length > 0) taskDiff.changed.push({ task_id: id, name: n.name, changes });
+      }
+    }
+
+    const oldEditors = {};
+    const newEditors = {};
+    a.editors.forEach(e => { oldEditors[editorKey(e)] = e; });
+    b.editors.forEach(e => { newEditors[editorKey(e)] = e; });
+
+    const editors = [];
+    for (const key of Object.keys(Object.assign({}, oldEditors, newEditors))) {
+      const o = oldEditors[key];
+      const n = newEditors[key];
+      const pontos = { from: o ? o.totals.pontos : 0, to: n ? n.totals.pontos : 0 };
+      const rank = { from: (o && o.rank) || null, to: (n && n.rank) || null };
+      const bonus = { from: o ? payout(o) : 0, to: n ? payout(n) : 0 };
+      if (pontos.from === pontos.to && rank.from === rank.to && bonus.from === bonus.to) continue;
+      editors.push({
+        id: (n || o).id,
+        name: (n || o).name,
+        team: (n || o).team,
+        pontos: Object.assign(pontos, { delta: Math.round((pontos.to - pontos.from) * 100) / 100 }),
+        rank,
+        bonus: Object.assign(bonus, { delta: Math.round((bonus.to - bonus.from) * 100) / 100 }),
+        reasons: editorReasons(a, b, o, n, taskDiff),
+      });
+    }
+    editors.sort((x, y) => Math.abs(y.bonus.delta) - Math.abs(x.bonus.delta) || Math.abs(y.pontos.delta) - Math.abs(x.pontos.delta));
+
+    const totalBonus = r => Math.round(r.editors.reduce((sum, e) => sum + payout(e), 0) * 100) / 100;
+    return {
+      from: { month: a.metadata.month, generated_at: a.metadata.generated_at, policy: a.metadata.policy || null },
+      to: { month: b.metadata.month, generated_at: b.metadata.generated_at, policy: b.metadata.policy || null },
+      same_month: sameMonth,
+      totals: {
+        pontos: { from: a.summary.total_pontos, to: b.summary.total_pontos },
+        bonus: { from: totalBonus(a), to: totalBonus(b) },
+      },
+      tasks: taskDiff,
+      editors,
+    };
+  }
+
+  // ─── History ───────────────────────────────────────────────────────────────
+
+  /**
+   * Compact summary of a month report for the history index: per-editor
+   * pontos, rank, bonus and goal attainment, plus totals per team.
+   * An editor with several roster periods in the month is merged by id.
+   */
+  function historyEntry(report) {
+    const meta = {};
+    ((report.meta_diaria && report.meta_diaria.editors) || []).forEach(m => {
+      meta[String(m.id)] = { dias_batidos: m.dias_batidos.length, dias_trabalhados: m.dias_trabalhados };
+    });
+
+    const byId = {};
+    const times = {};
+    for (const e of report.editors) {
+      const bonus = payout(e);
+      const team = times[e.team] || (times[e.team] = { pontos: 0, bonus: 0, editores: 0 });
+      team.pontos += e.totals.pontos;
+      team.bonus += bonus;
+      const prev = byId[String(e.id)];
+      if (prev) {
+        prev.team = e.team;
+        prev.pontos += e.totals.pontos;
+        prev.criativos += e.totals.raw_count;
+        prev.bonus += bonus;
+        prev.rank = prev.rank || e.rank || null;
+        continue;
+      }
+      team.editores++;
+      byId[String(e.id)] = {
+        id: e.id, name: e.name, team: e.team,
+        pontos: e.totals.pontos, criativos: e.totals.raw_count,
+        rank: e.rank || null, bonus,
+        meta: meta[String(e.id)] || null,
+      };
+    }
+
+    const editors = Object.keys(byId).map(id => byId[id]);
+    editors.forEach(e => {
+      e.pontos = Math.round(e.pontos * 100) / 100;
+      e.bonus = Math.round(e.bonus * 100) / 100;
+    });
+    Object.keys(times).forEach(t => {
+      times[t].pontos = Math.round(times[t].pontos * 100) / 100;
+      times[t].bonus = Math.round(times[t].bonus * 100) / 100;
+    });
+    const month = report.metadata.month;
+    return {
+      month,
+      generated_at: report.metadata.generated_at,
+      policy: report.metadata.policy ? report.metadata.policy.version : null,
+      closed: !!report.metadata.closed,
+      parcial: new Date(report.metadata.generated_at).getTime() < getMonthRange(month).end,
+      provisional: !!(report.data_quality && !report.data_quality.complete),
+      totals: {
+        pontos: report.summary.total_pontos,
+        bonus: Math.round(editors.reduce((sum, e) => sum + e.bonus, 0) * 100) / 100,
+      },
+      times,
+      editors,
+    };
+  }
+
+  /**
+   * Put a month entry into the history index ({ updated_at, months: [entry] },
+   * oldest first), replacing a previous entry of the same month.
+   */
+  function mergeHistory(history, entry) {
+    const months = ((history && history.months) || []).filter(m => m.month !== entry.month);
+    months.push(entry);
+    months.sort((a, b) => (a.month < b.month ? -1 : a.month > b.month ? 1 : 0));
+    return { updated_at: new Date().toISOString(), months };
+  }
+
+  // ─── Access ────────────────────────────────────────────────────────────────
+  //
+  // Who sees what of a report served over HTTP (doGet, live service):
+  //   admin   coordinators — the full report
+  //   editor  their own detail (tasks, bonus, meta, quality) + the ranking
+  //   public  the ranking only (embed widget): pontos and daily, no R$
+
+  const ROLES = ['admin', 'editor', 'public'];
+
+  /**
+   * Role of a request: a token from `tokens` ({ token: { role, editor_id } })
+   * or a Google account e-mail (in `adminEmails`, or a roster member `email`).
+   * Unknown tokens and anonymous requests are public.
+   *
+   * @returns {{ role: string, editor_id: (string|number|null) }}
+   */
+  function resolveAccess({ token, email, tokens, adminEmails, roster }) {
+    const entry = token && tokens ? tokens[token] : null;
+    if (entry && ROLES.includes(entry.role)) {
+      return { role: entry.role, editor_id: entry.role === 'editor' ? entry.editor_id : null };
+    }
+    const mail = email ? String(email).toLowerCase() : '';
+    if (mail && (adminEmails || []).some(a => String(a).trim().toLowerCase() === mail)) {
+      return { role: 'admin', editor_id: null };
+    }
+    const member = mail && roster ? roster.members.find(m => m.email && m.email.toLowerCase() === mail) : null;
+    if (member) return { role: 'editor', editor_id: member.id };
+    return { role: 'public', editor_id: null };
+  }
+
+  function rankingEditor(e) {
+    return { id: e.id, name: e.name, team: e.team, period: e.period, totals: e.totals, daily: e.daily, rank: e.rank, ranking: e.ranking };
+  }
+
+  /**
+   * The part of a report `access` may see (admins get the report as is).
+   */
+  function scopeReport(report, access) {
+    if (access.role === 'admin') return report;
+    const own = id => access.role === 'editor' && String(id).split(':')[0] === String(access.editor_id);
+    const pick = obj => {
+      const out = {};
+      Object.keys(obj || {}).filter(own).forEach(k => { out[k] = obj[k]; });
+      return out;
+    };
+    return {
+      metadata: Object.assign({}, report.metadata, { access }),
+      editors: report.editors.map(e => (own(e.id) ? e : rankingEditor(e))),
+      turbo_days: pick(report.turbo_days),
+      turbinho_summary: pick(report.turbinho_summary),
+      meta_diaria: report.meta_diaria
+        ? Object.assign({}, report.meta_diaria, { editors: report.meta_diaria.editors.filter(m => own(m.id)) })
+        : report.meta_diaria,
+      qualidade: report.qualidade ? { editores: report.qualidade.editores.filter(q => own(q.id)), clientes: [] } : report.qualidade,
+      clientes: null, // R$ of the whole team
+      summary: report.summary,
+      unmatched: [],
+      split_errors: [],
+      roster_warnings: [],
+      data_quality: { complete: report.data_quality.complete },
+      adjustments: (report.adjustments || []).filter(a => own(a.editor_id)),
+    };
+  }
+
+  /**
+   * The part of the history index `access` may see: no R$ except their own.
+   */
+  function scopeHistory(history, access) {
+    if (access.role === 'admin') return history;
+    const own = e => access.role === 'editor' && String(e.id) === String(access.editor_id);
+    return {
+      updated_at: history.updated_at,
+      access,
+      months: history.months.map(m => {
+        const times = {};
+        Object.keys(m.times).forEach(t => { times[t] = { pontos: m.times[t].pontos, editores: m.times[t].editores }; });
+        return Object.assign({}, m, {
+          totals: { pontos: m.totals.pontos },
+          times,
+          editors: m.editors.map(e => (own(e) ? e : { id: e.id, name: e.name, team: e.team, pontos: e.pontos, criativos: e.criativos, rank: e.rank })),
+        });
+      }),
+    };
+  }
+
+  // ─── Exports ───────────────────────────────────────────────────────────────
+
+  return {
+    DEFAULT_TIME_ZONE,
+    RANKING_LABELS,
+    FREELA_RATE_SOURCES,
+    validatePolicy,
+    selectPolicy,
+    usePolicy,
+    config,
+    timeZone,
+    validateRoster,
+    useRoster,
+    resolveMember,
+    findField,
+    parseFieldValue,
+    getPrimeiraEdicao,
+    getPontos,
+    identifyProjectType,
+    clientCode,
+    campaignCode,
+    getSplit,
+    extractEditors,
+    isFdsTask,
+    isTurboTask,
+    isTimeFixo,
+    classifyTeam,
+    getMonthRange,
+    formatDate,
+    isInRange,
+    calculatePontos,
+    tagFreelaEditors,
+    statusTaskIds,
+    calculateTurbo,
+    summarizeStatusHistory,
+    calculateTurbinho,
+    rankEditors,
+    freelaRate,
+    calculateQuality,
+    calculateClients,
+    validateEscala,
+    brazilianHolidays,
+    sameMember,
+    calculateMetaDiaria,
+    generateReport,
+    buildReport,
+    applyTaskUpdates,
+    diffReports,
+    describeTaskChange,
+    historyEntry,
+    mergeHistory,
+    resolveAccess,
+    scopeReport,
+    scopeHistory,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BonusRules;
+}
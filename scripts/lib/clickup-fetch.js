@@ -0,0 +1,316 @@
+/**
+ * ClickUp Fetching — Gestão de Edição
+ *
+ * Reads tasks and status history from ClickUp for the counter CLI and the
+ * live service: month queries over the three lists, the incremental local
+ * cache (task-cache) and retries (clickup-request). Fetch failures are
+ * collected for the report's `data_quality` section.
+ *
+ * With CLICKUP_API_BASE set, requests go to that base through a plain HTTP
+ * client instead of the .aios-core services — e.g. the ClickUp mock of
+ * scripts/clickup-harness.js.
+ *
+ * @module clickup-fetch
+ */
+
+const BonusRules = require('./bonus-rules');
+const TaskCache = require('./task-cache');
+const { createRequester } = require('./clickup-request');
+
+// Reuse existing ClickUp service modules (loaded lazily so --from-snapshot
+// runs without ClickUp credentials)
+let clickup = null;
+let clickupClient = null;
+
+function loadClickUp() {
+  if (!clickup) {
+    if (process.env.CLICKUP_API_BASE) {
+      clickupClient = directClient(process.env.CLICKUP_API_BASE, process.env.CLICKUP_API_KEY);
+      clickup = { getTasks: async (listId, params) => (await clickupClient.get(`/list/${listId}/task?page=${params.page}&include_closed=${!!params.include_closed}`)).tasks || [] };
+      return;
+    }
+    clickup = require('../../.aios-core/infrastructure/services/clickup');
+    clickupClient = require('../../.aios-core/infrastructure/services/clickup/client');
+  }
+}
+
+/**
+ * Plain HTTP client for another API base (CLICKUP_API_BASE, e.g. the mock of
+ * lib/clickup-mock). Errors carry `status` and `headers` for the requester.
+ */
+function directClient(base, apiKey) {
+  async function request(method, endpoint, body) {
+    const response = await fetch(base.replace(/\/$/, '') + endpoint, {
+      method,
+      headers: { Authorization: apiKey || 'pk_mock', 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    if (!response.ok) {
+      const error = new Error(`ClickUp API error ${response.status}: ${text}`);
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+    return text ? JSON.parse(text) : null;
+  }
+  return {
+    get: endpoint => request('GET', endpoint),
+    post: (endpoint, body) => request('POST', endpoint, body),
+  };
+}
+
+// Every ClickUp call goes through the requester (retries + rate limit);
+// what still fails is recorded here and lands in report.data_quality
+const requester = createRequester();
+let fetchIssues = { failed_lists: [], errors: [] };
+
+/**
+ * Fetch failures and request stats since the last reset, for buildReport.
+ */
+function dataQuality() {
+  return { ...fetchIssues, ...requester.stats, failed_lists: [...fetchIssues.failed_lists], errors: [...fetchIssues.errors] };
+}
+
+/**
+ * Start a new accounting period (long-running service: one per rebuild).
+ */
+function resetDataQuality() {
+  fetchIssues = { failed_lists: [], errors: [] };
+  Object.keys(requester.stats).forEach(k => { requester.stats[k] = 0; });
+}
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const LIST_IDS = {
+  producao: '901303868623',     // Produção de Criativos (PRINCIPAL)
+  filaFixo: '901324270156',     // Fila de Edição (time fixo) - secundária
+  filaFreelas: '901324715701',  // Fila de Edição FREELAS - secundária
+};
+
+// ─── Data Fetching ───────────────────────────────────────────────────────────
+
+/**
+ * Fetch all tasks with "Primeira Edição" in date range (paginated)
+ */
+async function fetchAllTasks(listId, dateRange) {
+  loadClickUp();
+  const allTasks = [];
+  let page = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    console.log(`[VideoCounter] Fetching page ${page} from list ${listId}...`);
+    const tasks = await requester.call(`lista ${listId} página ${page}`, () =>
+      clickup.getTasks(listId, { page, include_closed: true }));
+
+    if (tasks.length === 0) {
+      hasMore = false;
+    } else {
+      // Filter by "Primeira Edição" date in range
+      const filtered = tasks.filter(t => BonusRules.isInRange(t, dateRange));
+
+      allTasks.push(...filtered);
+      page++;
+
+      if (tasks.length < 100) hasMore = false;
+    }
+  }
+
+  console.log(`[VideoCounter] Found ${allTasks.length} tasks with "Primeira Edição" in range from list ${listId}`);
+  return allTasks;
+}
+
+/**
+ * Fetch every page of a list task query (include_closed + extra params).
+ */
+async function fetchListPages(listId, params) {
+  loadClickUp();
+  const query = Object.entries({ include_closed: true, ...params }).map(([k, v]) => `${k}=${v}`).join('&');
+  const all = [];
+  for (let page = 0; ; page++) {
+    console.log(`[VideoCounter] Fetching page ${page} from list ${listId}${params.date_updated_gt ? ' (incremental)' : ''}...`);
+    const data = await requester.call(`lista ${listId} página ${page}`, () =>
+      clickupClient.get(`/list/${listId}/task?page=${page}&${query}`));
+    const tasks = (data && data.tasks) || [];
+    all.push(...tasks);
+    if (tasks.length < 100) break;
+  }
+  return all;
+}
+
+/**
+ * Fetch one task with its custom fields (webhook updates).
+ */
+async function getTask(taskId) {
+  loadClickUp();
+  return requester.call(`task ${taskId}`, () => clickupClient.get(`/task/${taskId}`));
+}
+
+/**
+ * Bring the local cache of a list up to date: full download when needed,
+ * otherwise only tasks updated (or archived) since the last sync.
+ */
+async function syncList(listId, fullSync) {
+  const startedAt = Date.now();
+  let store = TaskCache.loadList(listId);
+  const full = fullSync || TaskCache.needsFullSync(store, startedAt);
+
+  let changes;
+  if (full) {
+    store = TaskCache.emptyStore(listId);
+    changes = BonusRules.applyTaskUpdates(store, await fetchListPages(listId, {}));
+    store.full_sync_at = startedAt;
+  } else {
+    const since = store.synced_at - TaskCache.SYNC_MARGIN_MS;
+    const updated = await fetchListPages(listId, { date_updated_gt: since });
+    const archived = await fetchListPages(listId, { date_updated_gt: since, archived: true });
+    changes = BonusRules.applyTaskUpdates(store, updated.concat(archived));
+  }
+  store.synced_at = startedAt;
+  TaskCache.saveList(store);
+
+  const kind = full ? 'sincronização completa' : 'incremental';
+  console.log(`[VideoCounter] Cache ${listId} (${kind}): ${Object.keys(store.tasks).length} tasks, +${changes.added} novas, ${changes.updated} alteradas, -${changes.removed} removidas`);
+  if (!full && changes.editors.length > 0) {
+    console.log(`[VideoCounter] Editores afetados: ${changes.editors.join(', ')}`);
+  }
+  return store;
+}
+
+/**
+ * Fetch all tasks of the selected list(s) with "Primeira Edição" in the month.
+ * Tasks from the FREELAS list are flagged with `_team: 'freela'`.
+ * With `cache`, lists are synced incrementally into scripts/.cache/.
+ */
+async function fetchMonthTasks(month, listFilter, { cache = true, fullSync = false } = {}) {
+  const listsToQuery = [];
+  switch (listFilter) {
+    case 'producao':
+      listsToQuery.push({ id: LIST_IDS.producao, name: 'Produção de Criativos' });
+      break;
+    case 'fixed':
+      listsToQuery.push({ id: LIST_IDS.filaFixo, name: 'Fila de Edição (fixo)' });
+      break;
+    case 'freelas':
+      listsToQuery.push({ id: LIST_IDS.filaFreelas, name: 'Fila de Edição FREELAS' });
+      break;
+    default:
+      listsToQuery.push({ id: LIST_IDS.producao, name: 'Produção de Criativos' });
+      listsToQuery.push({ id: LIST_IDS.filaFixo, name: 'Fila de Edição (fixo)' });
+      listsToQuery.push({ id: LIST_IDS.filaFreelas, name: 'Fila de Edição FREELAS' });
+      break;
+  }
+
+  const dateRange = BonusRules.getMonthRange(month);
+  console.log(`[VideoCounter] Range: ${new Date(dateRange.start).toISOString()} → ${new Date(dateRange.end).toISOString()} (${BonusRules.timeZone()})\n`);
+
+  const allTasks = [];
+  for (const list of listsToQuery) {
+    console.log(`[VideoCounter] Querying: ${list.name} (${list.id})`);
+    try {
+      let tasks;
+      if (cache) {
+        const store = await syncList(list.id, fullSync);
+        tasks = Object.values(store.tasks).filter(t => BonusRules.isInRange(t, dateRange));
+        console.log(`[VideoCounter] ${tasks.length} tasks com "Primeira Edição" no mês em ${list.name}`);
+      } else {
+        tasks = await fetchAllTasks(list.id, dateRange);
+      }
+      if (list.id === LIST_IDS.filaFreelas) {
+        tasks.forEach(t => { t._team = 'freela'; });
+      }
+      allTasks.push(...tasks);
+    } catch (error) {
+      console.error(`[VideoCounter] Erro em ${list.name}: ${error.message}`);
+      fetchIssues.failed_lists.push({ list_id: list.id, name: list.name, error: error.message });
+    }
+  }
+  return allTasks;
+}
+
+// ─── Status History ──────────────────────────────────────────────────────────
+
+/**
+ * Bulk check time_in_status for multiple tasks at once.
+ * Uses GET /task/bulk_time_in_status/task_ids?task_ids=a&task_ids=b
+ * Throws after the requester gives up.
+ */
+async function getBulkTimeInStatus(taskIds) {
+  loadClickUp();
+  const qs = taskIds.map(id => `task_ids=${id}`).join('&');
+  return requester.call(`histórico de status (${taskIds.length} tasks)`, () =>
+    clickupClient.get(`/task/bulk_time_in_status/task_ids?${qs}`));
+}
+
+/**
+ * Fetch status history for all tasks (Turbinho).
+ * Uses bulk endpoint (100 tasks per call) for efficiency.
+ * Returns merged { taskId: { current_status, status_history } }; tasks of a
+ * failed batch are left out, so the report marks them as unverified.
+ */
+async function fetchStatusHistory(taskIds) {
+  console.log(`[VideoCounter] Checking status history for ${taskIds.length} tasks (Turbinho)...`);
+  const statusByTask = {};
+  for (let i = 0; i < taskIds.length; i += 100) {
+    const batch = taskIds.slice(i, i + 100);
+    console.log(`[VideoCounter] Turbinho bulk check: ${Math.min(i + 100, taskIds.length)}/${taskIds.length}`);
+    try {
+      Object.assign(statusByTask, await getBulkTimeInStatus(batch));
+    } catch (error) {
+      console.error(`[VideoCounter] ${error.message} — ${batch.length} tasks ficam sem verificação`);
+      fetchIssues.errors.push(error.message);
+    }
+  }
+  return statusByTask;
+}
+
+/**
+ * Status history through the local cache: only tasks that are new or whose
+ * `date_updated` changed since their history was fetched are requested.
+ */
+async function fetchStatusHistoryCached(tasks) {
+  const byId = {};
+  tasks.forEach(t => { byId[t.id] = t; });
+  const ids = BonusRules.statusTaskIds(tasks);
+  const cached = TaskCache.loadStatus();
+  const stale = ids.filter(id => !cached[id] || cached[id].date_updated !== byId[id].date_updated);
+  console.log(`[VideoCounter] Histórico de status em cache: ${ids.length - stale.length}/${ids.length}`);
+
+  const fetched = await fetchStatusHistory(stale);
+  for (const id of stale) {
+    if (fetched[id]) cached[id] = { date_updated: byId[id].date_updated, data: fetched[id] };
+  }
+  TaskCache.saveStatus(cached);
+
+  const statusByTask = {};
+  for (const id of ids) {
+    if (cached[id]) statusByTask[id] = cached[id].data;
+  }
+  return statusByTask;
+}
+
+/**
+ * Post a comment on a task (notifier "clickup" transport).
+ */
+async function postTaskComment(taskId, text) {
+  loadClickUp();
+  return requester.call(`comentário ${taskId}`, () =>
+    clickupClient.post(`/task/${taskId}/comment`, { comment_text: text, notify_all: true }));
+}
+
+module.exports = {
+  LIST_IDS,
+  loadClickUp,
+  dataQuality,
+  resetDataQuality,
+  fetchAllTasks,
+  fetchListPages,
+  getTask,
+  syncList,
+  fetchMonthTasks,
+  getBulkTimeInStatus,
+  fetchStatusHistory,
+  fetchStatusHistoryCached,
+  postTaskComment,
+};
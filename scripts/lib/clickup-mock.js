@@ -0,0 +1,153 @@
+/**
+ * ClickUp Mock — Gestão de Edição
+ *
+ * Serves a fixture library (scripts/fixtures/clickup/*.json) through the
+ * ClickUp endpoints the counters use, so the Node counter, the live service
+ * and the Apps Script code can run end-to-end without ClickUp:
+ *   GET  /list/:id/task                          pages of 100, archived, date_updated_gt/lt
+ *   GET  /task/:id
+ *   GET  /task/:id/time_in_status
+ *   GET  /task/bulk_time_in_status/task_ids      ?task_ids=a&task_ids=b (max 100)
+ *   POST /task/:id/comment                       recorded in `comments`
+ *
+ * Fixture:
+ *   { description, month,
+ *     lists: { "<list id>": [task, ...] },          raw ClickUp tasks
+ *     time_in_status: { "<task id>": { current_status, status_history } },
+ *     faults: [{ path, status, times }] }          first `times` requests whose
+ *                                                  path starts with `path` fail
+ *
+ * `handle` is synchronous (Apps Script stubs call it from UrlFetchApp.fetch);
+ * `listen` wraps it in an HTTP server for the Node side.
+ *
+ * @module clickup-mock
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+const API_PREFIX = '/api/v2';
+const PAGE_SIZE = 100;
+
+function readFixture(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Fixture não encontrada: ${file}`);
+  }
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!fixture.lists || typeof fixture.lists !== 'object') {
+    throw new Error(`Fixture inválida (sem "lists"): ${file}`);
+  }
+  return fixture;
+}
+
+/**
+ * @param {Object} fixture - see the module header
+ * @returns {{ handle: Function, listen: Function, requests: Object[], comments: Object[] }}
+ */
+function createMock(fixture) {
+  const tasksById = {};
+  Object.values(fixture.lists).forEach(tasks => tasks.forEach(t => { tasksById[t.id] = t; }));
+  const timeInStatus = fixture.time_in_status || {};
+  const faults = (fixture.faults || []).map(f => ({ ...f, left: f.times || 1 }));
+  const requests = [];
+  const comments = [];
+
+  function reply(status, body, headers = {}) {
+    return { status, headers: { 'Content-Type': 'application/json', ...headers }, body };
+  }
+
+  function listTasks(listId, query) {
+    const tasks = fixture.lists[listId];
+    if (!tasks) return reply(404, { err: 'List not found', ECODE: 'LIST_001' });
+    const archived = query.get('archived') === 'true';
+    const gt = query.has('date_updated_gt') ? Number(query.get('date_updated_gt')) : null;
+    const lt = query.has('date_updated_lt') ? Number(query.get('date_updated_lt')) : null;
+    const page = Number(query.get('page') || 0);
+    const matching = tasks.filter(t =>
+      !!t.archived === archived &&
+      (gt === null || Number(t.date_updated) > gt) &&
+      (lt === null || Number(t.date_updated) < lt));
+    return reply(200, { tasks: matching.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE), last_page: (page + 1) * PAGE_SIZE >= matching.length });
+  }
+
+  /**
+   * Answer one request. `path` is relative to the API base (/list/...),
+   * query string included.
+   *
+   * @returns {{ status: number, headers: Object, body: Object }}
+   */
+  function handle(method, path, headers = {}, body = null) {
+    const url = new URL(path, 'http://mock');
+    const route = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) : url.pathname;
+    requests.push({ method, path: route + url.search });
+
+    const authorization = Object.keys(headers).find(k => k.toLowerCase() === 'authorization');
+    if (!authorization || !headers[authorization]) {
+      return reply(401, { err: 'Token invalid', ECODE: 'OAUTH_025' });
+    }
+    const fault = faults.find(f => f.left > 0 && route.startsWith(f.path));
+    if (fault) {
+      fault.left--;
+      const extra = fault.status === 429 ? { 'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000)) } : {};
+      return reply(fault.status, { err: `Falha simulada (${fault.status})` }, extra);
+    }
+
+    let match;
+    if (method === 'GET' && (match = /^\/list\/([^/]+)\/task$/.exec(route))) {
+      return listTasks(match[1], url.searchParams);
+    }
+    if (method === 'GET' && route === '/task/bulk_time_in_status/task_ids') {
+      const ids = url.searchParams.getAll('task_ids');
+      if (ids.length === 0 || ids.length > PAGE_SIZE) {
+        return reply(400, { err: `task_ids: entre 1 e ${PAGE_SIZE}`, ECODE: 'ITEM_015' });
+      }
+      const result = {};
+      ids.filter(id => timeInStatus[id]).forEach(id => { result[id] = timeInStatus[id]; });
+      return reply(200, result);
+    }
+    if (method === 'GET' && (match = /^\/task\/([^/]+)\/time_in_status$/.exec(route))) {
+      return timeInStatus[match[1]] ? reply(200, timeInStatus[match[1]]) : reply(404, { err: 'Task not found', ECODE: 'ITEM_013' });
+    }
+    if (method === 'GET' && (match = /^\/task\/([^/]+)$/.exec(route))) {
+      return tasksById[match[1]] ? reply(200, tasksById[match[1]]) : reply(404, { err: 'Task not found', ECODE: 'ITEM_013' });
+    }
+    if (method === 'POST' && (match = /^\/task\/([^/]+)\/comment$/.exec(route))) {
+      if (!tasksById[match[1]]) return reply(404, { err: 'Task not found', ECODE: 'ITEM_013' });
+      comments.push({ task_id: match[1], ...(body || {}) });
+      return reply(200, { id: String(comments.length), hist_id: String(comments.length), date: Date.now() });
+    }
+    return reply(404, { err: `Rota não simulada: ${method} ${route}` });
+  }
+
+  /**
+   * HTTP server on `port` (0 = any free port). Resolves with { server, url }
+   * where `url` is the API base to use as CLICKUP_API_BASE.
+   */
+  function listen(port = 0) {
+    const server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        let body = null;
+        try {
+          body = raw ? JSON.parse(raw) : null;
+        } catch (e) {
+          body = null;
+        }
+        const out = handle(req.method, req.url, req.headers, body);
+        res.writeHead(out.status, out.headers);
+        res.end(JSON.stringify(out.body));
+      });
+    });
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        resolve({ server, url: `http://127.0.0.1:${server.address().port}${API_PREFIX}` });
+      });
+    });
+  }
+
+  return { handle, listen, requests, comments };
+}
+
+module.exports = { API_PREFIX, PAGE_SIZE, readFixture, createMock };
@@ -0,0 +1,92 @@
+/**
+ * ClickUp Request Layer — Gestão de Edição
+ *
+ * Wraps ClickUp calls with retries: 429 waits for the rate-limit reset
+ * (X-RateLimit-Reset / Retry-After headers), 5xx and network errors back
+ * off exponentially. Counts requests, retries and rate limits for the
+ * report's `data_quality` section. Errors that survive the retries are
+ * thrown — callers decide what is unverified, nothing is assumed here.
+ *
+ * @module clickup-request
+ */
+
+const DEFAULTS = {
+  retries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+};
+
+function statusOf(error) {
+  return error.status || error.statusCode || (error.response && error.response.status) || null;
+}
+
+function headerOf(error, name) {
+  const headers = error.headers || (error.response && error.response.headers) || {};
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * Network errors (no status), 429 and 5xx are worth retrying; other 4xx are not.
+ */
+function isRetryable(status) {
+  return status === null || status === 429 || status >= 500;
+}
+
+/**
+ * Milliseconds to wait before the next attempt.
+ */
+function retryDelay(error, attempt, options) {
+  const reset = Number(headerOf(error, 'x-ratelimit-reset'));
+  if (reset > 0) {
+    // ClickUp sends the reset as a Unix timestamp in seconds
+    return Math.min(Math.max(reset * 1000 - Date.now(), 0) + 250, options.maxDelayMs);
+  }
+  const retryAfter = Number(headerOf(error, 'retry-after'));
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, options.maxDelayMs);
+  }
+  const backoff = options.baseDelayMs * 2 ** attempt;
+  return Math.min(backoff + Math.floor(Math.random() * options.baseDelayMs), options.maxDelayMs);
+}
+
+/**
+ * Create a requester. `stats` accumulates over every call.
+ *
+ * @param {{ retries?: number, baseDelayMs?: number, maxDelayMs?: number, sleep?: Function, log?: Function }} [opts]
+ */
+function createRequester(opts = {}) {
+  const options = { ...DEFAULTS, ...opts };
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const log = options.log || (msg => console.warn(msg));
+  const stats = { requests: 0, retries: 0, rate_limited: 0, failures: 0 };
+
+  /**
+   * Run `fn` (one ClickUp call) with retries. `label` names it in logs.
+   */
+  async function call(label, fn) {
+    for (let attempt = 0; ; attempt++) {
+      stats.requests++;
+      try {
+        return await fn();
+      } catch (error) {
+        const status = statusOf(error);
+        if (!isRetryable(status) || attempt >= options.retries) {
+          stats.failures++;
+          error.message = `${label}: ${error.message}`;
+          throw error;
+        }
+        if (status === 429) stats.rate_limited++;
+        stats.retries++;
+        const wait = retryDelay(error, attempt, options);
+        log(`[ClickUp] ${label}: ${status || 'erro de rede'} — nova tentativa ${attempt + 1}/${options.retries} em ${Math.round(wait / 1000)}s`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  return { call, stats };
+}
+
+module.exports = { createRequester, isRetryable, retryDelay };
@@ -0,0 +1,331 @@
+/**
+ * Escala Generator — Gestão de Edição
+ *
+ * Builds the day-off rotation (escala de folgas) of a month for the fixed
+ * team, following the rules of docs/capacidade-bonificacao-v17.html:
+ *   - each person gets FOLGAS_POR_SEMANA days off per week (Mon–Sun),
+ *     prorated for partial roster periods. A week that straddles two months
+ *     is planned as a whole: the days of the previous month come from its
+ *     escala (`opts.previous`; without it they are planned here too) and
+ *     the days of the next month are planned but not written, so the next
+ *     month finds what is still owed. Nobody loses a day off at the turn.
+ *   - at most MAX_FOLGAS_POR_DIA people off on the same day
+ *   - every day keeps at least the minimum coverage (COBERTURA, last level);
+ *     the higher levels are preferred when possible
+ *   - weekend days off are spread evenly across the team
+ *
+ * Output is the escala JSON read by the counter (meta_diaria) and the
+ * dashboard: { month, feriados, folgas: { date: [name, ...] } } plus the
+ * coverage of each day and the rules that could not be satisfied.
+ *
+ * @module escala
+ */
+
+const BonusRules = require('./bonus-rules');
+
+const FOLGAS_POR_SEMANA = 2;
+const MAX_FOLGAS_POR_DIA = 2;
+
+// Coverage levels, best first; the last one is the hard minimum
+const COBERTURA = [
+  { nivel: 'padrao', head: 1, revisor: 1, editor: 2 },
+  { nivel: 'sem_head', head: 0, revisor: 2, editor: 2 },
+  { nivel: 'minima', head: 0, revisor: 1, editor: 1 },
+];
+
+// Search budget per week before falling back to the greedy assignment
+const MAX_NODES = 200000;
+
+function isoDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * YYYY-MM of the month before `month`.
+ */
+function previousMonth(month) {
+  const [year, mon] = month.split('-').map(Number);
+  return mon === 1 ? `${year - 1}-12` : `${year}-${String(mon - 1).padStart(2, '0')}`;
+}
+
+/**
+ * The whole Mon–Sun week of `week` (days of one month), days of the
+ * neighbouring months flagged `outside`.
+ */
+function fullWeek(week) {
+  const [year, mon, day] = week[0].date.split('-').map(Number);
+  const monday = Date.UTC(year, mon - 1, day) - ((week[0].weekday + 6) % 7) * 86400000;
+  const inWeek = new Set(week.map(d => d.date));
+  return [...Array(7).keys()].map(i => {
+    const date = new Date(monday + i * 86400000).toISOString().slice(0, 10);
+    return { date, weekday: (i + 1) % 7, outside: !inWeek.has(date) };
+  });
+}
+
+/**
+ * Days of the month grouped in Mon–Sun weeks: [[{ date, weekday }], ...].
+ */
+function monthWeeks(month) {
+  const [year, mon] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+  const weeks = [];
+  let week = [];
+  for (let d = 1; d <= lastDay; d++) {
+    const weekday = new Date(Date.UTC(year, mon - 1, d)).getUTCDay();
+    if (weekday === 1 && week.length > 0) {
+      weeks.push(week);
+      week = [];
+    }
+    week.push({ date: isoDate(year, mon, d), weekday });
+  }
+  weeks.push(week);
+  return weeks;
+}
+
+/**
+ * Fixed-team members active in the month, from the roster (one entry per
+ * person; a person with several fixed periods keeps the widest range).
+ * The range is clipped to the Mon–Sun weeks that cover the month.
+ */
+function teamForMonth(roster, month) {
+  const weeks = monthWeeks(month);
+  const monthFirst = `${month}-01`;
+  const monthLast = weeks[weeks.length - 1].slice(-1)[0].date;
+  const first = fullWeek(weeks[0])[0].date;
+  const last = fullWeek(weeks[weeks.length - 1])[6].date;
+  const byId = {};
+  for (const m of roster.members) {
+    if (m.team !== 'fixed') continue;
+    if ((m.start && m.start > monthLast) || (m.end && m.end < monthFirst)) continue;
+    const prev = byId[String(m.id)];
+    const start = m.start && m.start > first ? m.start : first;
+    const end = m.end && m.end < last ? m.end : last;
+    byId[String(m.id)] = prev
+      ? { ...prev, role: m.role || prev.role, start: start < prev.start ? start : prev.start, end: end > prev.end ? end : prev.end }
+      : { id: m.id, name: m.name, role: m.role || 'editor', start, end };
+  }
+  return Object.values(byId);
+}
+
+/**
+ * Best coverage level met by the people working, or null below the minimum.
+ */
+function coverageLevel(working) {
+  const count = { head: 0, revisor: 0, editor: 0 };
+  working.forEach(p => { count[p.role] = (count[p.role] || 0) + 1; });
+  const level = COBERTURA.find(c => count.head >= c.head && count.revisor >= c.revisor && count.editor >= c.editor);
+  return { heads: count.head, revisores: count.revisor, editores: count.editor, nivel: level ? level.nivel : null };
+}
+
+function subsets(items, maxSize) {
+  const result = [[]];
+  for (let size = 1; size <= maxSize; size++) {
+    const build = (start, acc) => {
+      if (acc.length === size) {
+        result.push(acc);
+        return;
+      }
+      for (let i = start; i < items.length; i++) build(i + 1, acc.concat(items[i]));
+    };
+    build(0, []);
+  }
+  return result;
+}
+
+/**
+ * Assign the days off of one week. Depth-first over the days, trying the
+ * best-scored group of people off first. Returns { [date]: [person] } or
+ * null when no assignment meets every hard rule within the search budget.
+ * Days of another month (`outside`) go preferably to who has more days off
+ * in this month (`monthCount`), which evens out the monthly totals.
+ */
+function searchWeek(week, team, quota, weekendCount, monthCount) {
+  // Weekend days first, so they go to who had the fewest so far
+  const isWeekend = d => d.weekday === 0 || d.weekday === 6;
+  const days = week.filter(isWeekend).concat(week.filter(d => !isWeekend(d)));
+  const remaining = { ...quota };
+  const weekends = { ...weekendCount }; // including this week's, as they are assigned
+  const plan = {};
+  let nodes = 0;
+
+  const activeOn = date => team.filter(p => p.start <= date && date <= p.end);
+  const daysLeft = (person, from) => days.slice(from).filter(d => person.start <= d.date && d.date <= person.end).length;
+
+  function options(i) {
+    const day = days[i];
+    const active = activeOn(day.date);
+    const candidates = active.filter(p => remaining[p.id] > 0);
+    const weekend = isWeekend(day);
+    return subsets(candidates, MAX_FOLGAS_POR_DIA)
+      .map(off => {
+        const cov = coverageLevel(active.filter(p => !off.includes(p)));
+        if (!cov.nivel) return null;
+        // Lower is better: hand weekends to who had fewer, use the day's
+        // capacity while folgas are pending, keep the best coverage
+        let score = -off.length * 10 + COBERTURA.findIndex(c => c.nivel === cov.nivel) * 3;
+        off.forEach(p => {
+          score -= remaining[p.id] / Math.max(daysLeft(p, i), 1) * 4;
+          if (day.outside) score -= monthCount[p.id] * 20;
+          else if (weekend) score += weekends[p.id] * 20;
+        });
+        return { off, score };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.score - b.score);
+  }
+
+  function feasible(from) {
+    let pending = 0;
+    for (const p of team) {
+      if (remaining[p.id] > daysLeft(p, from)) return false;
+      pending += remaining[p.id];
+    }
+    return pending <= (days.length - from) * MAX_FOLGAS_POR_DIA;
+  }
+
+  function visit(i) {
+    if (++nodes > MAX_NODES) return false;
+    if (i === days.length) return team.every(p => remaining[p.id] === 0);
+    const weekend = isWeekend(days[i]) && !days[i].outside;
+    for (const { off } of options(i)) {
+      off.forEach(p => { remaining[p.id]--; if (weekend) weekends[p.id]++; });
+      plan[days[i].date] = off;
+      if (feasible(i + 1) && visit(i + 1)) return true;
+      off.forEach(p => { remaining[p.id]++; if (weekend) weekends[p.id]--; });
+    }
+    delete plan[days[i].date];
+    return false;
+  }
+
+  return visit(0) ? plan : null;
+}
+
+/**
+ * Fallback when the week has no full solution: give each day off where the
+ * hard rules still hold, and report the folgas that did not fit.
+ */
+function greedyWeek(days, team, quota, weekendCount, violations) {
+  const plan = {};
+  days.forEach(d => { plan[d.date] = []; });
+  const order = team.slice().sort((a, b) => quota[b.id] - quota[a.id]);
+
+  for (const person of order) {
+    let given = 0;
+    const choices = days
+      .filter(d => person.start <= d.date && d.date <= person.end)
+      .map(d => {
+        const weekend = !d.outside && (d.weekday === 0 || d.weekday === 6);
+        return { day: d, score: plan[d.date].length * 10 + (weekend ? weekendCount[person.id] * 20 : 0) };
+      })
+      .sort((a, b) => a.score - b.score);
+    for (const { day } of choices) {
+      if (given === quota[person.id]) break;
+      const off = plan[day.date];
+      if (off.length >= MAX_FOLGAS_POR_DIA) continue;
+      const working = team.filter(p => p.start <= day.date && day.date <= p.end && !off.includes(p) && p !== person);
+      if (!coverageLevel(working).nivel) continue;
+      off.push(person);
+      given++;
+    }
+    if (given < quota[person.id]) {
+      violations.push(`${person.name}: ${given} de ${quota[person.id]} folga(s) na semana de ${days[0].date} — sem dia com cobertura mínima livre`);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Generate the escala of a month.
+ *
+ * @param {string} month - YYYY-MM
+ * @param {{ members: Object[] }} roster - see BonusRules.validateRoster
+ * @param {{ feriados?: Object[], previous?: Object }} [opts] - extra holidays,
+ *   copied to the output; escala of the previous month, whose days off in
+ *   the week that straddles the turn of the month are kept
+ * @returns {{ month, generated_at, source, feriados, folgas, cobertura, equipe, violacoes }}
+ */
+function generateEscala(month, roster, opts = {}) {
+  const team = teamForMonth(roster, month);
+  const violations = [];
+  if (team.length === 0) {
+    throw new Error(`Nenhum membro do time fixo no roster em ${month}`);
+  }
+
+  const weekendCount = {};
+  const folgaCount = {};
+  team.forEach(p => { weekendCount[p.id] = 0; folgaCount[p.id] = 0; });
+
+  const folgas = {};
+  const cobertura = {};
+  const previous = opts.previous && opts.previous.folgas ? opts.previous.folgas : null;
+  for (const week of monthWeeks(month)) {
+    // The whole Mon–Sun week; partial roster periods get the whole days only
+    const whole = fullWeek(week);
+    const quota = {};
+    for (const p of team) {
+      const active = whole.filter(d => p.start <= d.date && d.date <= p.end).length;
+      quota[p.id] = Math.floor(FOLGAS_POR_SEMANA * active / 7);
+    }
+    // Days of the previous month already planned there: only what is left
+    let days = whole;
+    if (previous) {
+      const before = whole.filter(d => d.outside && d.date < week[0].date);
+      for (const d of before) {
+        for (const p of team) {
+          if ((previous[d.date] || []).some(entry => BonusRules.sameMember(entry, { clickup_id: p.id, name: p.name }))) {
+            quota[p.id] = Math.max(quota[p.id] - 1, 0);
+          }
+        }
+      }
+      days = whole.filter(d => !before.includes(d));
+    }
+
+    let plan = searchWeek(days, team, quota, weekendCount, folgaCount);
+    if (!plan) plan = greedyWeek(days, team, quota, weekendCount, violations);
+
+    for (const day of week) {
+      const off = plan[day.date] || [];
+      const active = team.filter(p => p.start <= day.date && day.date <= p.end);
+      const cov = coverageLevel(active.filter(p => !off.includes(p)));
+      if (!cov.nivel) {
+        violations.push(`${day.date}: cobertura abaixo do mínimo (${cov.heads}h ${cov.revisores}r ${cov.editores}e trabalhando)`);
+      }
+      cobertura[day.date] = cov;
+      if (off.length === 0) continue;
+      folgas[day.date] = off.map(p => p.name);
+      off.forEach(p => {
+        folgaCount[p.id]++;
+        if (day.weekday === 0 || day.weekday === 6) weekendCount[p.id]++;
+      });
+    }
+  }
+
+  const weekendValues = Object.values(weekendCount);
+  if (Math.max(...weekendValues) - Math.min(...weekendValues) > 1) {
+    violations.push(`folgas de fim de semana desiguais: ${team.map(p => `${p.name} ${weekendCount[p.id]}`).join(', ')}`);
+  }
+
+  return {
+    month,
+    generated_at: new Date().toISOString(),
+    source: 'scripts/lib/escala.js',
+    feriados: opts.feriados || [],
+    folgas,
+    cobertura,
+    equipe: team.map(p => ({
+      id: p.id, name: p.name, role: p.role, folgas: folgaCount[p.id], folgas_fds: weekendCount[p.id],
+    })),
+    violacoes: violations,
+  };
+}
+
+module.exports = {
+  FOLGAS_POR_SEMANA,
+  MAX_FOLGAS_POR_DIA,
+  COBERTURA,
+  previousMonth,
+  monthWeeks,
+  teamForMonth,
+  coverageLevel,
+  generateEscala,
+};
@@ -0,0 +1,298 @@
+/**
+ * Capacity Forecast — Gestão de Edição
+ *
+ * Reads the saved monthly reports (docs/reports/video-count-YYYY-MM.json)
+ * and turns what the team actually delivered into a plan for the next month:
+ *   - throughput per fixed-team editor (pontos per worked day) and per format
+ *   - demand per client code (CLIENT_CODE_MAP), projected with a weighted
+ *     average of the last months (recent months weigh more)
+ *   - how much of it the fixed team absorbs, how many freelancer days cover
+ *     the rest and which formats overflow
+ *
+ * The `simulador` section of the plan is what the Simulador tab of
+ * docs/capacidade-bonificacao-v17.html loads ("Carregar plano"): daily
+ * demand per format, fixed capacity and minutes per criativo measured from
+ * the reports, in the same 8h-day units the dashboard uses.
+ *
+ * Call BonusRules.usePolicy first: reports written before `tipo`/`cliente`
+ * were added to the tasks are classified again from the task name.
+ *
+ * @module forecast
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BonusRules = require('./bonus-rules');
+
+const HISTORY_MONTHS = 3;
+
+// Dashboard units: WH-hour day, freelancer day at 80% of a fixed editor
+const DAY_MINUTES = 8 * 60;
+const FREELA_FACTOR = 0.8;
+
+const REPORT_RE = /^video-count-(\d{4}-\d{2})\.json$/;
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Mon–Fri days of the month that are not national holidays.
+ */
+function businessDays(month) {
+  const [year, mon] = month.split('-').map(Number);
+  const holidays = BonusRules.brazilianHolidays(year);
+  const lastDay = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+  let count = 0;
+  for (let d = 1; d <= lastDay; d++) {
+    const date = `${month}-${String(d).padStart(2, '0')}`;
+    const weekday = new Date(Date.UTC(year, mon - 1, d)).getUTCDay();
+    if (weekday !== 0 && weekday !== 6 && !holidays[date]) count++;
+  }
+  return count;
+}
+
+/**
+ * Reports of the last `months` months before `month` found in `dir`.
+ * Reports generated before their month ended are partial and skipped.
+ * Returns { reports: [report], skipped: [{ month, reason }] }, oldest first.
+ */
+function loadHistory(month, { dir, months = HISTORY_MONTHS } = {}) {
+  const available = fs.existsSync(dir)
+    ? fs.readdirSync(dir).map(f => REPORT_RE.exec(f)).filter(Boolean).map(m => m[1]).filter(m => m < month).sort()
+    : [];
+  const reports = [];
+  const skipped = [];
+  for (const m of available.reverse()) {
+    if (reports.length === months) break;
+    const report = JSON.parse(fs.readFileSync(path.join(dir, `video-count-${m}.json`), 'utf8'));
+    if (new Date(report.metadata.generated_at).getTime() <= BonusRules.getMonthRange(m).end) {
+      skipped.push({ month: m, reason: `relatório parcial (gerado em ${report.metadata.generated_at.slice(0, 10)})` });
+      continue;
+    }
+    reports.unshift(report);
+  }
+  return { reports, skipped };
+}
+
+/**
+ * One month of history: tasks (deduplicated across split editors) and the
+ * worked days of each editor.
+ */
+function monthStats(report) {
+  // Reports before explicit splits divided every task equally
+  const share = t => (t.share !== undefined ? t.share : 1 / (t.split || 1));
+  const tasks = {};
+  const editors = [];
+  const metaEditors = (report.meta_diaria && report.meta_diaria.editors) || [];
+
+  for (const e of report.editors) {
+    for (const t of e.tasks || []) {
+      const task = tasks[t.task_id] || (tasks[t.task_id] = {
+        task_id: t.task_id,
+        pontos: t.pts,
+        tipo: t.tipo || BonusRules.identifyProjectType({ name: t.name }),
+        cliente: t.cliente !== undefined ? t.cliente : BonusRules.clientCode({ name: t.name }),
+        fixo: 0,
+      });
+      if (e.team === 'fixed') task.fixo += share(t);
+    }
+
+    // Business days worked (meta diária) when the report has them, else days with output
+    const meta = metaEditors.find(m => String(m.id) === String(e.id) && (!m.period || !e.period || m.period.start === e.period.start));
+    const dias = meta ? meta.dias_trabalhados : Object.keys(e.daily || {}).length;
+    const formatos = {};
+    (e.tasks || []).forEach(t => {
+      const tipo = tasks[t.task_id].tipo;
+      formatos[tipo] = (formatos[tipo] || 0) + share(t);
+    });
+    editors.push({ id: e.id, name: e.name, team: e.team, role: e.role || null, pontos: e.totals.pontos, criativos: e.totals.raw_count, dias, formatos });
+  }
+
+  const diasUteis = report.meta_diaria ? report.meta_diaria.dias_uteis : businessDays(report.metadata.month);
+  return { month: report.metadata.month, dias_uteis: diasUteis, tasks: Object.values(tasks), editors };
+}
+
+/**
+ * Weighted average of per-month values (missing months count as 0).
+ * Weights 1..n, oldest to newest.
+ */
+function weighted(values) {
+  let sum = 0;
+  let weights = 0;
+  values.forEach((v, i) => {
+    sum += (v || 0) * (i + 1);
+    weights += i + 1;
+  });
+  return weights ? sum / weights : 0;
+}
+
+/**
+ * Build the capacity plan of `month` from the history reports.
+ *
+ * @param {string} month - YYYY-MM being planned
+ * @param {Object[]} reports - counter reports, oldest first (see loadHistory)
+ * @returns {Object} plan (see module doc)
+ */
+function buildForecast(month, reports) {
+  if (reports.length === 0) {
+    throw new Error(`Nenhum relatório completo antes de ${month} para a previsão`);
+  }
+  const { WEIGHT_MAP } = BonusRules.config();
+  const history = reports.map(monthStats);
+  const diasUteis = businessDays(month);
+
+  const sum = list => list.reduce((a, v) => a + (v || 0), 0);
+
+  // ── Throughput per editor ──
+  const byEditor = {};
+  history.forEach((h, i) => {
+    for (const e of h.editors) {
+      const key = `${e.team}:${e.id}`;
+      const acc = byEditor[key] || (byEditor[key] = {
+        id: e.id, name: e.name, team: e.team, role: e.role, meses: 0,
+        pontos: [], criativos: [], dias: [], ocupacao: [], formatos: {},
+      });
+      acc.meses++;
+      acc.pontos[i] = (acc.pontos[i] || 0) + e.pontos;
+      acc.criativos[i] = (acc.criativos[i] || 0) + e.criativos;
+      acc.dias[i] = (acc.dias[i] || 0) + e.dias;
+      acc.ocupacao[i] = (acc.dias[i] || 0) / h.dias_uteis;
+      Object.entries(e.formatos).forEach(([tipo, n]) => { acc.formatos[tipo] = (acc.formatos[tipo] || 0) + n; });
+    }
+  });
+
+  const editors = Object.values(byEditor).map(acc => {
+    const dias = sum(acc.dias);
+    return {
+      id: acc.id,
+      name: acc.name,
+      team: acc.team,
+      role: acc.role,
+      meses: acc.meses,
+      pontos_mes: round1(sum(acc.pontos) / acc.meses),
+      criativos_mes: round1(sum(acc.criativos) / acc.meses),
+      dias_mes: round1(dias / acc.meses),
+      pontos_por_dia: dias ? round1(sum(acc.pontos) / dias) : 0,
+      criativos_por_dia: dias ? round1(sum(acc.criativos) / dias) : 0,
+      formatos: Object.fromEntries(Object.entries(acc.formatos).map(([t, n]) => [t, round1(n / acc.meses)])),
+      // Only who was on the fixed team in the latest month is planned
+      ativo: acc.team === 'fixed' && acc.pontos[history.length - 1] !== undefined,
+      ocupacao: acc.ocupacao,
+    };
+  });
+
+  const rate = team => {
+    const accs = Object.values(byEditor).filter(acc => acc.team === team);
+    const dias = sum(accs.map(acc => sum(acc.dias)));
+    return dias ? sum(accs.map(acc => sum(acc.pontos))) / dias : 0;
+  };
+  const fixed = editors.filter(e => e.team === 'fixed');
+  const teamRate = rate('fixed');
+  const freelaRate = rate('freela') || teamRate * FREELA_FACTOR;
+
+  // ── Fixed capacity in the planned month ──
+  const capacidade = fixed.filter(e => e.ativo).map(e => {
+    // Share of the business days this person works (folgas, partial periods)
+    const ocupacao = Math.min(weighted(e.ocupacao.filter(v => v !== undefined)), 1);
+    const dias = Math.round(ocupacao * diasUteis);
+    const perDay = e.pontos_por_dia || teamRate;
+    return { id: e.id, name: e.name, role: e.role, dias, pontos_por_dia: perDay, pontos: round1(perDay * dias) };
+  });
+  const fixoPontos = sum(capacidade.map(c => c.pontos));
+
+  // ── Demand per format and per client code ──
+  const demandMap = {};
+  const formatMap = {};
+  history.forEach((h, i) => {
+    for (const t of h.tasks) {
+      const key = `${t.cliente || ''}|${t.tipo}`;
+      const d = demandMap[key] || (demandMap[key] = { cliente: t.cliente, tipo: t.tipo, criativos: [], pontos: [] });
+      d.criativos[i] = (d.criativos[i] || 0) + 1;
+      d.pontos[i] = (d.pontos[i] || 0) + t.pontos;
+      const f = formatMap[t.tipo] || (formatMap[t.tipo] = { tipo: t.tipo, criativos: [], pontos: [], fixo: 0, total: 0 });
+      f.criativos[i] = (f.criativos[i] || 0) + 1;
+      f.pontos[i] = (f.pontos[i] || 0) + t.pontos;
+      f.fixo += t.pontos * t.fixo;
+      f.total += t.pontos;
+    }
+  });
+  const fill = list => history.map((_, i) => list[i] || 0);
+
+  const demanda = Object.values(demandMap).map(d => ({
+    cliente: d.cliente,
+    tipo: d.tipo,
+    historico: fill(d.criativos),
+    criativos: round1(weighted(fill(d.criativos))),
+    pontos: round1(weighted(fill(d.pontos))),
+  })).sort((a, b) => b.pontos - a.pontos);
+
+  const minutesPerPonto = teamRate ? DAY_MINUTES / teamRate : null;
+  const formatos = Object.values(formatMap).map(f => ({
+    tipo: f.tipo,
+    historico: fill(f.criativos),
+    criativos: round1(weighted(fill(f.criativos))),
+    pontos: round1(weighted(fill(f.pontos))),
+    fixo_pct: f.total ? Math.round(f.fixo / f.total * 100) : 0,
+    minutos_por_criativo: minutesPerPonto && WEIGHT_MAP[f.tipo] ? Math.round(WEIGHT_MAP[f.tipo] * minutesPerPonto) : null,
+  })).sort((a, b) => b.fixo_pct - a.fixo_pct || b.pontos - a.pontos);
+
+  // ── Who absorbs what: the fixed team takes the formats it usually does first ──
+  let restante = fixoPontos;
+  const sobrecarga = [];
+  for (const f of formatos) {
+    const absorvido = Math.min(restante, f.pontos);
+    restante -= absorvido;
+    if (f.pontos - absorvido > 0.05) {
+      const excedente = f.pontos - absorvido;
+      sobrecarga.push({
+        tipo: f.tipo,
+        pontos: round1(excedente),
+        criativos: round1(excedente / (f.pontos / f.criativos)),
+        clientes: demanda.filter(d => d.tipo === f.tipo && d.pontos > 0).map(d => d.cliente || '(sem código)'),
+      });
+    }
+  }
+
+  const demandaPontos = sum(demanda.map(d => d.pontos));
+  const excedente = Math.max(0, demandaPontos - fixoPontos);
+  const freelaDiasNecessarios = freelaRate ? Math.ceil(excedente / freelaRate) : 0;
+
+  return {
+    month,
+    generated_at: new Date().toISOString(),
+    source: 'scripts/lib/forecast.js',
+    historico: history.map(h => h.month),
+    dias_uteis: diasUteis,
+    throughput: {
+      pontos_por_dia_fixo: round1(teamRate),
+      pontos_por_dia_freela: round1(freelaRate),
+      editores: editors.map(({ ocupacao, ...e }) => e),
+      formatos,
+    },
+    demanda,
+    capacidade: {
+      fixo_pontos: round1(fixoPontos),
+      demanda_pontos: round1(demandaPontos),
+      absorve_pct: demandaPontos ? Math.min(100, Math.round(fixoPontos / demandaPontos * 100)) : 100,
+      utilizacao_pct: fixoPontos ? Math.round(demandaPontos / fixoPontos * 100) : null,
+      excedente_pontos: round1(excedente),
+      freela_dias: freelaDiasNecessarios,
+      freelas_por_dia: Math.ceil(freelaDiasNecessarios / diasUteis),
+      equipe: capacidade.map(c => ({ ...c, pontos_por_dia: round1(c.pontos_por_dia) })),
+      sobrecarga,
+    },
+    // Daily numbers for the dashboard Simulador
+    simulador: {
+      projects: formatos
+        .filter(f => WEIGHT_MAP[f.tipo])
+        .map(f => ({ formatId: f.tipo, qty: round1(f.criativos / diasUteis) }))
+        .filter(p => p.qty > 0),
+      freelasD: Math.ceil(freelaDiasNecessarios / diasUteis),
+      fixoMin: minutesPerPonto ? Math.round(fixoPontos / diasUteis * minutesPerPonto) : null,
+      timeMin: Object.fromEntries(formatos.filter(f => f.minutos_por_criativo).map(f => [f.tipo, f.minutos_por_criativo])),
+    },
+  };
+}
+
+module.exports = { HISTORY_MONTHS, businessDays, loadHistory, buildForecast };
@@ -0,0 +1,342 @@
+/**
+ * Freela Billing — Gestão de Edição
+ *
+ * What each freelancer is owed for a month and whether their invoice
+ * matches it. Rates come from the report (see BonusRules.freelaRate:
+ * roster rates of the freelancer, then the policy's freelaPerFormat and
+ * freelaPerTask); the invoice is the freelancer's own CSV, reconciled line
+ * by line against their ClickUp tasks (Fila de Edição FREELAS and any
+ * other list they worked in) before payment.
+ *
+ * Invoice CSV: header row plus one line per criativo, `;` or `,` separated.
+ * Columns are found by name (accents and case ignored):
+ *   task | task_id | id | tarefa | link   ClickUp task ID or URL, or the [nº] of the name
+ *   descricao | nome | criativo | item    task name (used when there is no task column)
+ *   valor | preco | total                 R$ (1.234,56 or 1234.56)
+ *   data                                  optional, kept as-is
+ *
+ * Reconciled invoices are saved under docs/reports/faturas/YYYY-MM/<id>.json;
+ * a task billed in an earlier month's invoice is flagged as duplicated.
+ *
+ * @module freela-billing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BonusRules = require('./bonus-rules');
+const { REPORTS_DIR } = require('./month-close');
+
+const INVOICES_DIR = path.join(REPORTS_DIR, 'faturas');
+
+// Invoice line outcomes; `bloqueia` holds the payment until someone reviews it
+const STATUSES = {
+  ok: { bloqueia: false, label: 'confere' },
+  abaixo: { bloqueia: false, label: 'cobrado abaixo do calculado' },
+  acima: { bloqueia: true, label: 'cobrado acima do calculado' },
+  duplicado: { bloqueia: true, label: 'task cobrada mais de uma vez' },
+  outro_editor: { bloqueia: true, label: 'task de outro editor' },
+  nao_encontrado: { bloqueia: true, label: 'task não encontrada no ClickUp no mês' },
+  sem_tarifa: { bloqueia: true, label: 'task sem tarifa na política nem no roster' },
+};
+
+const COLUMNS = {
+  ref: ['task', 'task_id', 'id', 'tarefa', 'link', 'url'],
+  descricao: ['descricao', 'nome', 'criativo', 'item'],
+  valor: ['valor', 'valor (r$)', 'preco', 'total'],
+  data: ['data'],
+};
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function normalize(text) {
+  return String(text || '').normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// ─── Invoice CSV ─────────────────────────────────────────────────────────────
+
+/**
+ * Split CSV text into rows (quoted fields, "" escapes, CRLF).
+ */
+function csvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; } else if (c === '"') { quoted = false; } else { cell += c; }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+/**
+ * "R$ 1.234,56" / "1.500" / "1234.56" / "140" → number. A "." followed by
+ * exactly three digits is a thousands separator (pt-BR); anything that
+ * does not read one way only ("1,500.00", "1.5000") is NaN.
+ */
+function parseValor(text) {
+  const s = String(text || '').replace(/R\$/i, '').replace(/\s/g, '');
+  if (/^-?(\d{1,3}(\.\d{3})+|\d+),\d+$/.test(s)) return Number(s.replace(/\./g, '').replace(',', '.'));
+  if (/^-?\d{1,3}(\.\d{3})+$/.test(s)) return Number(s.replace(/\./g, ''));
+  if (/^-?\d+(\.\d{1,2})?$/.test(s)) return Number(s);
+  return NaN;
+}
+
+/**
+ * Parse a freelancer's invoice.
+ *
+ * @returns {{ items: { linha, ref, descricao, valor, data }[], errors: string[] }}
+ */
+function parseInvoice(text) {
+  const clean = String(text).replace(/^\uFEFF/, '');
+  const firstLine = clean.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const [header, ...rows] = csvRows(clean, delimiter);
+  if (!header) return { items: [], errors: ['Fatura vazia'] };
+
+  const names = header.map(normalize);
+  const col = {};
+  for (const [key, aliases] of Object.entries(COLUMNS)) {
+    const i = names.findIndex(n => aliases.includes(n));
+    if (i >= 0) col[key] = i;
+  }
+  const errors = [];
+  if (col.valor === undefined) errors.push(`Coluna de valor não encontrada (use ${COLUMNS.valor.join(', ')})`);
+  if (col.ref === undefined && col.descricao === undefined) {
+    errors.push(`Coluna da task não encontrada (use ${COLUMNS.ref.concat(COLUMNS.descricao).join(', ')})`);
+  }
+  if (errors.length > 0) return { items: [], errors };
+
+  const items = [];
+  rows.forEach((row, i) => {
+    const linha = i + 2; // 1-based, after the header
+    const cell = key => (col[key] !== undefined ? String(row[col[key]] || '').trim() : '');
+    const valor = parseValor(cell('valor'));
+    if (isNaN(valor)) {
+      errors.push(`Linha ${linha}: valor inválido "${cell('valor')}"`);
+      return;
+    }
+    items.push({ linha, ref: cell('ref'), descricao: cell('descricao'), valor: round2(valor), data: cell('data') || null });
+  });
+  return { items, errors };
+}
+
+// ─── Reconciliation ──────────────────────────────────────────────────────────
+
+/**
+ * Freelancer of the report by ClickUp ID or name (several periods: the
+ * last one).
+ */
+function findFreela(report, editor) {
+  const needle = normalize(editor);
+  const freelas = report.editors.filter(e => e.team === 'freela');
+  const match = freelas.filter(e => String(e.id) === String(editor)).pop() ||
+    freelas.filter(e => normalize(e.name) === needle).pop() ||
+    freelas.filter(e => normalize(e.name).split(' ')[0] === needle).pop();
+  if (!match) {
+    throw new Error(`Freela "${editor}" não aparece no relatório de ${report.metadata.month} (freelas: ${freelas.map(e => e.name).join(', ') || 'nenhum'})`);
+  }
+  return match;
+}
+
+/**
+ * Lines a freelancer should bill: one per task, with the rate applied.
+ */
+function freelaStatement(editor) {
+  const tasks = editor.tasks || [];
+  const lines = tasks.map(t => ({
+    task_id: t.task_id,
+    descricao: t.name,
+    data: t.primeira_edicao || '',
+    tipo: t.tipo,
+    pontos: t.pts,
+    share: t.share,
+    tarifa: t.tarifa ? t.tarifa.valor : null,
+    fonte: t.tarifa ? t.tarifa.fonte : null,
+    valor: (t.valores && t.valores.freela) || 0,
+  }));
+  return {
+    id: editor.id,
+    name: editor.name,
+    lines,
+    sem_tarifa: lines.filter(l => l.tarifa === null).length,
+    total: round2(lines.reduce((a, l) => a + l.valor, 0)),
+  };
+}
+
+/**
+ * Task IDs billed by `editorId` in the invoices saved for months before
+ * `month` (dir: docs/reports/faturas/).
+ *
+ * @returns {Object} task id -> month
+ */
+function billedBefore(month, editorId, dir = INVOICES_DIR) {
+  const billed = {};
+  if (!fs.existsSync(dir)) return billed;
+  for (const m of fs.readdirSync(dir).filter(d => /^\d{4}-\d{2}$/.test(d) && d < month).sort()) {
+    const file = path.join(dir, m, `${editorId}.json`);
+    if (!fs.existsSync(file)) continue;
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    (saved.items || []).filter(i => i.task_id && ['ok', 'abaixo', 'acima'].includes(i.status)).forEach(i => { billed[i.task_id] = m; });
+  }
+  return billed;
+}
+
+/**
+ * Task of the month an invoice line refers to: ClickUp ID (or URL), the
+ * [nº] at the start of the task name, or the exact task name.
+ */
+function matchTask(item, byId, byNumber, byName) {
+  const ref = item.ref.replace(/^.*\/t\//, '').replace(/^#/, '').trim();
+  if (ref && byId[ref]) return byId[ref];
+  const number = (/^\[?(\d+)\]?$/.exec(ref) || /^\[(\d+)\]/.exec(item.descricao) || [])[1];
+  if (number && byNumber[number]) return byNumber[number];
+  const name = normalize(item.descricao || item.ref);
+  return (name && byName[name]) || null;
+}
+
+/**
+ * Reconcile an invoice against the report.
+ *
+ * @param {Object} report - counter report of the month
+ * @param {Object} editor - freelancer entry of the report (findFreela)
+ * @param {Object[]} items - parseInvoice(...).items
+ * @param {{ billedBefore?: Object, readErrors?: string[] }} [opts]
+ *   billedBefore = task id -> month billed in earlier invoices;
+ *   readErrors = parseInvoice(...).errors (lines that could not be read block payment)
+ * @returns {{ month, editor, items, nao_cobradas, erros_de_leitura, totals, pendencias, pode_pagar }}
+ */
+function reconcileInvoice(report, editor, items, opts = {}) {
+  const earlier = opts.billedBefore || {};
+  const readErrors = opts.readErrors || [];
+  const byId = {};
+  const byNumber = {};
+  const byName = {};
+  for (const e of report.editors) {
+    for (const t of e.tasks || []) {
+      const entry = byId[t.task_id] || (byId[t.task_id] = { task: t, editors: [] });
+      entry.editors.push(e);
+      const number = /^\[(\d+)\]/.exec(t.name || '');
+      if (number) byNumber[number[1]] = entry;
+      byName[normalize(t.name)] = entry;
+    }
+  }
+
+  const own = new Set((editor.tasks || []).map(t => t.task_id));
+  const seen = {};
+  const result = items.map(item => {
+    const match = matchTask(item, byId, byNumber, byName);
+    const line = {
+      linha: item.linha,
+      ref: item.ref,
+      descricao: item.descricao,
+      data: item.data,
+      valor_cobrado: item.valor,
+      task_id: match ? match.task.task_id : null,
+      task_name: match ? match.task.name : null,
+      valor_calculado: null,
+      status: 'nao_encontrado',
+      detalhe: null,
+    };
+    if (!match) return line;
+
+    const task = (editor.tasks || []).find(t => t.task_id === line.task_id);
+    if (!own.has(line.task_id)) {
+      line.status = 'outro_editor';
+      line.detalhe = match.editors.map(e => e.name).join(', ');
+    } else if (seen[line.task_id]) {
+      line.status = 'duplicado';
+      line.detalhe = `também na linha ${seen[line.task_id]}`;
+    } else if (earlier[line.task_id]) {
+      line.status = 'duplicado';
+      line.detalhe = `já cobrada na fatura de ${earlier[line.task_id]}`;
+    } else if (!task.tarifa) {
+      line.status = 'sem_tarifa';
+      line.detalhe = `${task.tipo}, ${task.pts} pts`;
+    } else {
+      line.valor_calculado = (task.valores && task.valores.freela) || 0;
+      const diff = round2(line.valor_cobrado - line.valor_calculado);
+      line.status = diff > 0 ? 'acima' : diff < 0 ? 'abaixo' : 'ok';
+      if (diff !== 0) line.detalhe = `${diff > 0 ? '+' : ''}${diff} — ${BonusRules.FREELA_RATE_SOURCES[task.tarifa.fonte]}: R$ ${task.tarifa.valor}${task.share < 1 ? ` × ${task.share}` : ''}`;
+    }
+    if (!seen[line.task_id]) seen[line.task_id] = line.linha;
+    return line;
+  });
+
+  const billed = new Set(result.map(l => l.task_id).filter(Boolean));
+  const naoCobradas = (editor.tasks || []).filter(t => !billed.has(t.task_id)).map(t => ({
+    task_id: t.task_id,
+    task_name: t.name,
+    data: t.primeira_edicao,
+    valor: (t.valores && t.valores.freela) || 0,
+  }));
+  const pendencias = result.filter(l => STATUSES[l.status].bloqueia);
+  // Lines that check out (or billed below the rate) are paid as billed; the rest waits for review
+  const aPagar = result
+    .filter(l => !STATUSES[l.status].bloqueia)
+    .reduce((a, l) => a + l.valor_cobrado, 0);
+
+  return {
+    month: report.metadata.month,
+    editor: { id: editor.id, name: editor.name },
+    items: result,
+    nao_cobradas: naoCobradas,
+    erros_de_leitura: readErrors,
+    totals: {
+      cobrado: round2(result.reduce((a, l) => a + l.valor_cobrado, 0)),
+      calculado: freelaStatement(editor).total,
+      a_pagar: round2(aPagar),
+      pendente: round2(pendencias.reduce((a, l) => a + l.valor_cobrado, 0)),
+    },
+    pendencias: pendencias.length,
+    pode_pagar: pendencias.length === 0 && readErrors.length === 0,
+  };
+}
+
+function invoiceFile(month, editorId, dir = INVOICES_DIR) {
+  return path.join(dir, month, `${editorId}.json`);
+}
+
+/**
+ * Save a reconciliation (replaces the previous one of the same freelancer
+ * and month).
+ */
+function saveReconciliation(reconciliation, source, dir = INVOICES_DIR) {
+  const file = invoiceFile(reconciliation.month, reconciliation.editor.id, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...reconciliation, source, reconciled_at: new Date().toISOString() }, null, 2) + '\n');
+  return file;
+}
+
+module.exports = {
+  INVOICES_DIR,
+  STATUSES,
+  parseInvoice,
+  findFreela,
+  freelaStatement,
+  billedBefore,
+  reconcileInvoice,
+  invoiceFile,
+  saveReconciliation,
+};
@@ -0,0 +1,185 @@
+/**
+ * Apps Script Sandbox — Gestão de Edição
+ *
+ * Runs scripts/google-apps-script/video-counter.gs (with the files pasted
+ * next to it in the Apps Script project: bonus-rules, report-store,
+ * policies, roster, escalas) in a Node `vm` context with in-memory stubs of
+ * the services it uses. UrlFetchApp.fetch is answered synchronously by
+ * `fetch(url, options)` — typically ClickUpMock.handle.
+ *
+ * Stubs keep the limits that matter for the code under test: Script
+ * Properties reject values over 9 KB and writes past 500 KB in total,
+ * Utilities.formatDate honours the script time zone.
+ *
+ * @module gas-sandbox
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const PROPERTY_VALUE_LIMIT = 9 * 1024;
+const PROPERTY_STORE_LIMIT = 500 * 1024;
+
+// Files of the Apps Script project, in paste order
+const PROJECT_FILES = [
+  'scripts/lib/bonus-rules.js',
+  'scripts/lib/report-store.js',
+  'scripts/google-apps-script/video-counter.gs',
+];
+
+function blob(bytes) {
+  const buffer = Buffer.from(bytes);
+  return {
+    getBytes: () => [...buffer],
+    getDataAsString: () => buffer.toString('utf8'),
+  };
+}
+
+/**
+ * yyyy, MM, dd, HH, mm, ss in `timeZone` (the subset the scripts use).
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return pattern
+    .replace('yyyy', parts.year).replace('MM', parts.month).replace('dd', parts.day)
+    .replace('HH', parts.hour).replace('mm', parts.minute).replace('ss', parts.second);
+}
+
+/**
+ * Script Properties: in memory, values over PROPERTY_VALUE_LIMIT and
+ * writes that take the store (keys + values) past PROPERTY_STORE_LIMIT
+ * rejected like Apps Script does.
+ */
+function propertiesStub(initial) {
+  const values = new Map(Object.entries(initial || {}));
+  const size = (key, text) => Buffer.byteLength(key, 'utf8') + Buffer.byteLength(text, 'utf8');
+  const used = () => [...values].reduce((sum, [k, v]) => sum + size(k, v), 0);
+  return {
+    values,
+    getProperty: key => (values.has(key) ? values.get(key) : null),
+    setProperty(key, value) {
+      const text = String(value);
+      if (Buffer.byteLength(text, 'utf8') > PROPERTY_VALUE_LIMIT) {
+        throw new Error(`Argument too large: value (${key})`);
+      }
+      const replaced = values.has(key) ? size(key, values.get(key)) : 0;
+      if (used() - replaced + size(key, text) > PROPERTY_STORE_LIMIT) {
+        throw new Error('You have exceeded the property storage quota. Please remove some properties and try again.');
+      }
+      values.set(key, text);
+    },
+    deleteProperty: key => { values.delete(key); },
+    getKeys: () => [...values.keys()],
+  };
+}
+
+function driveStub() {
+  const files = new Map();
+  function file(name) {
+    return {
+      getBlob: () => blob(Buffer.from(files.get(name), 'utf8')),
+      setContent: content => { files.set(name, content); },
+    };
+  }
+  return {
+    files,
+    getFilesByName(name) {
+      let done = !files.has(name);
+      return { hasNext: () => !done, next: () => { done = true; return file(name); } };
+    },
+    createFile(name, content) {
+      files.set(name, content);
+      return file(name);
+    },
+  };
+}
+
+/**
+ * @param {Object} opts
+ * @param {Function} opts.fetch - (url, options) -> { status, headers, body }
+ * @param {Object} [opts.properties] - initial Script Properties
+ * @param {string} [opts.timeZone] - script time zone (default America/Sao_Paulo)
+ * @param {string} [opts.userEmail] - Session.getActiveUser().getEmail()
+ * @param {Object} [opts.globals] - extra project files as values: BONUS_POLICIES, ROSTER, ESCALAS
+ * @returns {{ call: Function, properties: Object, drive: Object, logs: string[] }}
+ */
+function createSandbox(opts) {
+  const timeZone = opts.timeZone || 'America/Sao_Paulo';
+  const properties = propertiesStub(opts.properties);
+  const drive = driveStub();
+  const cache = new Map();
+  const logs = [];
+
+  const context = {
+    console,
+    Logger: { log: msg => { logs.push(String(msg)); } },
+    PropertiesService: { getScriptProperties: () => properties },
+    CacheService: {
+      getScriptCache: () => ({ get: key => (cache.has(key) ? cache.get(key) : null), put: (key, value) => { cache.set(key, String(value)); } }),
+    },
+    Session: {
+      getScriptTimeZone: () => timeZone,
+      getActiveUser: () => ({ getEmail: () => opts.userEmail || '' }),
+    },
+    Utilities: {
+      formatDate,
+      sleep: () => {},
+      newBlob: data => blob(typeof data === 'string' ? Buffer.from(data, 'utf8') : data),
+      gzip: b => blob(zlib.gzipSync(Buffer.from(b.getBytes()))),
+      ungzip: b => blob(zlib.gunzipSync(Buffer.from(b.getBytes()))),
+      base64Encode: bytes => Buffer.from(bytes).toString('base64'),
+      base64Decode: text => [...Buffer.from(text, 'base64')],
+    },
+    UrlFetchApp: {
+      fetch(url, options) {
+        const out = opts.fetch(url, options || {});
+        const text = JSON.stringify(out.body);
+        return {
+          getResponseCode: () => out.status,
+          getContentText: () => text,
+          getHeaders: () => out.headers || {},
+        };
+      },
+    },
+    ContentService: {
+      MimeType: { JSON: 'application/json' },
+      createTextOutput: () => ({
+        content: '',
+        setMimeType() { return this; },
+        setContent(content) { this.content = content; return this; },
+        getContent() { return this.content; },
+      }),
+    },
+    DriveApp: drive,
+    MimeType: { PLAIN_TEXT: 'text/plain' },
+  };
+  vm.createContext(context);
+
+  // Project files as Apps Script sees them: one shared global scope
+  const declarations = Object.entries(opts.globals || {})
+    .map(([name, value]) => `const ${name} = ${JSON.stringify(value)};`).join('\n');
+  if (declarations) vm.runInContext(declarations, context, { filename: 'globals.gs' });
+  for (const file of PROJECT_FILES) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+
+  /**
+   * Call a top-level function of the project; the result is copied out of
+   * the sandbox as plain JSON.
+   */
+  function call(name, ...args) {
+    context.__args = JSON.parse(JSON.stringify(args));
+    const result = vm.runInContext(`${name}.apply(null, __args)`, context);
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  }
+
+  return { call, properties, drive, logs };
+}
+
+module.exports = { PROJECT_FILES, PROPERTY_VALUE_LIMIT, PROPERTY_STORE_LIMIT, formatDate, propertiesStub, createSandbox };
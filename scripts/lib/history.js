@@ -0,0 +1,61 @@
+/**
+ * Report History — Gestão de Edição
+ *
+ * Index of every month counted (docs/reports/history.json): per-editor
+ * pontos, rank, bonus and goal attainment plus totals per team, one entry
+ * per month (see BonusRules.historyEntry). Updated whenever the counter
+ * saves or closes a month; `history --rebuild` rebuilds it from the saved
+ * reports. Read by the trends view of docs/widget-contagem.html.
+ *
+ * @module history
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BonusRules = require('./bonus-rules');
+const { REPORTS_DIR } = require('./month-close');
+
+const HISTORY_FILE = path.join(REPORTS_DIR, 'history.json');
+const REPORT_RE = /^video-count-(\d{4}-\d{2})\.json$/;
+
+function readHistory(file = HISTORY_FILE) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { updated_at: null, months: [] };
+}
+
+function writeHistory(history, file) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(file, JSON.stringify(history, null, 2) + '\n');
+  return history;
+}
+
+/**
+ * Add (or replace) the month of a report in the history file.
+ */
+function recordReport(report, file = HISTORY_FILE) {
+  return writeHistory(BonusRules.mergeHistory(readHistory(file), BonusRules.historyEntry(report)), file);
+}
+
+/**
+ * Rebuild the history from every video-count-YYYY-MM.json in `dir`.
+ */
+function rebuildHistory({ dir = REPORTS_DIR, file = HISTORY_FILE } = {}) {
+  let history = { updated_at: null, months: [] };
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => REPORT_RE.test(f)).sort() : [];
+  for (const f of files) {
+    const report = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+    history = BonusRules.mergeHistory(history, BonusRules.historyEntry(report));
+  }
+  return writeHistory(history, file);
+}
+
+/**
+ * The last `count` months of the history, oldest first.
+ */
+function lastMonths(history, count = 12) {
+  return history.months.slice(-count);
+}
+
+module.exports = { HISTORY_FILE, readHistory, recordReport, rebuildHistory, lastMonths };
@@ -0,0 +1,347 @@
+/**
+ * Month Close — Gestão de Edição
+ *
+ * Freezes a paid month: the report, the ClickUp snapshot, roster and escala
+ * it was computed from and the policy version are recorded in a lock file
+ * with content hashes. The roster and escala are copied next to the
+ * snapshot, so a closed month can be recomputed from its own files
+ * (--from-snapshot, --roster, --escala) after the live ones change. Closed months are never overwritten; late corrections become
+ * attributed adjustments carried into the next open month. Every action
+ * is appended to a hash-chained audit log.
+ *
+ * Layout (under docs/reports/):
+ *   closed/YYYY-MM/lock.json          lock + hashes
+ *   closed/YYYY-MM/snapshot.json      ClickUp input of the closed report
+ *   closed/YYYY-MM/roster.json        roster used (when there was one)
+ *   closed/YYYY-MM/escala.json        escala used (when there was one)
+ *   closed/YYYY-MM/rerun-<stamp>.json later runs, as a diff vs the closed report
+ *   closed/audit-log.jsonl            append-only, hash-chained
+ *   adjustments/YYYY-MM.json          adjustments paid in YYYY-MM
+ *
+ * @module month-close
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BonusRules = require('./bonus-rules');
+const { writeSnapshot } = require('./snapshot');
+
+const REPORTS_DIR = path.resolve(__dirname, '..', '..', 'docs', 'reports');
+const CLOSED_DIR = path.join(REPORTS_DIR, 'closed');
+const ADJUSTMENTS_DIR = path.join(REPORTS_DIR, 'adjustments');
+const AUDIT_LOG = path.join(CLOSED_DIR, 'audit-log.jsonl');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function nextMonth(month) {
+  const [y, m] = month.split('-').map(Number);
+  return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+}
+
+function reportFile(month) {
+  return path.join(REPORTS_DIR, `video-count-${month}.json`);
+}
+
+function lockFile(month) {
+  return path.join(CLOSED_DIR, month, 'lock.json');
+}
+
+// ─── Audit Log ───────────────────────────────────────────────────────────────
+
+function lastAuditHash() {
+  if (!fs.existsSync(AUDIT_LOG)) return null;
+  const lines = fs.readFileSync(AUDIT_LOG, 'utf8').trim().split('\n').filter(Boolean);
+  return lines.length > 0 ? JSON.parse(lines[lines.length - 1]).hash : null;
+}
+
+/**
+ * Append an entry to the audit log. Each entry carries the hash of the
+ * previous one, so editing or removing a line breaks the chain.
+ */
+function appendAudit(action, month, by, details) {
+  ensureDir(CLOSED_DIR);
+  const entry = { at: new Date().toISOString(), action, month, by, details, prev: lastAuditHash() };
+  entry.hash = sha256(JSON.stringify(entry));
+  fs.appendFileSync(AUDIT_LOG, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+/**
+ * Check the audit log chain. Returns a list of error strings.
+ */
+function verifyAuditLog() {
+  if (!fs.existsSync(AUDIT_LOG)) return [];
+  const errors = [];
+  let prev = null;
+  fs.readFileSync(AUDIT_LOG, 'utf8').trim().split('\n').filter(Boolean).forEach((line, i) => {
+    const { hash, ...entry } = JSON.parse(line);
+    if (entry.prev !== prev) errors.push(`linha ${i + 1}: encadeamento quebrado`);
+    if (sha256(JSON.stringify(entry)) !== hash) errors.push(`linha ${i + 1}: hash não confere`);
+    prev = hash;
+  });
+  return errors;
+}
+
+/**
+ * Throw when the audit log chain is broken: nothing is appended to a log
+ * that no longer proves its own history.
+ */
+function assertAuditLog() {
+  const errors = verifyAuditLog();
+  if (errors.length > 0) {
+    throw new Error(`Log de auditoria adulterado (${AUDIT_LOG}):\n  ${errors.join('\n  ')}\nRestaure o arquivo do backup antes de fechar ou ajustar meses`);
+  }
+}
+
+// ─── Lock ────────────────────────────────────────────────────────────────────
+
+/**
+ * Lock of a closed month, or null when the month is open.
+ */
+function readLock(month) {
+  const file = lockFile(month);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Months with a lock, oldest first.
+ */
+function closedMonths() {
+  if (!fs.existsSync(CLOSED_DIR)) return [];
+  return fs.readdirSync(CLOSED_DIR).filter(m => /^\d{4}-\d{2}$/.test(m) && fs.existsSync(lockFile(m))).sort();
+}
+
+// Files hashed in the lock, with the error when one no longer matches
+const LOCKED_FILES = {
+  report: 'Relatório de %s foi alterado',
+  snapshot: 'Snapshot de %s foi alterado',
+  roster: 'Roster de %s foi alterado',
+  escala: 'Escala de %s foi alterada',
+};
+
+/**
+ * Throw when a file of a closed month (report, snapshot, roster, escala)
+ * no longer matches its lock. Locks written before roster and escala were
+ * copied only hash the report and snapshot.
+ */
+function verifyClosedReport(month) {
+  const lock = readLock(month);
+  if (!lock) return null;
+  for (const [key, changed] of Object.entries(LOCKED_FILES)) {
+    const entry = lock[key];
+    if (!entry) continue;
+    const file = path.resolve(REPORTS_DIR, entry.file);
+    if (!fs.existsSync(file) || sha256(fs.readFileSync(file)) !== entry.sha256) {
+      throw new Error(`${changed.replace('%s', month)} após o fechamento (hash não confere com ${lockFile(month)})`);
+    }
+  }
+  return lock;
+}
+
+/**
+ * Write a JSON input of the close into the month directory; its
+ * { file, sha256 } for the lock, or null when there is none.
+ */
+function writeLockedJson(dir, name, data) {
+  if (!data) return null;
+  const file = path.join(dir, name);
+  const content = JSON.stringify(data, null, 2) + '\n';
+  fs.writeFileSync(file, content);
+  return { file: path.relative(REPORTS_DIR, file), sha256: sha256(content) };
+}
+
+/**
+ * Close a month: write snapshot, roster, escala, report and lock, and log
+ * the action.
+ *
+ * @param {{ report: Object, snapshot: Object, roster: Object|null, escala: Object|null, by: string }} data
+ *   snapshot = { list, tasks, statusByTask } as used to build the report
+ */
+function closeMonth(month, { report, snapshot, roster, escala, by }) {
+  if (readLock(month)) {
+    throw new Error(`${month} já está fechado (${lockFile(month)})`);
+  }
+  assertAuditLog();
+  const dir = path.join(CLOSED_DIR, month);
+  ensureDir(dir);
+
+  const snapshotPath = path.join(dir, 'snapshot.json');
+  const snap = writeSnapshot(snapshotPath, { month, ...snapshot });
+  const rosterEntry = writeLockedJson(dir, 'roster.json', roster);
+  const escalaEntry = writeLockedJson(dir, 'escala.json', escala);
+
+  const closedAt = new Date().toISOString();
+  report.metadata.closed = { at: closedAt, by };
+  const reportContent = JSON.stringify(report, null, 2);
+  fs.writeFileSync(reportFile(month), reportContent);
+
+  const lock = {
+    month,
+    closed_at: closedAt,
+    closed_by: by,
+    policy: report.metadata.policy,
+    report: { file: path.relative(REPORTS_DIR, reportFile(month)), sha256: sha256(reportContent) },
+    snapshot: { file: path.relative(REPORTS_DIR, snapshotPath), sha256: sha256(fs.readFileSync(snapshotPath)), fetched_at: snap.fetched_at },
+    roster: rosterEntry,
+    escala: escalaEntry,
+    totals: {
+      pontos: report.summary.total_pontos,
+      bonus: report.editors.reduce((a, e) => a + (e.bonus.total || e.bonus.freelaTotal || 0), 0),
+    },
+  };
+  fs.writeFileSync(lockFile(month), JSON.stringify(lock, null, 2));
+  appendAudit('close', month, by, {
+    report_sha256: lock.report.sha256,
+    snapshot_sha256: lock.snapshot.sha256,
+    roster_sha256: rosterEntry && rosterEntry.sha256,
+    escala_sha256: escalaEntry && escalaEntry.sha256,
+    policy: lock.policy,
+  });
+  return lock;
+}
+
+/**
+ * Record a later run of a closed month as a diff; the closed report stays.
+ */
+function recordRerun(month, report, by) {
+  const lock = verifyClosedReport(month);
+  assertAuditLog();
+  const closed = JSON.parse(fs.readFileSync(reportFile(month), 'utf8'));
+  const diff = BonusRules.diffReports(closed, report);
+  const file = path.join(CLOSED_DIR, month, `rerun-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(file, JSON.stringify({ month, closed_sha256: lock.report.sha256, generated_at: report.metadata.generated_at, diff, report }, null, 2));
+  appendAudit('rerun', month, by, { file: path.relative(REPORTS_DIR, file), editors_changed: diff.editors.length });
+  return { file, diff };
+}
+
+// ─── Adjustments ─────────────────────────────────────────────────────────────
+
+function adjustmentsFile(month) {
+  return path.join(ADJUSTMENTS_DIR, `${month}.json`);
+}
+
+/**
+ * Adjustments paid in `month` (carried from earlier closed months).
+ */
+function loadAdjustments(month) {
+  const file = adjustmentsFile(month);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+/**
+ * Register a late adjustment for a closed month. It is paid in the first
+ * open month after it. Returns the stored entry.
+ */
+function addAdjustment(origin, { editor, valor, motivo, taskId, by }) {
+  const lock = verifyClosedReport(origin);
+  if (!lock) {
+    throw new Error(`${origin} não está fechado — corrija o ClickUp e rode o contador de novo`);
+  }
+  if (!motivo) throw new Error('Ajuste precisa de --motivo');
+  assertAuditLog();
+  if (typeof valor !== 'number' || !isFinite(valor) || valor === 0) {
+    throw new Error(`Valor de ajuste inválido: ${valor}`);
+  }
+
+  const closed = JSON.parse(fs.readFileSync(reportFile(origin), 'utf8'));
+  const needle = String(editor).toLowerCase();
+  const match = closed.editors.find(e => String(e.id) === String(editor)) ||
+    closed.editors.find(e => e.name.toLowerCase() === needle);
+  if (!match) {
+    throw new Error(`Editor "${editor}" não aparece no relatório fechado de ${origin}`);
+  }
+
+  let target = nextMonth(origin);
+  while (readLock(target)) target = nextMonth(target);
+
+  const entries = loadAdjustments(target);
+  const entry = {
+    id: `${origin}-${String(entries.filter(a => a.origin_month === origin).length + 1).padStart(3, '0')}`,
+    origin_month: origin,
+    applies_to: target,
+    editor_id: match.id,
+    editor_name: match.name,
+    team: match.team,
+    valor: Math.round(valor * 100) / 100,
+    motivo,
+    task_id: taskId || null,
+    created_by: by,
+    created_at: new Date().toISOString(),
+  };
+  entries.push(entry);
+  ensureDir(ADJUSTMENTS_DIR);
+  fs.writeFileSync(adjustmentsFile(target), JSON.stringify(entries, null, 2));
+  appendAudit('adjust', origin, by, entry);
+  return entry;
+}
+
+/**
+ * Editor entry for an adjustment whose editor has no tasks in the report
+ * (e.g. a freelancer paid late who did not work this month).
+ */
+function adjustmentOnlyEditor(adj) {
+  return {
+    id: adj.editor_id,
+    name: adj.editor_name,
+    team: adj.team,
+    role: null,
+    totals: { raw_count: 0, pontos: 0 },
+    daily: {},
+    bonus: adj.team === 'freela'
+      ? { freelaTotal: 0, sem_tarifa: 0, provisional: false, tasks: [] }
+      : { productivity: 0, turbo: 0, turbo_days: 0, turbinho: 0, turbinho_count: 0, fds: 0, total: 0 },
+    tasks: [],
+    somente_ajustes: true,
+  };
+}
+
+/**
+ * Add carried adjustments to a report: `report.adjustments` plus
+ * `bonus.ajustes` on the editor (last period when there are several).
+ * Editors without tasks in the month get an entry of their own, so the
+ * adjustment is in every total built from `editors`.
+ */
+function applyAdjustments(report, adjustments) {
+  report.adjustments = adjustments;
+  for (const adj of adjustments) {
+    let editor = report.editors.filter(e => String(e.id) === String(adj.editor_id)).pop();
+    if (!editor) {
+      editor = adjustmentOnlyEditor(adj);
+      report.editors.push(editor);
+    }
+    editor.bonus.ajustes = Math.round(((editor.bonus.ajustes || 0) + adj.valor) * 100) / 100;
+    if (editor.team === 'freela') {
+      editor.bonus.freelaTotal = Math.round(((editor.bonus.freelaTotal || 0) + adj.valor) * 100) / 100;
+    } else {
+      editor.bonus.total = Math.round(((editor.bonus.total || 0) + adj.valor) * 100) / 100;
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  REPORTS_DIR,
+  CLOSED_DIR,
+  sha256,
+  nextMonth,
+  readLock,
+  closedMonths,
+  verifyClosedReport,
+  closeMonth,
+  recordRerun,
+  appendAudit,
+  verifyAuditLog,
+  assertAuditLog,
+  loadAdjustments,
+  addAdjustment,
+  applyAdjustments,
+};
@@ -0,0 +1,258 @@
+/**
+ * Notifier — Gestão de Edição
+ *
+ * Sends the counter results to where the editors already are, so nobody
+ * has to open the ClickUp embed to know where they stand:
+ *   - daily summary: each editor's pontos of the day vs metaDiaria and
+ *     their TURBO tasks, plus the month ranking so far
+ *   - month summary: final ranking and bonus breakdown (sent on close)
+ *
+ * Transports (comma-separated in --notify or NOTIFY_TRANSPORTS):
+ *   slack    Slack incoming webhook      NOTIFY_SLACK_WEBHOOK
+ *   gchat    Google Chat webhook         NOTIFY_GCHAT_WEBHOOK
+ *   email    SMTP                        SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS,
+ *                                        NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO (comma-separated);
+ *                                        SMTP_ALLOW_INSECURE_AUTH=1 to log in without TLS
+ *   clickup  comment on a ClickUp task   NOTIFY_CLICKUP_TASK
+ *   file     dry-run: one .txt per message in docs/reports/notificacoes/
+ *
+ * @module notifier
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BonusRules = require('./bonus-rules');
+const { REPORTS_DIR } = require('./month-close');
+const { sendMail } = require('./smtp');
+
+const TRANSPORTS = ['slack', 'gchat', 'email', 'clickup', 'file'];
+const DEFAULT_OUT_DIR = path.join(REPORTS_DIR, 'notificacoes');
+
+const MONTHS_BR = ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'];
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+function brDate(date) {
+  return `${date.slice(8, 10)}/${date.slice(5, 7)}/${date.slice(0, 4)}`;
+}
+
+function monthLabel(month) {
+  const [y, m] = month.split('-').map(Number);
+  return `${MONTHS_BR[m - 1]}/${y}`;
+}
+
+function money(value) {
+  return `R$ ${(Math.round((value || 0) * 100) / 100).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function firstName(name) {
+  return String(name).split(' ')[0];
+}
+
+function rankingLines(fixed) {
+  return fixed.map(e => {
+    // Ties and tie-breaks: say which rule decided the position
+    const rule = e.ranking && !['pontos', 'pontos_por_dia'].includes(e.ranking.criterio)
+      ? ` (${BonusRules.RANKING_LABELS[e.ranking.criterio]})`
+      : '';
+    return `${MEDALS[e.rank] || `${e.rank}º`} ${e.name}: ${e.totals.pontos} pts${rule}`;
+  });
+}
+
+// ─── Templates ───────────────────────────────────────────────────────────────
+
+/**
+ * Daily summary of `date` (YYYY-MM-DD, inside the report's month).
+ *
+ * @returns {{ kind: 'diario', subject: string, text: string }}
+ */
+function dailySummary(report, date) {
+  const meta = report.metadata.meta_diaria;
+  const fixed = report.editors.filter(e => e.team === 'fixed' && e.rank).sort((a, b) => a.rank - b.rank);
+  const metaByName = {};
+  ((report.meta_diaria && report.meta_diaria.editors) || []).forEach(m => { metaByName[m.name] = m; });
+
+  const lines = [`📊 *Contagem do dia ${brDate(date)}* — meta ${meta} pts/dia`, ''];
+  for (const e of report.editors.filter(x => x.team === 'fixed')) {
+    const pts = e.daily[date] || 0;
+    const m = metaByName[e.name];
+    const workday = m && (m.dias_batidos.includes(date) || m.dias_perdidos.some(d => d.date === date));
+    let status;
+    if (pts >= meta) status = `✅ ${pts} pts — meta batida`;
+    else if (workday) status = `❌ ${pts} pts — faltaram ${Math.round((meta - pts) * 100) / 100}`;
+    else if (pts > 0) status = `➖ ${pts} pts (sem meta no dia: folga, feriado ou fim de semana)`;
+    else continue;
+
+    const turboDay = (e.bonus.turbo_dates || []).some(d => d.date === date);
+    const turboTasks = (e.tasks || []).filter(t => t.is_turbo && t.primeira_edicao === date);
+    lines.push(`*${e.name}*: ${status}${turboDay ? ' · ⚡ dia TURBO' : ''}`);
+    turboTasks.forEach(t => lines.push(`    ⚡ ${t.name} (${t.pts} pts)`));
+  }
+
+  const others = report.editors.filter(e => e.team !== 'fixed' && (e.daily[date] || 0) > 0);
+  if (others.length > 0) {
+    lines.push('', `Freelas / IA: ${others.map(e => `${firstName(e.name)} ${e.daily[date]} pts`).join(', ')}`);
+  }
+  if (lines.length === 2) {
+    lines.push('Nenhum ponto registrado no dia.');
+  }
+
+  lines.push('', `*Ranking de ${monthLabel(report.metadata.month)} até agora* (${report.summary.total_pontos} pts no total):`);
+  lines.push(...rankingLines(fixed));
+
+  return { kind: 'diario', subject: `Contagem de pontos — ${brDate(date)}`, text: lines.join('\n') };
+}
+
+/**
+ * Month-end summary: final ranking and bonus breakdown.
+ *
+ * @returns {{ kind: 'mensal', subject: string, text: string }}
+ */
+function monthSummary(report) {
+  const month = report.metadata.month;
+  const fixed = report.editors.filter(e => e.team === 'fixed' && e.rank).sort((a, b) => a.rank - b.rank);
+  const freelas = report.editors.filter(e => e.team === 'freela');
+  const provisional = report.data_quality && !report.data_quality.complete;
+
+  const lines = [`🏁 *Fechamento de ${monthLabel(month)}*${report.metadata.closed ? ` — fechado por ${report.metadata.closed.by}` : ''}`, ''];
+  lines.push('*Ranking final*');
+  lines.push(...rankingLines(fixed));
+
+  lines.push('', '*Bônus do time fixo*');
+  let total = 0;
+  // Unranked: no tasks this month, only adjustments carried from closed months
+  const paid = fixed.concat(report.editors.filter(e => e.team === 'fixed' && !e.rank && e.bonus.ajustes));
+  for (const e of paid) {
+    const b = e.bonus;
+    const parts = [['produtividade', b.productivity], ['TURBO', b.turbo], ['Turbinho', b.turbinho], ['FDS', b.fds], ['ajustes', b.ajustes]]
+      .filter(([, v]) => v)
+      .map(([label, v]) => `${label} ${money(v)}`);
+    lines.push(`• ${e.name}: *${money(b.total)}*${parts.length > 0 ? ` (${parts.join(' + ')})` : ''}`);
+    total += b.total || 0;
+  }
+
+  if (freelas.length > 0) {
+    lines.push('', '*Freelas*');
+    for (const e of freelas) {
+      lines.push(`• ${e.name}: ${e.totals.pontos} pts · *${money(e.bonus.freelaTotal)}*${e.bonus.sem_tarifa > 0 ? ` (⚠️ ${e.bonus.sem_tarifa} sem tarifa)` : ''}`);
+      total += e.bonus.freelaTotal || 0;
+    }
+  }
+
+  const others = report.editors.filter(e => e.team !== 'fixed' && e.team !== 'freela' && e.bonus.ajustes);
+  if (others.length > 0) {
+    lines.push('', '*Ajustes de meses fechados*');
+    for (const e of others) {
+      lines.push(`• ${e.name}: *${money(e.bonus.ajustes)}*`);
+      total += e.bonus.ajustes;
+    }
+  }
+
+  lines.push('', `Total: ${report.summary.total_pontos} pts · ${money(total)} em bônus`);
+  if (provisional) {
+    lines.push(`⚠️ Dados incompletos — bônus provisórios: ${report.data_quality.provisional_editors.join(', ')}`);
+  }
+
+  return { kind: 'mensal', subject: `Fechamento de pontos — ${monthLabel(month)}`, text: lines.join('\n') };
+}
+
+// ─── Transports ──────────────────────────────────────────────────────────────
+
+// Slack and Google Chat use *bold*; e-mail and ClickUp get plain text
+function plain(text) {
+  return text.replace(/\*([^*\n]+)\*/g, '$1');
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${await response.text()}`);
+  }
+}
+
+function required(env, names, transport) {
+  const missing = names.filter(n => !env[n]);
+  if (missing.length > 0) {
+    throw new Error(`Transporte ${transport}: defina ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Build the transports named in `names` from the environment.
+ * Each transport is { name, send(message) }; the file transport's send
+ * resolves with the file written.
+ *
+ * @param {string[]} names
+ * @param {{ env?: Object, outDir?: string, postComment?: Function }} [opts]
+ *   postComment(taskId, text) is required for the clickup transport
+ */
+function createTransports(names, opts = {}) {
+  const env = opts.env || process.env;
+  const invalid = names.filter(n => !TRANSPORTS.includes(n));
+  if (invalid.length > 0) {
+    throw new Error(`Transporte inválido: ${invalid.join(', ')} (use ${TRANSPORTS.join(', ')})`);
+  }
+
+  return names.map(name => {
+    switch (name) {
+      case 'slack':
+        required(env, ['NOTIFY_SLACK_WEBHOOK'], name);
+        return { name, send: msg => postJson(env.NOTIFY_SLACK_WEBHOOK, { text: msg.text }) };
+      case 'gchat':
+        required(env, ['NOTIFY_GCHAT_WEBHOOK'], name);
+        return { name, send: msg => postJson(env.NOTIFY_GCHAT_WEBHOOK, { text: msg.text }) };
+      case 'email':
+        required(env, ['SMTP_HOST', 'NOTIFY_EMAIL_FROM', 'NOTIFY_EMAIL_TO'], name);
+        return {
+          name,
+          send: msg => sendMail(
+            { host: env.SMTP_HOST, port: env.SMTP_PORT, user: env.SMTP_USER, pass: env.SMTP_PASS, allowInsecureAuth: env.SMTP_ALLOW_INSECURE_AUTH === '1' },
+            { from: env.NOTIFY_EMAIL_FROM, to: env.NOTIFY_EMAIL_TO.split(',').map(s => s.trim()), subject: msg.subject, text: plain(msg.text) },
+          ),
+        };
+      case 'clickup':
+        required(env, ['NOTIFY_CLICKUP_TASK'], name);
+        return { name, send: async msg => { await opts.postComment(env.NOTIFY_CLICKUP_TASK, plain(msg.text)); } };
+      case 'file': {
+        const dir = opts.outDir || DEFAULT_OUT_DIR;
+        return {
+          name,
+          send: async msg => {
+            if (!fs.existsSync(dir)) {
+              fs.mkdirSync(dir, { recursive: true });
+            }
+            const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${msg.kind}.txt`);
+            fs.writeFileSync(file, `Assunto: ${msg.subject}\n\n${msg.text}\n`);
+            return file;
+          },
+        };
+      }
+    }
+  });
+}
+
+/**
+ * Send every message through every transport. A failing transport does not
+ * stop the others; results are returned for logging.
+ *
+ * @returns {Promise<{ transport, kind, ok, error?, file? }[]>}
+ */
+async function notify(messages, transports) {
+  const results = [];
+  for (const msg of messages) {
+    for (const t of transports) {
+      try {
+        const file = await t.send(msg);
+        results.push({ transport: t.name, kind: msg.kind, ok: true, file });
+      } catch (error) {
+        results.push({ transport: t.name, kind: msg.kind, ok: false, error: error.message });
+      }
+    }
+  }
+  return results;
+}
+
+module.exports = { TRANSPORTS, DEFAULT_OUT_DIR, dailySummary, monthSummary, createTransports, notify };
@@ -0,0 +1,316 @@
+/**
+ * Payroll Export — Gestão de Edição
+ *
+ * Turns a counter report (docs/reports/video-count-YYYY-MM.json) into the
+ * month closing package: one statement per editor, each line traceable to
+ * a ClickUp task, written as a consolidated CSV/XLSX and per-editor PDFs.
+ *
+ * @module payroll
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeXlsx } = require('./xlsx');
+const { createPdf } = require('./pdf');
+
+const TEAM_LABELS = { fixed: 'Time Fixo', freela: 'Freela', ia: 'Time IA' };
+
+const money = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function slugify(name) {
+  return String(name)
+    .normalize('NFD').replace(/[̀-ͯ]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// ─── Statements ──────────────────────────────────────────────────────────────
+
+function taskLine(tipo, task, valor) {
+  return {
+    tipo,
+    task_id: task.task_id,
+    descricao: task.name,
+    data: task.primeira_edicao || '',
+    pontos: task.pts,
+    valor: round2(valor),
+  };
+}
+
+/**
+ * Build one statement per paid editor (fixed team and freelancers).
+ */
+function buildStatements(report) {
+  const statements = [];
+
+  for (const e of report.editors) {
+    if (e.team !== 'fixed' && e.team !== 'freela') continue;
+    const tasks = e.tasks || [];
+    const bonus = e.bonus || {};
+    const lines = [];
+
+    if (e.team === 'fixed') {
+      if (bonus.productivity > 0) {
+        lines.push({
+          tipo: 'Produtividade',
+          task_id: '',
+          descricao: `${e.rank}º lugar no ranking (${e.totals.pontos} pts)${e.ranking && e.ranking.premio_dividido ? ', empate: prêmio dividido' : ''}`,
+          data: '',
+          pontos: e.totals.pontos,
+          valor: bonus.productivity,
+        });
+      }
+
+      const turboTasks = tasks.filter(t => t.valores && t.valores.turbo > 0);
+      if (turboTasks.length > 0) {
+        turboTasks.forEach(t => lines.push(taskLine('TURBO', t, t.valores.turbo)));
+      } else if (bonus.turbo > 0) {
+        // Threshold mode: TURBO is per day, traced to the tasks of that day
+        const dates = bonus.turbo_dates || [];
+        for (const day of dates) {
+          const ids = tasks.filter(t => t.primeira_edicao === day.date).map(t => t.task_id);
+          lines.push({
+            tipo: 'TURBO',
+            task_id: ids.join(' '),
+            descricao: `Dia TURBO (${day.pontos} pts)`,
+            data: day.date,
+            pontos: day.pontos,
+            valor: round2(bonus.turbo / dates.length),
+          });
+        }
+      }
+
+      tasks.filter(t => t.valores && t.valores.turbinho > 0)
+        .forEach(t => lines.push(taskLine('Turbinho', t, t.valores.turbinho)));
+      tasks.filter(t => t.valores && t.valores.fds > 0)
+        .forEach(t => lines.push(taskLine('FDS/Feriado', t, t.valores.fds)));
+    } else {
+      tasks.forEach(t => lines.push(taskLine('Criativo', t, (t.valores && t.valores.freela) || 0)));
+    }
+
+    statements.push({
+      id: e.id,
+      name: e.name,
+      team: e.team,
+      role: e.role || null,
+      period: e.period || null,
+      rank: e.rank || null,
+      pontos: e.totals.pontos,
+      criativos: e.totals.raw_count,
+      lines,
+      // Report data was incomplete for this editor (see report.data_quality)
+      provisional: !!bonus.provisional,
+      expected: e.team === 'fixed' ? bonus.total || 0 : bonus.freelaTotal || 0,
+    });
+  }
+
+  // Adjustments carried from closed months (see month-close.js)
+  for (const adj of report.adjustments || []) {
+    let st = statements.filter(s => String(s.id) === String(adj.editor_id)).pop();
+    if (!st) {
+      st = {
+        id: adj.editor_id, name: adj.editor_name, team: adj.team, role: null, period: null, rank: null,
+        pontos: 0, criativos: 0, lines: [], provisional: false, expected: 0,
+      };
+      statements.push(st);
+      st.expected += adj.valor;
+    }
+    st.lines.push({
+      tipo: 'Ajuste',
+      task_id: adj.task_id || '',
+      descricao: `${adj.id}: ${adj.motivo} (por ${adj.created_by})`,
+      data: adj.created_at.slice(0, 10),
+      pontos: '',
+      valor: adj.valor,
+    });
+  }
+
+  for (const st of statements) {
+    st.total = round2(st.lines.reduce((a, l) => a + l.valor, 0));
+    // false when line items do not add up to the report bonus
+    st.confere = Math.abs(st.total - st.expected) < 0.01;
+    delete st.expected;
+  }
+
+  return statements;
+}
+
+// ─── Writers ─────────────────────────────────────────────────────────────────
+
+const LINE_HEADER = ['Mês', 'Editor', 'ID ClickUp (editor)', 'Time', 'Tipo', 'Task ID', 'Descrição', 'Primeira Edição', 'Pontos', 'Valor (R$)'];
+
+function lineRows(month, statements) {
+  const rows = [];
+  for (const st of statements) {
+    for (const l of st.lines) {
+      rows.push([month, st.name, st.id == null ? '' : String(st.id), TEAM_LABELS[st.team], l.tipo, l.task_id, l.descricao, l.data, l.pontos, l.valor]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * One CSV cell. Numbers get the decimal comma; text that Excel/Sheets would
+ * read as a formula (task names come from ClickUp: "=HYPERLINK(...)",
+ * "-1+1") is prefixed with ' and kept as text.
+ */
+function csvCell(value) {
+  if (typeof value === 'number') return String(value).replace('.', ',');
+  let s = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[;"\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Consolidated CSV (";" separator, decimal comma, UTF-8 BOM for Excel pt-BR).
+ */
+function writeCsv(file, month, statements) {
+  const rows = [LINE_HEADER, ...lineRows(month, statements)];
+  fs.writeFileSync(file, '\uFEFF' + rows.map(r => r.map(csvCell).join(';')).join('\r\n') + '\r\n');
+}
+
+/**
+ * Cost per creative by client, format and campaign (report `clientes`);
+ * closed-month adjustments are not attributed to clients.
+ */
+function clientRows(clientes) {
+  const rows = [['Cliente', 'Formato', 'Campanha', 'Criativos', 'Pontos', '% com ajuste', 'Bônus (R$)', 'Freelas (R$)', 'Custo total (R$)', 'Custo por criativo (R$)']];
+  const row = (c, cliente, tipo, campanha) => [
+    cliente, tipo, campanha, c.criativos, c.pontos, c.com_ajuste_pct, c.bonus, c.custo_freela, c.custo_total, c.custo_por_criativo,
+  ];
+  clientes.por_cliente.forEach(c => rows.push(row(c, c.cliente || '(sem código)', '', '')));
+  clientes.por_tipo.forEach(c => rows.push(row(c, '', c.tipo, '')));
+  clientes.por_campanha.forEach(c => rows.push(row(c, c.cliente || '(sem código)', '', c.campanha || '(sem campanha)')));
+  rows.push(row(clientes.total, 'Total', '', ''));
+  return rows;
+}
+
+function writeWorkbook(file, month, statements, clientes) {
+  const summary = [['Editor', 'Time', 'Função', 'Ranking', 'Criativos', 'Pontos', 'Produtividade', 'TURBO', 'Turbinho', 'FDS/Feriado', 'Freela', 'Ajustes', 'Total (R$)', 'Confere', 'Provisório']];
+  for (const st of statements) {
+    const sum = tipo => round2(st.lines.filter(l => l.tipo === tipo).reduce((a, l) => a + l.valor, 0));
+    summary.push([
+      st.name, TEAM_LABELS[st.team], st.role || '', st.rank || '', st.criativos, st.pontos,
+      sum('Produtividade'), sum('TURBO'), sum('Turbinho'), sum('FDS/Feriado'), sum('Criativo'), sum('Ajuste'),
+      st.total, st.confere ? 'sim' : 'NÃO', st.provisional ? 'SIM' : 'não',
+    ]);
+  }
+  const sheets = [
+    { name: `Resumo ${month}`, rows: summary },
+    { name: 'Lançamentos', rows: [LINE_HEADER, ...lineRows(month, statements)] },
+  ];
+  if (clientes) {
+    sheets.push({ name: 'Clientes', rows: clientRows(clientes) });
+  }
+  writeXlsx(file, sheets);
+}
+
+/**
+ * Per-editor PDF statement.
+ */
+function writeStatementPdf(file, month, st, report) {
+  const doc = createPdf();
+  const truncate = (s, n) => (s.length > n ? s.slice(0, n - 1) + '…' : s);
+  let y = 50;
+
+  doc.text(40, y, 'AllFluence — Extrato de Bonificação', { size: 16, bold: true });
+  y += 22;
+  doc.text(40, y, `Mês: ${month}`, { size: 10 });
+  doc.text(300, y, `Gerado em: ${new Date().toISOString().slice(0, 10)}`, { size: 10 });
+  y += 24;
+  doc.text(40, y, st.name, { size: 13, bold: true });
+  y += 16;
+  const rank = st.rank ? ` · ${st.rank}º no ranking` : '';
+  doc.text(40, y, `${TEAM_LABELS[st.team]}${st.role ? ` · ${st.role}` : ''} · ${st.criativos} criativos · ${st.pontos} pontos${rank}`, { size: 10 });
+  if (st.period) {
+    y += 14;
+    doc.text(40, y, `Período no time: ${st.period.start || 'início'} a ${st.period.end || 'atual'}`, { size: 10 });
+  }
+  y += 24;
+
+  const header = () => {
+    doc.text(40, y, 'Tipo', { size: 9, bold: true });
+    doc.text(115, y, 'Task ID', { size: 9, bold: true });
+    doc.text(195, y, 'Descrição', { size: 9, bold: true });
+    doc.text(440, y, 'Data', { size: 9, bold: true });
+    doc.text(500, y, 'Valor', { size: 9, bold: true });
+    y += 6;
+    doc.line(40, y, 555, y);
+    y += 12;
+  };
+  header();
+
+  for (const l of st.lines) {
+    if (y > 790) {
+      doc.addPage();
+      y = 50;
+      header();
+    }
+    doc.text(40, y, l.tipo, { size: 8 });
+    doc.text(115, y, truncate(l.task_id || '—', 14), { size: 8 });
+    doc.text(195, y, truncate(l.descricao || '', 50), { size: 8 });
+    doc.text(440, y, l.data || '', { size: 8 });
+    doc.text(500, y, money.format(l.valor), { size: 8 });
+    y += 13;
+  }
+
+  y += 4;
+  doc.line(40, y, 555, y);
+  y += 16;
+  doc.text(40, y, 'Total', { size: 11, bold: true });
+  doc.text(500, y, money.format(st.total), { size: 11, bold: true });
+  if (!st.confere) {
+    y += 18;
+    doc.text(40, y, 'Atenção: lançamentos não conferem com o total do relatório.', { size: 9, bold: true });
+  }
+  if (st.provisional) {
+    y += 18;
+    doc.text(40, y, 'PROVISÓRIO: dados do ClickUp incompletos na geração do relatório — valores sujeitos a revisão.', { size: 9, bold: true });
+  }
+  y += 24;
+  const policy = report.metadata.policy;
+  doc.text(40, y, `Relatório gerado em ${report.metadata.generated_at}${policy ? ` · política ${policy.version}` : ''}`, { size: 8 });
+  doc.text(40, y + 12, 'Cada lançamento com Task ID abre em https://app.clickup.com/t/<task_id>', { size: 8 });
+
+  doc.save(file);
+}
+
+/**
+ * Write the closing package for a report into `outDir`.
+ * Returns the list of files written.
+ */
+function exportPayroll(report, outDir, formats) {
+  const month = report.metadata.month;
+  const statements = buildStatements(report);
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+
+  const written = [];
+  if (formats.includes('csv')) {
+    const file = path.join(outDir, `fechamento-${month}.csv`);
+    writeCsv(file, month, statements);
+    written.push(file);
+  }
+  if (formats.includes('xlsx')) {
+    const file = path.join(outDir, `fechamento-${month}.xlsx`);
+    writeWorkbook(file, month, statements, report.clientes);
+    written.push(file);
+  }
+  if (formats.includes('pdf')) {
+    for (const st of statements) {
+      // Editors with dated roster periods get one statement per period
+      const suffix = st.period ? `-${st.period.start || 'inicio'}` : '';
+      const file = path.join(outDir, `extrato-${month}-${slugify(st.name)}${suffix}.pdf`);
+      writeStatementPdf(file, month, st, report);
+      written.push(file);
+    }
+  }
+
+  return { statements, written };
+}
+
+module.exports = { buildStatements, exportPayroll, slugify, csvCell };
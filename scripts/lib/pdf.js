@@ -0,0 +1,106 @@
+/**
+ * Minimal PDF writer — Gestão de Edição
+ *
+ * Text and rules on A4 pages with the standard Helvetica fonts
+ * (WinAnsiEncoding covers Portuguese accents), no external dependencies.
+ *
+ * @module pdf
+ */
+
+const fs = require('fs');
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Unicode → WinAnsi for the characters outside Latin-1 we actually print
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '‚': 0x82, '…': 0x85, '•': 0x95,
+  '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '→': 0x3e,
+};
+
+function encodeText(str) {
+  const bytes = [];
+  for (const ch of String(str)) {
+    const code = ch.codePointAt(0);
+    let b;
+    if (WIN_ANSI_EXTRA[ch] !== undefined) b = WIN_ANSI_EXTRA[ch];
+    else if (code >= 0x20 && code < 0x7f) b = code;
+    else if (code >= 0xa0 && code <= 0xff) b = code;
+    else if (code > 0xffff || (code >= 0x2600 && code <= 0x27bf)) continue; // emoji
+    else b = 0x3f; // '?'
+    if (b === 0x28 || b === 0x29 || b === 0x5c) bytes.push(0x5c); // escape ( ) \
+    bytes.push(b);
+  }
+  return Buffer.from(bytes).toString('latin1');
+}
+
+/**
+ * Create a document. Coordinates are in points from the top-left corner.
+ */
+function createPdf() {
+  const pages = [];
+  let current = null;
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    addPage() {
+      current = [];
+      pages.push(current);
+      return doc;
+    },
+
+    text(x, y, str, opts = {}) {
+      const font = opts.bold ? 'F2' : 'F1';
+      const size = opts.size || 10;
+      current.push(`BT /${font} ${size} Tf ${x} ${PAGE_HEIGHT - y} Td (${encodeText(str)}) Tj ET`);
+      return doc;
+    },
+
+    line(x1, y1, x2, y2) {
+      current.push(`0.6 w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`);
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const add = body => { objects.push(body); return objects.length; };
+
+      const catalog = add(null);
+      const pagesObj = add(null);
+      const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const fontBold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const pageIds = pages.map(ops => {
+        const stream = ops.join('\n');
+        const content = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${font} 0 R /F2 ${fontBold} 0 R >> >> /Contents ${content} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+      objects[pagesObj - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let out = '%PDF-1.4\n';
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(Buffer.byteLength(out, 'latin1'));
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      });
+      const xref = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, 'latin1');
+    },
+
+    save(file) {
+      fs.writeFileSync(file, doc.toBuffer());
+    },
+  };
+
+  return doc.addPage();
+}
+
+module.exports = { createPdf, encodeText };
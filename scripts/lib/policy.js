@@ -0,0 +1,102 @@
+/**
+ * Bonus Policy Loader — Gestão de Edição
+ *
+ * Reads the versioned bonus policy file, validates every version with
+ * BonusRules.validatePolicy and picks the version in force for a month.
+ * Also loads the editor roster (ClickUp user ID → team/role/period) and the
+ * monthly escala (days off and extra holidays, used by meta_diaria).
+ *
+ * @module policy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BonusRules = require('./bonus-rules');
+
+const DEFAULT_POLICY_FILE = path.resolve(__dirname, '..', 'policy', 'bonus-policies.json');
+const DEFAULT_ROSTER_FILE = path.resolve(__dirname, '..', 'policy', 'roster.json');
+const DEFAULT_ESCALA_DIR = path.resolve(__dirname, '..', 'policy', 'escala');
+
+/**
+ * Load and validate all policy versions from a file.
+ * Throws with every validation error at once.
+ */
+function loadPolicies(file = DEFAULT_POLICY_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Arquivo de política não encontrado: ${file}`);
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const versions = Array.isArray(data.versions) ? data.versions : [];
+  if (versions.length === 0) {
+    throw new Error(`Nenhuma versão de política em ${file}`);
+  }
+
+  const errors = [];
+  const seen = new Set();
+  for (const v of versions) {
+    errors.push(...BonusRules.validatePolicy(v));
+    if (seen.has(v.effective_from)) {
+      errors.push(`${v.version}: effective_from ${v.effective_from} duplicado`);
+    }
+    seen.add(v.effective_from);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Política de bônus inválida (${file}):\n  ${errors.join('\n  ')}`);
+  }
+
+  return versions;
+}
+
+/**
+ * Policy version in force for `month` (YYYY-MM).
+ */
+function policyForMonth(month, file = DEFAULT_POLICY_FILE) {
+  return BonusRules.selectPolicy(loadPolicies(file), month);
+}
+
+/**
+ * Load and validate the roster. Returns null when the file does not exist
+ * (editors are then classified by the policy name lists).
+ */
+function loadRoster(file = DEFAULT_ROSTER_FILE) {
+  if (!fs.existsSync(file)) return null;
+  const roster = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = BonusRules.validateRoster(roster);
+  if (errors.length > 0) {
+    throw new Error(`Roster inválido (${file}):\n  ${errors.join('\n  ')}`);
+  }
+  return roster;
+}
+
+function escalaFile(month, dir = DEFAULT_ESCALA_DIR) {
+  return path.join(dir, `${month}.json`);
+}
+
+/**
+ * Load and validate the escala of a month (`file` overrides the default
+ * scripts/policy/escala/YYYY-MM.json). Returns null when there is none:
+ * meta_diaria then only skips weekends and national holidays.
+ */
+function loadEscala(month, file = escalaFile(month)) {
+  if (!fs.existsSync(file)) return null;
+  const escala = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = BonusRules.validateEscala(escala);
+  if (escala.month && escala.month !== month) {
+    errors.push(`escala é de ${escala.month}, não de ${month}`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Escala inválida (${file}):\n  ${errors.join('\n  ')}`);
+  }
+  return escala;
+}
+
+module.exports = {
+  DEFAULT_POLICY_FILE,
+  DEFAULT_ROSTER_FILE,
+  DEFAULT_ESCALA_DIR,
+  loadPolicies,
+  policyForMonth,
+  loadRoster,
+  escalaFile,
+  loadEscala,
+};
@@ -0,0 +1,173 @@
+/**
+ * Report Store — Gestão de Edição
+ *
+ * Keeps JSON values (monthly reports, run diff, history) in a key-value
+ * store with a small per-value size limit — Apps Script Script Properties
+ * take at most 9 KB per value. Each value is compressed, split into chunks
+ * and written under a new version before its meta entry is switched, so a
+ * reader never sees half of a save. Entries carry a TTL: expired values
+ * are still returned, flagged `stale`, and the caller decides whether to
+ * recompute. Nothing expires by itself: the store has a total quota too
+ * (~500 KB for Script Properties), so callers evict what they no longer
+ * need (list + remove). Chunks of other versions (a save that failed
+ * halfway, a meta entry lost) are swept on the next put/remove when the
+ * store can list its keys (getKeys).
+ *
+ * Layout for a value `name` under `prefix`:
+ *   <prefix>:<name>              { version, chunks, bytes, saved_at, expires_at }
+ *   <prefix>:<name>:<version>:<i>  chunk i of the encoded value
+ *
+ * Apps Script: paste this file as `report-store.gs` (see video-counter.gs).
+ * Node: same code, any object with getProperty/setProperty/deleteProperty
+ * (and optionally getKeys). Tests: scripts/tests/report-store.test.js.
+ *
+ * @module report-store
+ */
+
+var ReportStore = (function () {
+  // Below the 9 KB Script Properties limit, with room for the key
+  const CHUNK_SIZE = 8000;
+
+  /**
+   * @param {{ getProperty: Function, setProperty: Function, deleteProperty: Function, getKeys?: Function }} props
+   * @param {{ prefix: string, encode: Function, decode: Function, now?: Function }} opts
+   *   encode(string) -> string (e.g. gzip + base64), decode is its inverse
+   */
+  function create(props, opts) {
+    const prefix = opts.prefix;
+    const now = opts.now || (() => Date.now());
+
+    function metaKey(name) {
+      return prefix + ':' + name;
+    }
+
+    function chunkKey(name, version, i) {
+      return prefix + ':' + name + ':' + version + ':' + i;
+    }
+
+    function readMeta(name) {
+      const raw = props.getProperty(metaKey(name));
+      if (!raw) return null;
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        return null;
+      }
+    }
+
+    function dropChunks(name, meta) {
+      for (let i = 0; i < meta.chunks; i++) {
+        props.deleteProperty(chunkKey(name, meta.version, i));
+      }
+    }
+
+    /**
+     * Delete chunk keys of `name` that do not belong to `keepVersion`.
+     */
+    function sweepChunks(name, keepVersion) {
+      if (typeof props.getKeys !== 'function') return;
+      const start = prefix + ':' + name + ':';
+      const keep = keepVersion ? start + keepVersion + ':' : null;
+      props.getKeys()
+        .filter(k => k.indexOf(start) === 0 && (!keep || k.indexOf(keep) !== 0))
+        .forEach(k => props.deleteProperty(k));
+    }
+
+    /**
+     * Save a value, replacing the previous one. `ttlMs` null = never expires.
+     */
+    function put(name, value, ttlMs) {
+      const encoded = opts.encode(JSON.stringify(value));
+      const previous = readMeta(name);
+      const savedAt = now();
+      // A new version per save: the old chunks stay readable until the meta switches
+      let version = String(savedAt);
+      if (previous && previous.version === version) version += 'b';
+
+      const chunks = Math.max(Math.ceil(encoded.length / CHUNK_SIZE), 1);
+      for (let i = 0; i < chunks; i++) {
+        try {
+          props.setProperty(chunkKey(name, version, i), encoded.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE));
+        } catch (e) {
+          // Quota or size error: the previous value stays, without our partial chunks
+          dropChunks(name, { version, chunks: i });
+          throw e;
+        }
+      }
+      const meta = {
+        version,
+        chunks,
+        bytes: encoded.length,
+        saved_at: new Date(savedAt).toISOString(),
+        expires_at: ttlMs ? new Date(savedAt + ttlMs).toISOString() : null,
+      };
+      props.setProperty(metaKey(name), JSON.stringify(meta));
+      if (previous) dropChunks(name, previous);
+      sweepChunks(name, version);
+      return meta;
+    }
+
+    /**
+     * { value, saved_at, expires_at, stale } or null when missing or
+     * unreadable (a missing chunk, a failed decode).
+     */
+    function get(name) {
+      const meta = readMeta(name);
+      if (!meta) return null;
+      let encoded = '';
+      for (let i = 0; i < meta.chunks; i++) {
+        const part = props.getProperty(chunkKey(name, meta.version, i));
+        if (part === null || part === undefined) return null;
+        encoded += part;
+      }
+      let value;
+      try {
+        value = JSON.parse(opts.decode(encoded));
+      } catch (e) {
+        return null;
+      }
+      return {
+        value,
+        saved_at: meta.saved_at,
+        expires_at: meta.expires_at,
+        stale: !!meta.expires_at && new Date(meta.expires_at).getTime() <= now(),
+      };
+    }
+
+    /**
+     * Invalidate a value (meta and every chunk key of the name).
+     */
+    function remove(name) {
+      const meta = readMeta(name);
+      props.deleteProperty(metaKey(name));
+      if (meta) dropChunks(name, meta);
+      sweepChunks(name, null);
+      return !!meta;
+    }
+
+    /**
+     * Meta of every value saved (needs getKeys): [{ name, version, chunks,
+     * bytes, saved_at, expires_at }], in no particular order.
+     */
+    function list() {
+      if (typeof props.getKeys !== 'function') return [];
+      const start = prefix + ':';
+      return props.getKeys()
+        .filter(k => k.indexOf(start) === 0 && k.indexOf(':', start.length) === -1)
+        .map(k => {
+          const name = k.slice(start.length);
+          const meta = readMeta(name);
+          return meta ? Object.assign({ name }, meta) : null;
+        })
+        .filter(Boolean);
+    }
+
+    return { put, get, remove, list };
+  }
+
+  return { CHUNK_SIZE, create };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportStore;
+}
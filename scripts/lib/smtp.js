@@ -0,0 +1,186 @@
+/**
+ * Minimal SMTP client — Gestão de Edição
+ *
+ * Sends plain-text UTF-8 e-mails without external dependencies: implicit
+ * TLS (port 465) or STARTTLS (587/25), AUTH PLAIN/LOGIN. Enough for the
+ * notifier; no attachments, no pooling. Credentials are only sent over an
+ * encrypted connection unless `allowInsecureAuth` is set, and never show
+ * up in error messages.
+ *
+ * @module smtp
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Line-based reader over a socket: next() resolves with the full reply
+ * ({ code, lines }) once the last line of a multi-line reply arrives.
+ */
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function push(reply) {
+    if (waiting.length > 0) waiting.shift().resolve(reply);
+    else replies.push(reply);
+  }
+
+  function fail(error) {
+    failure = error;
+    while (waiting.length > 0) waiting.shift().reject(error);
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      lines.push(line.slice(4));
+      // "250-..." continues, "250 ..." ends the reply
+      if (line[3] !== '-') {
+        push({ code: parseInt(line.slice(0, 3), 10), lines });
+        lines = [];
+      }
+    }
+  }
+
+  function attach(sock) {
+    sock.on('data', onData);
+    sock.on('error', fail);
+    sock.on('close', () => fail(new Error('SMTP: conexão encerrada pelo servidor')));
+  }
+  attach(socket);
+
+  return {
+    attach,
+    next() {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+  };
+}
+
+function withTimeout(socket) {
+  socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP: tempo esgotado')));
+  return socket;
+}
+
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+      : net.connect({ host: options.host, port: options.port });
+    withTimeout(socket);
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * RFC 5322 message, body base64-encoded (no dot-stuffing needed).
+ */
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+function address(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return match ? match[1] : value.trim();
+}
+
+/**
+ * Send one e-mail.
+ *
+ * @param {{ host: string, port?: number, secure?: boolean, user?: string, pass?: string, allowInsecureAuth?: boolean }} server
+ *   secure defaults to true on port 465 (implicit TLS); otherwise STARTTLS is used when offered.
+ *   Without TLS, AUTH is refused unless allowInsecureAuth (local relays only).
+ * @param {{ from: string, to: string[], subject: string, text: string }} mail
+ */
+async function sendMail(server, mail) {
+  const port = Number(server.port) || 587;
+  const options = { host: server.host, port, secure: server.secure !== undefined ? server.secure : port === 465 };
+  let socket = await connect(options);
+  let encrypted = options.secure;
+  const reader = replyReader(socket);
+  // AUTH and every line after it until accepted carry credentials
+  let authenticating = false;
+
+  async function command(line, expected) {
+    if (line !== null) socket.write(line + '\r\n');
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const shown = authenticating ? 'AUTH' : line;
+      throw new Error(`SMTP: ${shown || 'conexão'} → ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    if (!options.secure && ehlo.lines.some(l => /^STARTTLS/i.test(l))) {
+      await command('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket = withTimeout(tls.connect({ socket, servername: options.host }));
+      await new Promise((resolve, reject) => {
+        socket.once('secureConnect', resolve);
+        socket.once('error', reject);
+      });
+      encrypted = true;
+      reader.attach(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (server.user) {
+      if (!encrypted && !server.allowInsecureAuth) {
+        throw new Error(`SMTP: ${options.host} não oferece STARTTLS — usuário e senha não são enviados sem criptografia`);
+      }
+      const auth = ehlo.lines.find(l => /^AUTH/i.test(l)) || '';
+      authenticating = true;
+      if (/PLAIN/i.test(auth)) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${server.user}\0${server.pass || ''}`).toString('base64')}`, [235]);
+      } else {
+        await command('AUTH LOGIN', [334]);
+        await command(Buffer.from(server.user).toString('base64'), [334]);
+        await command(Buffer.from(server.pass || '').toString('base64'), [235]);
+      }
+      authenticating = false;
+    }
+
+    await command(`MAIL FROM:<${address(mail.from)}>`, [250]);
+    for (const rcpt of mail.to) {
+      await command(`RCPT TO:<${address(rcpt)}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    await command(`${buildMessage(mail)}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = { sendMail, buildMessage };
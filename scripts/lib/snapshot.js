@@ -0,0 +1,66 @@
+/**
+ * ClickUp Snapshot — Gestão de Edição
+ *
+ * Saves exactly what the counter fetched from ClickUp (tasks already
+ * filtered to the month + bulk time_in_status) so a report can be
+ * recomputed later, offline, after the ClickUp data has changed.
+ *
+ * @module snapshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Write a snapshot file.
+ *
+ * @param {string} file
+ * @param {{ month: string, list: string, tasks: Object[], statusByTask: Object, dataQuality?: Object }} data
+ *   dataQuality = fetch failures and retry stats, replayed into report.data_quality
+ */
+function writeSnapshot(file, { month, list, tasks, statusByTask, dataQuality }) {
+  const dir = path.dirname(path.resolve(file));
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    month,
+    list,
+    fetched_at: new Date().toISOString(),
+    tasks,
+    status_by_task: statusByTask,
+    data_quality: dataQuality || null,
+  };
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+  return snapshot;
+}
+
+/**
+ * Read and validate a snapshot file.
+ * Returns { month, list, fetchedAt, tasks, statusByTask, dataQuality }.
+ */
+function readSnapshot(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Snapshot não encontrado: ${file}`);
+  }
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Versão de snapshot não suportada: ${snapshot.version} (esperado ${SNAPSHOT_VERSION})`);
+  }
+  if (!/^\d{4}-\d{2}$/.test(snapshot.month || '') || !Array.isArray(snapshot.tasks)) {
+    throw new Error(`Snapshot inválido: ${file}`);
+  }
+  return {
+    month: snapshot.month,
+    list: snapshot.list,
+    fetchedAt: snapshot.fetched_at,
+    tasks: snapshot.tasks,
+    statusByTask: snapshot.status_by_task || {},
+    dataQuality: snapshot.data_quality || null,
+  };
+}
+
+module.exports = { SNAPSHOT_VERSION, writeSnapshot, readSnapshot };
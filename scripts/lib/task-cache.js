@@ -0,0 +1,84 @@
+/**
+ * ClickUp Task Cache — Gestão de Edição
+ *
+ * Local file store of every task of a list plus their status history, so
+ * each run only downloads what changed since the last sync
+ * (`date_updated_gt`). A full download happens on the first run, with
+ * --full-sync, or when the last full sync is older than FULL_SYNC_MAX_AGE_MS
+ * (deleted tasks are only noticed by a full sync).
+ *
+ * Layout: scripts/.cache/clickup/list-<id>.json, status.json
+ *
+ * @module task-cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_VERSION = 1;
+const CACHE_DIR = path.resolve(__dirname, '..', '.cache', 'clickup');
+
+// Overlap between syncs, covers clock skew between us and ClickUp
+const SYNC_MARGIN_MS = 5 * 60 * 1000;
+const FULL_SYNC_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function writeJson(file, data) {
+  if (!fs.existsSync(CACHE_DIR)) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+  }
+  // Write then rename, so an interrupted run never leaves a truncated cache
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function listFile(listId) {
+  return path.join(CACHE_DIR, `list-${listId}.json`);
+}
+
+function emptyStore(listId) {
+  return { version: CACHE_VERSION, list_id: listId, synced_at: null, full_sync_at: null, tasks: {} };
+}
+
+/**
+ * Cached store of a list, or an empty one (version mismatch counts as empty).
+ */
+function loadList(listId) {
+  const store = readJson(listFile(listId));
+  return store && store.version === CACHE_VERSION ? store : emptyStore(listId);
+}
+
+function saveList(store) {
+  writeJson(listFile(store.list_id), store);
+}
+
+function needsFullSync(store, now = Date.now()) {
+  return !store.synced_at || !store.full_sync_at || now - store.full_sync_at > FULL_SYNC_MAX_AGE_MS;
+}
+
+/**
+ * Status history cache: taskId -> { date_updated, data }.
+ */
+function loadStatus() {
+  const cache = readJson(path.join(CACHE_DIR, 'status.json'));
+  return cache && cache.version === CACHE_VERSION ? cache.tasks : {};
+}
+
+function saveStatus(tasks) {
+  writeJson(path.join(CACHE_DIR, 'status.json'), { version: CACHE_VERSION, tasks });
+}
+
+module.exports = {
+  CACHE_DIR,
+  SYNC_MARGIN_MS,
+  FULL_SYNC_MAX_AGE_MS,
+  emptyStore,
+  loadList,
+  saveList,
+  needsFullSync,
+  loadStatus,
+  saveStatus,
+};
@@ -0,0 +1,144 @@
+/**
+ * Task Lint — Gestão de Edição
+ *
+ * Data-quality checks on the ClickUp tasks of a month, so the coordinators
+ * can fix ClickUp before the month is closed. Every issue is reported (the
+ * counter only lists tasks it could not count at all), with the people
+ * responsible for the task: its editors, or whoever created it.
+ *
+ * Severity "erro" changes what is paid; "aviso" is counted as-is but should
+ * be looked at.
+ *
+ * Call BonusRules.usePolicy (and useRoster) first.
+ *
+ * @module task-lint
+ */
+
+const BonusRules = require('./bonus-rules');
+
+const RULES = {
+  sem_pontos: { severity: 'erro', label: 'Campo "Pontos" vazio e tipo não identificado' },
+  sem_editor: { severity: 'erro', label: 'Nenhum editor atribuído' },
+  data_futura: { severity: 'erro', label: '"Primeira Edição" no futuro' },
+  editor_fora_do_roster: { severity: 'erro', label: 'Editor fora do roster no dia da "Primeira Edição"' },
+  divisao_invalida: { severity: 'erro', label: 'Divisão entre editores inválida (partes ≠ editores, soma ≠ 100% ou padrão do formato sem editor principal)' },
+  pontos_divergentes: { severity: 'aviso', label: '"Pontos" diferente do peso do tipo identificado' },
+  data_em_folga: { severity: 'aviso', label: '"Primeira Edição" em dia de folga do editor' },
+  nome_fora_do_padrao: { severity: 'aviso', label: 'Nome fora do padrão [nº] [P..][CLIENTE][dd/mm] TIPO - ...' },
+  cliente_desconhecido: { severity: 'aviso', label: 'Código de cliente fora do mapa de clientes' },
+  pontos_inferido: { severity: 'aviso', label: 'Campo "Pontos" vazio — peso inferido do tipo' },
+  divisao_nao_informada: { severity: 'aviso', label: 'Vários editores sem divisão informada nem padrão do formato — pontos divididos igualmente' },
+};
+
+const NO_OWNER = '(sem responsável)';
+
+function fieldPontos(task) {
+  const field = BonusRules.findField(task, 'Pontos');
+  const val = field ? BonusRules.parseFieldValue(field) : null;
+  if (val === null || val === undefined) return null;
+  const num = parseInt(String(val).replace(/[^0-9]/g, ''));
+  return !isNaN(num) && num > 0 ? num : null;
+}
+
+/**
+ * Check the tasks of a month.
+ *
+ * @param {Object[]} tasks - ClickUp tasks (with custom_fields)
+ * @param {{ roster?: Object|null, escala?: Object|null, today?: string, formatDate?: Function }} [opts]
+ * @returns {{ rule, severity, task_id, task_name, url, responsaveis, detalhe }[]}
+ */
+function lintTasks(tasks, opts = {}) {
+  const fmt = opts.formatDate || BonusRules.formatDate;
+  const today = opts.today || fmt(new Date());
+  const folgas = (opts.escala && opts.escala.folgas) || {};
+  const { WEIGHT_MAP, TASK_NAME_PATTERN, CLIENT_CODE_MAP } = BonusRules.config();
+  const issues = [];
+
+  for (const task of tasks) {
+    const pe = BonusRules.getPrimeiraEdicao(task);
+    const dateStr = pe ? fmt(pe) : null;
+    const editors = BonusRules.extractEditors(task);
+    const members = editors.map(e => ({ editor: e, member: BonusRules.resolveMember(e, dateStr) }));
+    const owners = members.length > 0
+      ? members.map(m => m.member.name)
+      : [(task.creator && (task.creator.username || task.creator.email)) || NO_OWNER];
+
+    const add = (rule, detalhe, responsaveis = owners) => issues.push({
+      rule,
+      severity: RULES[rule].severity,
+      task_id: task.id,
+      task_name: task.name,
+      url: task.url || `https://app.clickup.com/t/${task.id}`,
+      responsaveis,
+      detalhe,
+    });
+
+    const type = BonusRules.identifyProjectType(task);
+    const declared = fieldPontos(task);
+    if (declared === null) {
+      if (type === 'unknown') add('sem_pontos', 'sem "Pontos", "Produto" ou cliente/nome reconhecível');
+      else add('pontos_inferido', `contado como ${WEIGHT_MAP[type]} (${type})`);
+    } else if (type !== 'unknown' && WEIGHT_MAP[type] && WEIGHT_MAP[type] !== declared) {
+      add('pontos_divergentes', `"Pontos" = ${declared}, mas ${type} vale ${WEIGHT_MAP[type]}`);
+    }
+
+    const match = TASK_NAME_PATTERN.exec(task.name || '');
+    if (!match) {
+      add('nome_fora_do_padrao', task.name || '(sem nome)');
+    } else if (!CLIENT_CODE_MAP[match[3].toUpperCase()]) {
+      add('cliente_desconhecido', `código "${match[3].toUpperCase()}"`);
+    }
+
+    if (dateStr && dateStr > today) {
+      add('data_futura', `${dateStr} (hoje é ${today})`);
+    }
+
+    if (editors.length === 0) {
+      add('sem_editor', 'campo "Editor" vazio');
+      continue;
+    }
+    const split = BonusRules.getSplit(task, editors);
+    if (split.error) {
+      add('divisao_invalida', split.error);
+    } else if (editors.length > 1 && split.source === 'igual') {
+      add('divisao_nao_informada', `${editors.length} editores: ${owners.join(', ')}`);
+    }
+
+    for (const { editor, member } of members) {
+      if (opts.roster && !member.on_roster) {
+        const reason = member.outside_period ? 'fora do período no roster' : 'não está no roster';
+        add('editor_fora_do_roster', `${editor.name} (${editor.id}) ${reason}`, [member.name]);
+      }
+      const off = dateStr && folgas[dateStr];
+      if (off && off.some(entry => BonusRules.sameMember(entry, { clickup_id: editor.id, name: member.name }))) {
+        add('data_em_folga', `${member.name} de folga em ${dateStr}`, [member.name]);
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Issues grouped by rule and by person: { byRule: { rule: [issue] }, byPerson: { name: [issue] } }.
+ * An issue with several people responsible appears under each of them.
+ */
+function groupIssues(issues) {
+  const byRule = {};
+  const byPerson = {};
+  for (const issue of issues) {
+    (byRule[issue.rule] = byRule[issue.rule] || []).push(issue);
+    issue.responsaveis.forEach(name => { (byPerson[name] = byPerson[name] || []).push(issue); });
+  }
+  return { byRule, byPerson };
+}
+
+const CSV_HEADER = ['Regra', 'Severidade', 'Descrição da regra', 'Task ID', 'Task', 'Responsáveis', 'Detalhe', 'Link'];
+
+function csvRows(issues) {
+  return [CSV_HEADER, ...issues.map(i => [
+    i.rule, i.severity, RULES[i.rule].label, i.task_id, i.task_name, i.responsaveis.join(', '), i.detalhe, i.url,
+  ])];
+}
+
+module.exports = { RULES, lintTasks, groupIssues, csvRows };
@@ -0,0 +1,85 @@
+/**
+ * Point split tests — Gestão de Edição
+ *
+ * BonusRules.getSplit for tasks with several editors: explicit split
+ * (field or name), per-format default by role (`split.lead_field`) and
+ * equal parts, under the v1 policy plus a `split` section.
+ *
+ * Usage:
+ *   node --test scripts/tests/
+ *
+ * @module bonus-split.test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const BonusRules = require('../lib/bonus-rules');
+const { loadPolicies } = require('../lib/policy');
+
+const ANA = { id: 1, name: 'Ana' };
+const BIA = { id: 2, name: 'Bia' };
+const CAIO = { id: 3, name: 'Caio' };
+
+function withSplit(split) {
+  const policy = Object.assign({}, loadPolicies()[0], { split });
+  BonusRules.usePolicy(policy);
+}
+
+function motionTask(fields, name = '[500] [P1][MG][10/02] MOTION - Vinheta') {
+  return { id: 't1', name, custom_fields: fields || [] };
+}
+
+function users(name, ...people) {
+  return { name, type: 'users', value: people.map(p => ({ id: p.id, username: p.name })) };
+}
+
+const DEFAULTS = {
+  field: 'Divisão',
+  lead_field: 'Editor principal',
+  defaults: { motion: { principal: 70, apoio: 30 } },
+};
+
+test('policy: defaults need a lead field and principal/apoio shares adding to 100', () => {
+  const base = loadPolicies()[0];
+  const errors = split => BonusRules.validatePolicy(Object.assign({}, base, { split }));
+  assert.deepEqual(errors(DEFAULTS), []);
+  assert.match(errors({ defaults: { motion: { principal: 70, apoio: 30 } } }).join('\n'), /needs split\.lead_field/);
+  assert.match(errors({ lead_field: 'Editor principal', defaults: { motion: [70, 30] } }).join('\n'), /principal: %, apoio: %/);
+  assert.match(errors({ lead_field: 'Editor principal', defaults: { motion: { principal: 60, apoio: 30 } } }).join('\n'), /add up to 100/);
+  assert.match(errors({ lead_field: 'Editor principal', defaults: { reels: { principal: 70, apoio: 30 } } }).join('\n'), /unknown type/);
+});
+
+test('policies in force: no per-format default split', () => {
+  loadPolicies().forEach(p => assert.deepEqual((p.split && p.split.defaults) || {}, {}, `${p.version} has split.defaults`));
+});
+
+test('getSplit: the default goes to the lead editor, whatever the field order', () => {
+  withSplit(DEFAULTS);
+  const lead = users('Editor principal', BIA);
+  assert.deepEqual(BonusRules.getSplit(motionTask([lead]), [ANA, BIA]), { shares: [0.3, 0.7], source: 'padrao', error: null });
+  assert.deepEqual(BonusRules.getSplit(motionTask([lead]), [BIA, ANA]), { shares: [0.7, 0.3], source: 'padrao', error: null });
+  // apoio split equally among the other editors
+  assert.deepEqual(BonusRules.getSplit(motionTask([lead]), [ANA, BIA, CAIO]).shares, [0.15, 0.7, 0.15]);
+});
+
+test('getSplit: without a lead editor the default does not apply', () => {
+  withSplit(DEFAULTS);
+  const none = BonusRules.getSplit(motionTask(), [ANA, BIA]);
+  assert.deepEqual(none.shares, [0.5, 0.5]);
+  assert.equal(none.source, 'igual');
+  assert.match(none.error, /sem editor principal no campo "Editor principal"/);
+
+  // Lead outside the task, or more than one lead
+  assert.equal(BonusRules.getSplit(motionTask([users('Editor principal', CAIO)]), [ANA, BIA]).source, 'igual');
+  assert.equal(BonusRules.getSplit(motionTask([users('Editor principal', ANA, BIA)]), [ANA, BIA]).source, 'igual');
+});
+
+test('getSplit: explicit split wins; formats without a default split equally', () => {
+  withSplit(DEFAULTS);
+  const explicit = BonusRules.getSplit(motionTask([users('Editor principal', BIA), { name: 'Divisão', type: 'text', value: '60/40' }]), [ANA, BIA]);
+  assert.deepEqual(explicit, { shares: [0.6, 0.4], source: 'campo', error: null });
+
+  const gov = BonusRules.getSplit(motionTask([], '[501] [P1][GOV][10/02] INSTITUCIONAL - Campanha'), [ANA, BIA]);
+  assert.deepEqual(gov, { shares: [0.5, 0.5], source: 'igual', error: null });
+});
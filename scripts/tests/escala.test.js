@@ -0,0 +1,84 @@
+/**
+ * Escala Generator tests — Gestão de Edição
+ *
+ * Day-off rotation (lib/escala) for the fixed team of the example roster
+ * (7 people: 2 heads, 3 revisores, 2 editores). With FOLGAS_POR_SEMANA = 2
+ * and MAX_FOLGAS_POR_DIA = 2 every full week is packed: 14 days off in 14
+ * slots. February and March 2026 start on a Sunday, so their first week
+ * has six days in the month before.
+ *
+ * Usage:
+ *   node --test scripts/tests/
+ *
+ * @module escala.test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const Escala = require('../lib/escala');
+
+const ROSTER = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', 'policy', 'roster.example.json'), 'utf8'));
+const TEAM = ['Pedro Ximenes', 'Lílian Elen', 'Rafael Nóbrega', 'Ricardo Araújo', 'Daniel Lopes', 'Bruna Ferreira', 'Vinícius Mendes'];
+
+/**
+ * Days off of each person between two dates (inclusive), over escalas.
+ */
+function folgasBetween(escalas, from, to) {
+  const count = {};
+  TEAM.forEach(name => { count[name] = 0; });
+  for (const escala of escalas) {
+    for (const [date, off] of Object.entries(escala.folgas)) {
+      if (date >= from && date <= to) off.forEach(name => { count[name]++; });
+    }
+  }
+  return count;
+}
+
+function everyone(n) {
+  const count = {};
+  TEAM.forEach(name => { count[name] = n; });
+  return count;
+}
+
+test('previousMonth: crosses the year', () => {
+  assert.equal(Escala.previousMonth('2026-03'), '2026-02');
+  assert.equal(Escala.previousMonth('2026-01'), '2025-12');
+});
+
+test('generateEscala: a month starting on Sunday keeps the folga of its first week', () => {
+  // 26/01–01/02: one folga used to be lost (1 in January, 0 on Sunday 01/02)
+  const feb = Escala.generateEscala('2026-02', ROSTER);
+  assert.deepEqual(feb.violacoes, []);
+  assert.equal(feb.folgas['2026-02-01'].length, Escala.MAX_FOLGAS_POR_DIA);
+  assert.deepEqual(Object.fromEntries(feb.equipe.map(p => [p.name, p.folgas])), everyone(8));
+  Object.values(feb.folgas).forEach(off => assert.ok(off.length <= Escala.MAX_FOLGAS_POR_DIA));
+});
+
+test('generateEscala: weeks across the turn of the month get two folgas each', () => {
+  const jan = Escala.generateEscala('2026-01', ROSTER);
+  const feb = Escala.generateEscala('2026-02', ROSTER, { previous: jan });
+  const mar = Escala.generateEscala('2026-03', ROSTER, { previous: feb });
+  [jan, feb, mar].forEach(e => assert.deepEqual(e.violacoes, [], e.month));
+
+  assert.deepEqual(folgasBetween([jan, feb], '2026-01-26', '2026-02-01'), everyone(2));
+  assert.deepEqual(folgasBetween([feb, mar], '2026-02-23', '2026-03-01'), everyone(2));
+  assert.deepEqual(folgasBetween([jan, feb, mar], '2026-01-05', '2026-03-29'), everyone(2 * 12));
+});
+
+test('generateEscala: days off already taken in the previous month count', () => {
+  const previous = {
+    month: '2026-01',
+    folgas: {
+      '2026-01-27': ['Pedro Ximenes', 'Bruna Ferreira'],
+      '2026-01-29': ['Pedro Ximenes', 'Daniel Lopes'],
+      '2026-01-31': ['Lílian Elen'],
+    },
+  };
+  const feb = Escala.generateEscala('2026-02', ROSTER, { previous });
+  // Pedro had both in January; Sunday 01/02 goes to who still has one due
+  assert.ok(!feb.folgas['2026-02-01'].includes('Pedro Ximenes'));
+  assert.equal(feb.folgas['2026-02-01'].length, Escala.MAX_FOLGAS_POR_DIA);
+});
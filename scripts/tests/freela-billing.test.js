@@ -0,0 +1,187 @@
+/**
+ * Freela Billing tests — Gestão de Edição
+ *
+ * Invoice parsing and reconciliation against the golden report of the
+ * 2026-02 fixture (scripts/fixtures/golden/): Bianca Prado (20000001) is
+ * a freelancer with 12 tasks (one Motion task, with no rate under the
+ * policy of February), Bruna Ferreira is on the fixed team.
+ *
+ * Usage:
+ *   node --test scripts/tests/
+ *
+ * @module freela-billing.test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BonusRules = require('../lib/bonus-rules');
+const FreelaBilling = require('../lib/freela-billing');
+const { policyForMonth } = require('../lib/policy');
+
+const GOLDEN = path.resolve(__dirname, '..', 'fixtures', 'golden', 'video-count-2026-02.json');
+
+function goldenReport() {
+  return JSON.parse(fs.readFileSync(GOLDEN, 'utf8'));
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'freela-billing-'));
+}
+
+// ─── parseInvoice ────────────────────────────────────────────────────────────
+
+test('parseInvoice: Excel pt-BR export (BOM, ";", decimal comma)', () => {
+  const { items, errors } = FreelaBilling.parseInvoice('\uFEFFTask;Descrição;Valor;Data\r\n86b0133;Loop produto;R$ 35,00;05/02\r\n86b0147;Vacinação;50;26/02\r\n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(items, [
+    { linha: 2, ref: '86b0133', descricao: 'Loop produto', valor: 35, data: '05/02' },
+    { linha: 3, ref: '86b0147', descricao: 'Vacinação', valor: 50, data: '26/02' },
+  ]);
+});
+
+test('parseInvoice: "," separator with quoted fields', () => {
+  const { items, errors } = FreelaBilling.parseInvoice('task,descricao,valor\n86b0157,"Logo animado, versão 2","140,00"\n');
+  assert.deepEqual(errors, []);
+  assert.equal(items[0].descricao, 'Logo animado, versão 2');
+  assert.equal(items[0].valor, 140);
+});
+
+test('parseInvoice: "." followed by three digits is a thousands separator', () => {
+  const { items, errors } = FreelaBilling.parseInvoice('task;valor\n86b1;1.500\n86b2;R$ 1.234,56\n86b3;1.234.567\n86b4;1234.56\n86b5;1.5\n86b6;-35,5\n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(items.map(i => i.valor), [1500, 1234.56, 1234567, 1234.56, 1.5, -35.5]);
+});
+
+test('parseInvoice: values that do not read one way only are rejected', () => {
+  const { items, errors } = FreelaBilling.parseInvoice('task;valor\n86b1;"1,500.00"\n86b2;1.5000\n86b3;12.34.5\n86b4;\n86b5;trinta\n86b6;35\n');
+  assert.deepEqual(items.map(i => i.ref), ['86b6']);
+  assert.deepEqual(errors, [
+    'Linha 2: valor inválido "1,500.00"',
+    'Linha 3: valor inválido "1.5000"',
+    'Linha 4: valor inválido "12.34.5"',
+    'Linha 5: valor inválido ""',
+    'Linha 6: valor inválido "trinta"',
+  ]);
+});
+
+test('parseInvoice: missing columns and empty invoice', () => {
+  assert.deepEqual(FreelaBilling.parseInvoice('').errors, ['Fatura vazia']);
+  const noValue = FreelaBilling.parseInvoice('task;data\n86b1;05/02\n');
+  assert.equal(noValue.items.length, 0);
+  assert.match(noValue.errors[0], /Coluna de valor não encontrada/);
+  const noTask = FreelaBilling.parseInvoice('valor;data\n35;05/02\n');
+  assert.match(noTask.errors[0], /Coluna da task não encontrada/);
+});
+
+test('policy: per-format rates apply from v2 on, past months keep v1', () => {
+  const rate = month => {
+    BonusRules.usePolicy(policyForMonth(month));
+    return BonusRules.freelaRate(null, 'motion', 4);
+  };
+  assert.equal(rate('2026-02'), null);
+  assert.equal(rate('2026-09'), null);
+  assert.deepEqual(rate('2026-10'), { valor: 140, fonte: 'formato' });
+  assert.deepEqual(rate('2026-11'), { valor: 140, fonte: 'formato' });
+});
+
+// ─── reconcileInvoice ────────────────────────────────────────────────────────
+
+function reconcile(report, csv, opts) {
+  const { items, errors } = FreelaBilling.parseInvoice(csv);
+  const editor = FreelaBilling.findFreela(report, 'bianca');
+  return FreelaBilling.reconcileInvoice(report, editor, items, { readErrors: errors, ...opts });
+}
+
+test('reconcileInvoice: matches by ID, URL and [nº] and flags every status', () => {
+  const rec = reconcile(goldenReport(), [
+    'task;descricao;valor',
+    '86b0133;;35', //                                         ok (ID)
+    'https://app.clickup.com/t/86b0142;;30', //               abaixo (URL)
+    '[537];;40', //                                           acima ([nº])
+    ';[541] [P7][GOV][26/02] INSTITUCIONAL - Campanha vacinação;50', // ok ([nº] in the description)
+    ';[P10][MG][12/02] MOTION - Logo animado;140', //         nao_encontrado (name without [nº] is not the task name)
+    '86b0133;;35', //                                         duplicado (line 2)
+    '86b0069;;35', //                                         outro_editor (Bruna Ferreira, fixed team)
+    '99x9999;;35', //                                         nao_encontrado
+  ].join('\n'));
+
+  assert.deepEqual(rec.items.map(l => l.status), ['ok', 'abaixo', 'acima', 'ok', 'nao_encontrado', 'duplicado', 'outro_editor', 'nao_encontrado']);
+  assert.equal(rec.items[1].task_id, '86b0142');
+  assert.equal(rec.items[2].valor_calculado, 35);
+  assert.match(rec.items[2].detalhe, /^\+5 — tabela por pontos: R\$ 35/);
+  assert.equal(rec.items[5].detalhe, 'também na linha 2');
+  assert.equal(rec.items[6].detalhe, 'Bruna Ferreira');
+
+  // Billed below the rate is paid as billed; blocking lines wait
+  assert.equal(rec.totals.cobrado, 35 + 30 + 40 + 50 + 140 + 35 + 35 + 35);
+  assert.equal(rec.totals.a_pagar, 35 + 30 + 50);
+  assert.equal(rec.totals.pendente, 40 + 140 + 35 + 35 + 35);
+  assert.equal(rec.totals.calculado, 390);
+  assert.equal(rec.pendencias, 5);
+  assert.equal(rec.pode_pagar, false);
+  assert.equal(rec.nao_cobradas.length, 12 - 4);
+});
+
+test('reconcileInvoice: the full statement billed at the rates checks out', () => {
+  const report = goldenReport();
+  const st = FreelaBilling.freelaStatement(FreelaBilling.findFreela(report, '20000001'));
+  const priced = st.lines.filter(l => l.tarifa !== null);
+  const csv = ['task;valor'].concat(priced.map(l => `${l.task_id};${String(l.valor).replace('.', ',')}`)).join('\n');
+  const rec = reconcile(report, csv);
+  assert.ok(rec.items.every(l => l.status === 'ok'));
+  assert.equal(rec.totals.a_pagar, 390);
+  assert.deepEqual(rec.nao_cobradas.map(t => t.task_id), ['86b0157']);
+  assert.equal(rec.pode_pagar, true);
+});
+
+test('reconcileInvoice: shared task is calculated on the freelancer share', () => {
+  // [553] is split 50/50 with Hugo Tavares: R$ 50 × 0.5
+  const rec = reconcile(goldenReport(), 'task;valor\n86b0159;50\n');
+  assert.equal(rec.items[0].status, 'acima');
+  assert.equal(rec.items[0].valor_calculado, 25);
+  assert.match(rec.items[0].detalhe, /× 0\.5$/);
+});
+
+test('reconcileInvoice: task without a rate blocks payment', () => {
+  // February is under v1: Motion has no freelancer rate yet
+  const rec = reconcile(goldenReport(), 'task;valor\n86b0157;140\n');
+  assert.equal(rec.items[0].status, 'sem_tarifa');
+  assert.equal(rec.items[0].detalhe, 'motion, 4 pts');
+  assert.equal(rec.pode_pagar, false);
+});
+
+test('reconcileInvoice: lines that could not be read block payment', () => {
+  // The 1.5-for-1.500 misreading used to pay R$ 1,50 as "abaixo"
+  const rec = reconcile(goldenReport(), 'task;valor\n86b0133;35\n86b0142;1,500.00\n');
+  assert.equal(rec.items.length, 1);
+  assert.deepEqual(rec.erros_de_leitura, ['Linha 3: valor inválido "1,500.00"']);
+  assert.equal(rec.pendencias, 0);
+  assert.equal(rec.pode_pagar, false);
+});
+
+test('reconcileInvoice: tasks billed in an earlier saved invoice are duplicates', () => {
+  const dir = tempDir();
+  try {
+    const january = goldenReport();
+    january.metadata.month = '2026-01';
+    const first = reconcile(january, 'task;valor\n86b0133;35\n86b0142;35\n');
+    const file = FreelaBilling.saveReconciliation(first, 'nota-jan.csv', dir);
+    assert.equal(file, FreelaBilling.invoiceFile('2026-01', 20000001, dir));
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).source, 'nota-jan.csv');
+
+    const billed = FreelaBilling.billedBefore('2026-02', 20000001, dir);
+    assert.deepEqual(billed, { '86b0133': '2026-01', '86b0142': '2026-01' });
+    // Only months before the one reconciled count
+    assert.deepEqual(FreelaBilling.billedBefore('2026-01', 20000001, dir), {});
+
+    const rec = reconcile(goldenReport(), 'task;valor\n86b0133;35\n86b0143;35\n', { billedBefore: billed });
+    assert.deepEqual(rec.items.map(l => l.status), ['duplicado', 'ok']);
+    assert.equal(rec.items[0].detalhe, 'já cobrada na fatura de 2026-01');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
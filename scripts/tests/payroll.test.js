@@ -0,0 +1,57 @@
+/**
+ * Payroll Export tests — Gestão de Edição
+ *
+ * CSV cells of the month closing package (lib/payroll), also used by the
+ * task lint CSV: task names come from ClickUp as typed, so text Excel or
+ * Sheets would run as a formula must be written as plain text.
+ *
+ * Usage:
+ *   node --test scripts/tests/
+ *
+ * @module payroll.test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { exportPayroll, csvCell } = require('../lib/payroll');
+
+const GOLDEN = path.resolve(__dirname, '..', 'fixtures', 'golden', 'video-count-2026-02.json');
+
+test('csvCell: formula-like text is kept as text', () => {
+  assert.equal(csvCell('=1+1'), "'=1+1");
+  assert.equal(csvCell('+55 11 99999-0000'), "'+55 11 99999-0000");
+  assert.equal(csvCell('-Vinheta'), "'-Vinheta");
+  assert.equal(csvCell('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+  assert.equal(csvCell('=HYPERLINK("http://x";"pagar")'), '"\'=HYPERLINK(""http://x"";""pagar"")"');
+  // Numbers keep the decimal comma, negative adjustments included
+  assert.equal(csvCell(-12.5), '-12,5');
+  assert.equal(csvCell('[469] SINFONIA - Bastidores'), '[469] SINFONIA - Bastidores');
+  assert.equal(csvCell(null), '');
+});
+
+test('csvCell: line breaks of any kind are quoted', () => {
+  assert.equal(csvCell('a\nb'), '"a\nb"');
+  assert.equal(csvCell('a\rb'), '"a\rb"');
+  assert.equal(csvCell('a;b'), '"a;b"');
+});
+
+test('exportPayroll: a task named like a formula reaches the CSV as text', () => {
+  const report = JSON.parse(fs.readFileSync(GOLDEN, 'utf8'));
+  const freela = report.editors.find(e => e.team === 'freela' && e.tasks.length > 0);
+  const task = freela.tasks[0];
+  task.name = '=HYPERLINK("http://x";"pagar")';
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-'));
+  try {
+    const { written } = exportPayroll(report, dir, ['csv']);
+    const line = fs.readFileSync(written[0], 'utf8').split('\r\n').find(l => l.indexOf(`;${task.task_id};`) !== -1);
+    assert.ok(line, `no CSV line for ${task.task_id}`);
+    assert.ok(line.indexOf(';"\'=HYPERLINK(""http://x"";""pagar"")";') !== -1, line);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,213 @@
+/**
+ * Report Store tests — Gestão de Edição
+ *
+ * ReportStore (lib/report-store) against the Script Properties stub of
+ * lib/gas-sandbox, which rejects values over 9 KB like Apps Script, with
+ * the same gzip + base64 encoding video-counter.gs uses. The value is the
+ * golden report of the 2026-02 fixture (~200 KB of JSON, several chunks
+ * once compressed).
+ *
+ * Usage:
+ *   node --test scripts/tests/
+ *
+ * @module report-store.test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ReportStore = require('../lib/report-store');
+const { PROPERTY_VALUE_LIMIT, propertiesStub } = require('../lib/gas-sandbox');
+
+const GOLDEN = path.resolve(__dirname, '..', 'fixtures', 'golden', 'video-count-2026-02.json');
+const PREFIX = 'VIDEO_COUNTER_RESULT';
+const HOUR_MS = 60 * 60 * 1000;
+
+function goldenReport() {
+  return JSON.parse(fs.readFileSync(GOLDEN, 'utf8'));
+}
+
+/**
+ * Store over a fresh properties stub; `clock.now` drives saved_at and TTLs.
+ */
+function setup(props = propertiesStub()) {
+  const clock = { now: Date.parse('2026-02-20T12:00:00Z') };
+  const store = ReportStore.create(props, {
+    prefix: PREFIX,
+    encode: text => zlib.gzipSync(Buffer.from(text, 'utf8')).toString('base64'),
+    decode: data => zlib.gunzipSync(Buffer.from(data, 'base64')).toString('utf8'),
+    now: () => clock.now,
+  });
+  return { props, store, clock };
+}
+
+function keysOf(props, name) {
+  return [...props.values.keys()].filter(k => k.indexOf(`${PREFIX}:${name}:`) === 0).sort();
+}
+
+test('put/get: a report larger than one property is split and joined back', () => {
+  const { props, store } = setup();
+  const report = goldenReport();
+  assert.ok(JSON.stringify(report).length > 10 * PROPERTY_VALUE_LIMIT, 'fixture too small to exercise compression');
+
+  const meta = store.put('2026-02', report, 13 * HOUR_MS);
+  assert.ok(meta.chunks > 1, `expected several chunks, got ${meta.chunks}`);
+  const chunkKeys = keysOf(props, '2026-02');
+  assert.equal(chunkKeys.length, meta.chunks);
+  chunkKeys.forEach(k => assert.ok(Buffer.byteLength(props.getProperty(k), 'utf8') <= PROPERTY_VALUE_LIMIT, `${k} over the limit`));
+  assert.equal(chunkKeys.map(k => props.getProperty(k)).join('').length, meta.bytes);
+
+  const cached = store.get('2026-02');
+  assert.deepEqual(cached.value, report);
+  assert.equal(cached.saved_at, '2026-02-20T12:00:00.000Z');
+  assert.equal(cached.stale, false);
+});
+
+test('put: an encoded chunk over the property limit is refused by the stub', () => {
+  // Guards the stub itself: without compression the report would not fit
+  const props = propertiesStub();
+  assert.throws(() => props.setProperty('big', 'x'.repeat(PROPERTY_VALUE_LIMIT + 1)), /Argument too large/);
+  assert.equal(props.getProperty('big'), null);
+});
+
+test('get: TTL expiry flags the value stale but still returns it', () => {
+  const { store, clock } = setup();
+  store.put('2026-02', { metadata: { month: '2026-02' } }, 13 * HOUR_MS);
+  store.put('history', { months: [] }, null);
+
+  clock.now += 13 * HOUR_MS - 1;
+  assert.equal(store.get('2026-02').stale, false);
+  clock.now += 1;
+  const expired = store.get('2026-02');
+  assert.equal(expired.stale, true);
+  assert.equal(expired.expires_at, '2026-02-21T01:00:00.000Z');
+  assert.deepEqual(expired.value, { metadata: { month: '2026-02' } });
+
+  // No TTL: never stale
+  clock.now += 365 * 24 * HOUR_MS;
+  assert.equal(store.get('history').stale, false);
+  assert.equal(store.get('history').expires_at, null);
+});
+
+test('put: a shrinking report leaves no chunks of the previous version', () => {
+  const { props, store, clock } = setup();
+  const big = store.put('2026-02', goldenReport(), HOUR_MS);
+  assert.ok(big.chunks > 1);
+
+  clock.now += 1000;
+  const small = store.put('2026-02', { metadata: { month: '2026-02' }, editors: [] }, HOUR_MS);
+  assert.equal(small.chunks, 1);
+  assert.notEqual(small.version, big.version);
+  assert.deepEqual(keysOf(props, '2026-02'), [`${PREFIX}:2026-02:${small.version}:0`]);
+  assert.deepEqual(store.get('2026-02').value.editors, []);
+});
+
+test('put: two saves in the same millisecond get distinct versions', () => {
+  const { props, store } = setup();
+  const first = store.put('2026-02', { run: 1 }, HOUR_MS);
+  const second = store.put('2026-02', { run: 2 }, HOUR_MS);
+  assert.equal(second.version, `${first.version}b`);
+  assert.deepEqual(store.get('2026-02').value, { run: 2 });
+  assert.equal(keysOf(props, '2026-02').length, 1);
+});
+
+test('put: orphan chunks of a lost meta entry are swept', () => {
+  const { props, store, clock } = setup();
+  store.put('2026-02', goldenReport(), HOUR_MS);
+  // Meta gone (manual edit, old script version): its chunks are unreachable
+  props.deleteProperty(`${PREFIX}:2026-02`);
+  assert.equal(store.get('2026-02'), null);
+  assert.ok(keysOf(props, '2026-02').length > 1);
+
+  clock.now += 1000;
+  const meta = store.put('2026-02', { run: 2 }, HOUR_MS);
+  assert.deepEqual(keysOf(props, '2026-02'), [`${PREFIX}:2026-02:${meta.version}:0`]);
+});
+
+test('put: a save that fails halfway keeps the previous value and no partial chunks', () => {
+  const stub = propertiesStub();
+  let writes = 0;
+  let failAt = null;
+  const props = Object.assign({}, stub, {
+    setProperty(key, value) {
+      writes++;
+      if (failAt !== null && writes === failAt) throw new Error('Service invoked too many times');
+      stub.setProperty(key, value);
+    },
+  });
+  const { store, clock } = setup(props);
+  store.put('2026-02', { run: 1 }, HOUR_MS);
+  const before = keysOf(stub, '2026-02');
+
+  clock.now += 1000;
+  writes = 0;
+  failAt = 2; // second chunk of the new version
+  assert.throws(() => store.put('2026-02', goldenReport(), HOUR_MS), /too many times/);
+  assert.deepEqual(store.get('2026-02').value, { run: 1 });
+  assert.deepEqual(keysOf(stub, '2026-02'), before);
+});
+
+test('get: a missing chunk or an undecodable value reads as missing', () => {
+  const { props, store } = setup();
+  const meta = store.put('2026-02', goldenReport(), HOUR_MS);
+  props.deleteProperty(`${PREFIX}:2026-02:${meta.version}:1`);
+  assert.equal(store.get('2026-02'), null);
+
+  const other = store.put('2026-01', { run: 1 }, HOUR_MS);
+  props.setProperty(`${PREFIX}:2026-01:${other.version}:0`, 'não é gzip');
+  assert.equal(store.get('2026-01'), null);
+
+  props.setProperty(`${PREFIX}:2025-12`, '{meta quebrada');
+  assert.equal(store.get('2025-12'), null);
+});
+
+test('remove: invalidates the value and every chunk key of the name only', () => {
+  const { props, store, clock } = setup();
+  store.put('2026-02', goldenReport(), HOUR_MS);
+  store.put('2026-01', { run: 1 }, HOUR_MS);
+  // Leftover of an older version
+  props.setProperty(`${PREFIX}:2026-02:${clock.now - 5000}:0`, 'x');
+
+  assert.equal(store.remove('2026-02'), true);
+  assert.equal(store.get('2026-02'), null);
+  assert.equal(props.getProperty(`${PREFIX}:2026-02`), null);
+  assert.deepEqual(keysOf(props, '2026-02'), []);
+  assert.deepEqual(store.get('2026-01').value, { run: 1 });
+
+  assert.equal(store.remove('2026-02'), false);
+});
+
+test('remove: without getKeys only the chunks named by the meta entry go', () => {
+  const stub = propertiesStub();
+  const props = { getProperty: stub.getProperty, setProperty: stub.setProperty, deleteProperty: stub.deleteProperty };
+  const { store } = setup(props);
+  store.put('2026-02', goldenReport(), HOUR_MS);
+  assert.equal(store.remove('2026-02'), true);
+  assert.deepEqual(keysOf(stub, '2026-02'), []);
+  assert.equal(stub.values.size, 0);
+});
+
+test('list: meta of every saved value, chunk keys and other prefixes left out', () => {
+  const { props, store, clock } = setup();
+  store.put('2026-01', { run: 1 }, HOUR_MS);
+  clock.now += 1000;
+  store.put('2026-02', goldenReport(), HOUR_MS);
+  store.put('history', { months: [] }, null);
+  props.setProperty('CLICKUP_API_KEY', 'pk_x');
+  props.setProperty(`${PREFIX}_LEGACY`, '{}');
+
+  const listed = store.list().sort((a, b) => a.name.localeCompare(b.name));
+  assert.deepEqual(listed.map(m => m.name), ['2026-01', '2026-02', 'history']);
+  assert.equal(listed[0].saved_at, '2026-02-20T12:00:00.000Z');
+  assert.ok(listed[1].chunks > 1);
+  assert.equal(listed[2].expires_at, null);
+
+  store.remove('2026-01');
+  assert.deepEqual(store.list().map(m => m.name).sort(), ['2026-02', 'history']);
+
+  const { getProperty, setProperty, deleteProperty } = propertiesStub();
+  assert.deepEqual(setup({ getProperty, setProperty, deleteProperty }).store.list(), []);
+});
@@ -0,0 +1,183 @@
+/**
+ * Video Counter (Apps Script) cache tests — Gestão de Edição
+ *
+ * doGet and the report cache of video-counter.gs in the Apps Script
+ * sandbox (lib/gas-sandbox), with UrlFetchApp answered by the ClickUp mock
+ * over the 2026-02 fixture. ClickUp requests made by the mock tell whether
+ * a call recomputed the month or was served from Script Properties.
+ *
+ * Usage:
+ *   node --test scripts/tests/
+ *
+ * @module video-counter-gs.test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ClickUpMock = require('../lib/clickup-mock');
+const ReportStore = require('../lib/report-store');
+const { PROPERTY_VALUE_LIMIT, PROPERTY_STORE_LIMIT, createSandbox } = require('../lib/gas-sandbox');
+const { DEFAULT_POLICY_FILE } = require('../lib/policy');
+
+const FIXTURE = path.resolve(__dirname, '..', 'fixtures', 'clickup', '2026-02.json');
+const ROSTER_FILE = path.resolve(__dirname, '..', 'policy', 'roster.example.json');
+const MONTH = '2026-02';
+const META_KEY = `VIDEO_COUNTER_RESULT:${MONTH}`;
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Sandbox over a fresh mock; `adm` is an admin token.
+ */
+function setup() {
+  const mock = ClickUpMock.createMock(ClickUpMock.readFixture(FIXTURE));
+  const sandbox = createSandbox({
+    timeZone: 'UTC',
+    properties: { CLICKUP_API_KEY: 'pk_mock', ACCESS_TOKENS: JSON.stringify({ adm: { role: 'admin' } }) },
+    fetch: (url, options) => mock.handle((options.method || 'get').toUpperCase(), url, options.headers || {}, options.payload ? JSON.parse(options.payload) : null),
+    globals: { BONUS_POLICIES: readJson(DEFAULT_POLICY_FILE), ROSTER: readJson(ROSTER_FILE), ESCALAS: {} },
+  });
+  const get = parameter => JSON.parse(sandbox.call('doGet', { parameter }).content);
+  return { mock, sandbox, get };
+}
+
+/**
+ * Months cached before the run, saved a minute apart (oldest first) with
+ * the encoding of reportStore_; `bytes` of incompressible filler each.
+ */
+function seedMonths(sandbox, months, bytes) {
+  let clock = Date.parse('2026-01-01T00:00:00Z');
+  const store = ReportStore.create(sandbox.properties, {
+    prefix: 'VIDEO_COUNTER_RESULT',
+    encode: text => zlib.gzipSync(Buffer.from(text, 'utf8')).toString('base64'),
+    decode: data => zlib.gunzipSync(Buffer.from(data, 'base64')).toString('utf8'),
+    now: () => (clock += 60000),
+  });
+  months.forEach(month => store.put(month, { metadata: { month }, filler: crypto.randomBytes(bytes).toString('base64') }, null));
+}
+
+function cachedMonths(sandbox) {
+  return sandbox.properties.getKeys().filter(k => /^VIDEO_COUNTER_RESULT:\d{4}-\d{2}$/.test(k)).map(k => k.slice(-7)).sort();
+}
+
+function monthKeys(sandbox) {
+  return sandbox.properties.getKeys().filter(k => k === META_KEY || k.indexOf(`${META_KEY}:`) === 0);
+}
+
+// One run shared by the tests that only read the cache
+const shared = setup();
+const computed = shared.sandbox.call('videoCounterMain', MONTH);
+
+test('videoCounterMain: caches the month in chunks under the property limit', () => {
+  const keys = monthKeys(shared.sandbox);
+  const meta = JSON.parse(shared.sandbox.properties.getProperty(META_KEY));
+  assert.ok(meta.chunks > 1, `expected several chunks, got ${meta.chunks}`);
+  assert.equal(keys.length, meta.chunks + 1);
+  keys.forEach(k => assert.ok(Buffer.byteLength(shared.sandbox.properties.getProperty(k), 'utf8') <= PROPERTY_VALUE_LIMIT, `${k} over the limit`));
+});
+
+test('doGet: serves the cached month without calling ClickUp', () => {
+  const requests = shared.mock.requests.length;
+  const report = shared.get({ month: MONTH, token: 'adm' });
+  assert.equal(shared.mock.requests.length, requests);
+  assert.equal(report.metadata.cache.stale, false);
+  assert.equal(report.metadata.generated_at, computed.metadata.generated_at);
+  assert.deepEqual(report.editors, computed.editors);
+
+  const pub = shared.get({ month: MONTH });
+  assert.equal(shared.mock.requests.length, requests);
+  assert.equal(pub.editors.length, computed.editors.length);
+  assert.equal(pub.editors[0].tasks, undefined);
+});
+
+test('doGet: ?refresh=1 is refused for non-admins', () => {
+  const requests = shared.mock.requests.length;
+  const before = shared.sandbox.properties.getProperty(META_KEY);
+  assert.deepEqual(shared.get({ month: MONTH, refresh: '1' }), { error: 'Recalcular (?refresh=1): apenas coordenadores' });
+  assert.deepEqual(shared.get({ month: MONTH, refresh: '1', token: 'nope' }), { error: 'Recalcular (?refresh=1): apenas coordenadores' });
+  assert.equal(shared.mock.requests.length, requests);
+  assert.equal(shared.sandbox.properties.getProperty(META_KEY), before);
+});
+
+test('doGet: expired month is served stale to non-admins', () => {
+  const { sandbox, mock, get } = setup();
+  sandbox.call('videoCounterMain', MONTH);
+  const meta = JSON.parse(sandbox.properties.getProperty(META_KEY));
+  meta.expires_at = '2026-03-01T00:00:00.000Z';
+  sandbox.properties.setProperty(META_KEY, JSON.stringify(meta));
+
+  const requests = mock.requests.length;
+  const report = get({ month: MONTH });
+  assert.equal(mock.requests.length, requests);
+  assert.equal(report.metadata.cache.stale, true);
+  assert.equal(report.metadata.cache.expires_at, '2026-03-01T00:00:00.000Z');
+});
+
+test('doGet: admins recompute an expired month once per cooldown', () => {
+  const { sandbox, mock, get } = setup();
+  sandbox.call('videoCounterMain', MONTH);
+  const meta = JSON.parse(sandbox.properties.getProperty(META_KEY));
+  meta.expires_at = '2026-03-01T00:00:00.000Z';
+  sandbox.properties.setProperty(META_KEY, JSON.stringify(meta));
+
+  const requests = mock.requests.length;
+  const fresh = get({ month: MONTH, token: 'adm' });
+  assert.ok(mock.requests.length > requests, 'expected a recompute');
+  assert.equal(fresh.error, undefined);
+  assert.equal(get({ month: MONTH, token: 'adm' }).metadata.cache.stale, false);
+  // Old version replaced, no chunks left behind
+  const saved = JSON.parse(sandbox.properties.getProperty(META_KEY));
+  assert.notEqual(saved.version, meta.version);
+  assert.equal(monthKeys(sandbox).length, saved.chunks + 1);
+
+  // Within RECOMPUTE_COOLDOWN_S a second refresh is refused
+  const after = mock.requests.length;
+  assert.match(get({ month: MONTH, refresh: '1', token: 'adm' }).error, /recalculado há pouco/);
+  assert.equal(mock.requests.length, after);
+});
+
+test('doGet: a month never computed is not computed for non-admins', () => {
+  const { mock, get } = setup();
+  assert.match(get({ month: MONTH }).error, /ainda não foi calculado/);
+  assert.equal(mock.requests.length, 0);
+});
+
+test('clearReportCache: removes the meta entry and every chunk', () => {
+  const { sandbox, get } = setup();
+  sandbox.call('videoCounterMain', MONTH);
+  assert.ok(monthKeys(sandbox).length > 1);
+  sandbox.call('clearReportCache', MONTH);
+  assert.deepEqual(monthKeys(sandbox), []);
+  assert.match(get({ month: MONTH }).error, /ainda não foi calculado/);
+});
+
+test('videoCounterMain: keeps only the months saved most recently', () => {
+  const { sandbox } = setup();
+  const months = ['2025-01', '2025-02', '2025-03', '2025-04', '2025-05', '2025-06', '2025-07', '2025-08', '2025-09'];
+  seedMonths(sandbox, months, 1000);
+  sandbox.call('videoCounterMain', MONTH);
+  // CONFIG.CACHED_MONTHS = 6: the month just saved and the 5 saved last
+  assert.deepEqual(cachedMonths(sandbox), ['2025-05', '2025-06', '2025-07', '2025-08', '2025-09', MONTH]);
+  assert.equal(sandbox.properties.getKeys().filter(k => k.indexOf('VIDEO_COUNTER_RESULT:2025-01') === 0).length, 0);
+  assert.ok(sandbox.logs.some(l => l.indexOf('Cache: 2025-04 removido') === 0));
+});
+
+test('videoCounterMain: with the property quota full, other months make room', () => {
+  const { sandbox, get } = setup();
+  const months = ['2025-01', '2025-02', '2025-03', '2025-04', '2025-05', '2025-06', '2025-07', '2025-08', '2025-09', '2025-10', '2025-11'];
+  seedMonths(sandbox, months, 34000);
+  const used = [...sandbox.properties.values].reduce((sum, [k, v]) => sum + k.length + v.length, 0);
+  assert.ok(used > PROPERTY_STORE_LIMIT - 20 * 1024, `seed too small: ${used} bytes`);
+
+  sandbox.call('videoCounterMain', MONTH);
+  assert.deepEqual(cachedMonths(sandbox), [MONTH]);
+  assert.ok(sandbox.logs.some(l => /^Cache: 2026-02 não coube/.test(l)));
+  assert.equal(get({ month: MONTH, token: 'adm' }).metadata.cache.stale, false);
+});